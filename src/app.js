@@ -2,7 +2,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const path = require('path');
 
 const cardController = require('./controllers/cardController');
 const { 
@@ -16,8 +15,17 @@ const {
   getPerformanceReport,
   MemoryMonitor 
 } = require('./utils/performance');
-const { closeRenderer } = require('./services/htmlRenderer');
+const { closeRenderer, getRenderer } = require('./services/htmlRenderer');
 const { cleanupService } = require('./services/cleanupService');
+const { imageCacheService } = require('./services/imageCacheService');
+const { avatarService } = require('./services/avatarService');
+const { renderCache } = require('./services/renderCache');
+const { jobService } = require('./services/jobService');
+const { idempotencyService } = require('./services/idempotencyService');
+const { storageService } = require('./services/storageService');
+const { templateWatcher } = require('./services/templateWatcher');
+const { getContentTypeByFilename } = require('./utils/imageFormats');
+const { requireAdminToken } = require('./utils/adminAuth');
 
 const app = express();
 const PORT = process.env.PORT || 8500;
@@ -30,8 +38,18 @@ app.use(performanceMiddleware); // 性能监控中间件
 app.use(express.json({ limit: '10mb' })); // JSON解析中间件
 app.use(express.urlencoded({ extended: true }));
 
-// 静态文件服务 - 提供生成的图片
-app.use('/images', express.static(path.join(__dirname, '../public/images')));
+// 静态文件服务 - 提供生成的图片（仅本地存储，其他存储后端由对象存储或CDN直接提供）
+const localImageDir = storageService.getLocalDirectory();
+if (localImageDir) {
+  app.use('/images', express.static(localImageDir, {
+    setHeaders: (res, filePath) => {
+      const contentType = getContentTypeByFilename(filePath);
+      if (contentType) {
+        res.setHeader('Content-Type', contentType);
+      }
+    }
+  }));
+}
 
 // 健康检查接口
 app.get('/health', (req, res) => {
@@ -49,7 +67,15 @@ app.get('/health', (req, res) => {
 // 性能监控接口
 app.get('/metrics', (req, res) => {
   const report = getPerformanceReport();
-  res.json(report);
+  res.json({
+    ...report,
+    renderPool: getRenderer().getPoolStats(),
+    imageCache: imageCacheService.getStats(),
+    avatars: avatarService.getStats(),
+    renderCache: renderCache.getStats(),
+    idempotency: idempotencyService.getStats(),
+    storage: storageService.getStats()
+  });
 });
 
 // 清理服务状态接口
@@ -82,6 +108,26 @@ app.post('/cleanup/manual', async (req, res) => {
   }
 });
 
+// 模板热重载状态接口
+app.get('/admin/templates/status', (req, res) => {
+  res.json({
+    status: 'OK',
+    templateWatcher: templateWatcher.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 强制重新加载模板接口（清空模板缓存），各环境都可用，需携带管理令牌
+app.post('/admin/templates/reload', requireAdminToken, (req, res) => {
+  const status = templateWatcher.forceReload();
+  res.json({
+    success: true,
+    message: 'Templates reloaded',
+    templateWatcher: status,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // API路由
 app.use('/api', cardController);
 
@@ -99,21 +145,33 @@ const server = app.listen(PORT, () => {
     endpoints: {
       health: `http://localhost:${PORT}/health`,
       generateCards: `http://localhost:${PORT}/api/generate-cards`,
-      images: `http://localhost:${PORT}/images/`,
+      jobStatus: `http://localhost:${PORT}/api/jobs/:id`,
+      images: localImageDir ? `http://localhost:${PORT}/images/` : storageService.getUrl(''),
       cleanupStatus: `http://localhost:${PORT}/cleanup/status`,
-      manualCleanup: `http://localhost:${PORT}/cleanup/manual`
+      manualCleanup: `http://localhost:${PORT}/cleanup/manual`,
+      templateReload: `http://localhost:${PORT}/admin/templates/reload`
     }
   });
   
   console.log(`🚀 Reddit Card Generator Server running on port ${PORT}`);
   console.log(`📋 Health check: http://localhost:${PORT}/health`);
   console.log(`🎨 Generate cards: http://localhost:${PORT}/api/generate-cards`);
-  console.log(`🖼️  Images served at: http://localhost:${PORT}/images/`);
+  if (localImageDir) {
+    console.log(`🖼️  Images served at: http://localhost:${PORT}/images/`);
+  } else {
+    console.log(`🪣 Images stored in ${storageService.getLocation('')}`);
+  }
   console.log(`🧹 Cleanup status: http://localhost:${PORT}/cleanup/status`);
   console.log(`🔧 Manual cleanup: http://localhost:${PORT}/cleanup/manual`);
   
   // 启动清理服务
   cleanupService.start();
+  
+  // 启动任务服务（过期任务清理）
+  jobService.start();
+  
+  // 启动模板热重载（开发环境）
+  templateWatcher.start();
 });
 
 // 设置优雅关闭
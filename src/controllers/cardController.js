@@ -1,12 +1,36 @@
 const express = require('express');
 const Joi = require('joi');
+const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 
 const imageGenerator = require('../services/imageGenerator');
+const { getRenderer } = require('../services/htmlRenderer');
+const { jobService } = require('../services/jobService');
+const { webhookService } = require('../services/webhookService');
+const { idempotencyService, MAX_KEY_LENGTH } = require('../services/idempotencyService');
+const { IMAGE_FORMATS } = require('../utils/imageFormats');
+const { SIZE_PRESETS, DEFAULT_SIZE_PRESET, getSizePreset } = require('../utils/sizePresets');
+const { PREVIEW_CSP, CARD_PREVIEW_CSP, buildPreviewPage } = require('../utils/previewPage');
+const { AVATAR_STYLES, DEFAULT_AVATAR_STYLE } = require('../utils/avatarGenerator');
+const { requireAdminToken } = require('../utils/adminAuth');
+const sampleData = require('../../test-data.json');
+const { themeService, AUTO_THEME } = require('../services/themeService');
+const { templateService, DEFAULT_TEMPLATE_SET } = require('../services/templateService');
 
 const router = express.Router();
 
+// SSE心跳间隔，防止代理因空闲断开连接
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
 // 输入数据验证schema
+// 帖子图片（单图或图集中的一项）
+const mediaItemSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  width: Joi.number().integer().min(1),
+  height: Joi.number().integer().min(1),
+  caption: Joi.string().allow('')
+});
+
 const postSchema = Joi.object({
   id: Joi.string().required(),
   title: Joi.string().required(),
@@ -19,8 +43,15 @@ const postSchema = Joi.object({
   ups: Joi.number().required(),
   name: Joi.string().required(),
   summary_zh: Joi.string().allow(''),
+  // 帖子链接（图片帖为图片地址）与缩略图，Reddit中缩略图可能为self/default等占位值
+  url: Joi.string().allow(''),
+  thumbnail: Joi.string().allow(''),
+  images: Joi.array().items(mediaItemSchema).max(20).default([]),
+  gallery: Joi.array().items(mediaItemSchema).max(50).default([]),
   commentList: Joi.array().items(
     Joi.object({
+      id: Joi.string().allow(''),
+      name: Joi.string().allow(''),
       author: Joi.string().required(),
       body: Joi.string().required(),
       body_zh: Joi.string().allow(''),
@@ -31,10 +62,231 @@ const postSchema = Joi.object({
   ).default([])
 });
 
+// 卡片生成选项
+const cardOptionsSchema = Joi.object({
+  // 摘要卡片（summary_zh）的位置，none表示不生成
+  summaryCard: Joi.string().valid('none', 'first', 'last').default('none'),
+  // 输出格式、压缩质量（仅对有损格式生效）和设备像素比
+  format: Joi.string().valid(...Object.keys(IMAGE_FORMATS)).default('png'),
+  quality: Joi.number().integer().min(1).max(100).default(90),
+  scale: Joi.number().min(1).max(4).default(2),
+  // 是否额外导出包含所有卡片的多页PDF
+  pdf: Joi.boolean().default(false),
+  // 尺寸预设（按发布平台）
+  size: Joi.string().valid(...Object.keys(SIZE_PRESETS)).default(DEFAULT_SIZE_PRESET),
+  // 配色主题，auto表示按subreddit自动选择
+  theme: Joi.string().default(AUTO_THEME),
+  // 模板集，格式为 名称 或 名称@版本
+  templateSet: Joi.string().default(DEFAULT_TEMPLATE_SET),
+  // 每个帖子的最大卡片数，超出时丢弃低赞评论、以摘要代替或截断正文
+  maxPages: Joi.number().integer().min(1).max(50),
+  // 分页前的评论筛选，未指定的项使用commentSelection中的默认值
+  comments: Joi.object({
+    limit: Joi.number().integer().min(1),
+    minUps: Joi.number().integer(),
+    excludeRemoved: Joi.boolean(),
+    excludeBots: Joi.boolean(),
+    botAuthors: Joi.array().items(Joi.string().max(50)).max(100),
+    dedupe: Joi.boolean(),
+    dedupeThreshold: Joi.number().min(0.5).max(1),
+    maxChars: Joi.number().integer().min(20)
+  }).default({}),
+  // 评论没有头像或头像下载失败时生成的头像样式
+  avatarStyle: Joi.string().valid(...AVATAR_STYLES).default(DEFAULT_AVATAR_STYLE)
+}).default();
+
+const previewSchema = Joi.object({
+  post: postSchema.required(),
+  options: cardOptionsSchema
+});
+
+// 预览查询参数：format=json返回JSON，page=N只返回第N页的HTML，默认返回可浏览的汇总页面
+const previewQuerySchema = Joi.object({
+  format: Joi.string().valid('html', 'json').default('html'),
+  page: Joi.number().integer().min(1),
+  sample: Joi.number().integer().min(0).default(0)
+}).unknown(true);
+
+// 模板上传（multipart方式，字段名为模板名称，如main-card）
+const templateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 256 * 1024, files: 3 }
+});
+
 const requestSchema = Joi.object({
-  postList: Joi.array().items(postSchema).min(1).required()
+  postList: Joi.array().items(postSchema).min(1).required(),
+  options: cardOptionsSchema,
+  async: Joi.boolean().default(false),
+  // 只计算分页方案，不生成图片
+  dryRun: Joi.boolean().default(false),
+  callbackUrl: Joi.string().uri({ scheme: ['http', 'https'] }),
+  callbackSecret: Joi.string().allow(''),
+  // 幂等键（也可通过Idempotency-Key请求头传入），重复请求返回原响应
+  requestId: Joi.string().max(MAX_KEY_LENGTH)
 });
 
+/**
+ * 校验主题与模板集（两者支持运行时注册，无法在schema中枚举）
+ * @param {Object} options - 卡片生成选项
+ * @returns {Promise<Array<string>>} 错误信息，为空表示有效
+ */
+async function validateDynamicOptions(options) {
+  const details = [];
+  if (!(await themeService.hasTheme(options.theme))) {
+    details.push(`Unknown theme: ${options.theme}`);
+  }
+  if (!(await templateService.hasTemplateSet(options.templateSet))) {
+    details.push(`Unknown template set: ${options.templateSet}`);
+  }
+  return details;
+}
+
+/**
+ * 执行卡片生成请求（请求内容已校验）
+ * @param {Object} req - 请求
+ * @param {Object} value - 校验后的请求内容
+ * @returns {Promise<Object>} 响应 { statusCode, body, headers }
+ */
+async function processGenerateRequest(req, value) {
+  const { postList } = value;
+
+  // 渲染队列已满时直接拒绝，由调用方稍后重试
+  if (getRenderer().isSaturated()) {
+    return {
+      statusCode: 503,
+      headers: { 'Retry-After': '30' },
+      body: {
+        success: false,
+        error: 'Render queue is full, please retry later',
+        type: 'RenderQueueFullError',
+        renderPool: getRenderer().getPoolStats(),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // 生成时间估算
+  const timeEstimate = imageGenerator.estimateGenerationTime(postList);
+  console.log(`⏱️  Estimated generation time: ${timeEstimate.estimatedTime}`);
+
+  // 预处理数据
+  const processedPosts = postList.map(post => {
+    try {
+      return imageGenerator.preprocessPostData(post, value.options.comments);
+    } catch (error) {
+      throw new Error(`Post ${post.id}: ${error.message}`);
+    }
+  });
+
+  // dry-run模式：只返回分页方案，便于在渲染前了解每个帖子会生成多少张卡片
+  if (value.dryRun) {
+    const { plans, failed } = await imageGenerator.planBatchCards(processedPosts, value.options);
+    console.log(`🧮 Dry run completed: ${plans.length}/${postList.length} posts planned`);
+
+    const response = {
+      success: true,
+      data: {
+        dryRun: true,
+        plans,
+        totalPosts: postList.length,
+        totalPages: plans.reduce((sum, plan) => sum + plan.totalPages, 0),
+        plannedAt: new Date().toISOString()
+      }
+    };
+    if (failed.length > 0) {
+      response.warnings = {
+        failedPosts: failed.length,
+        failures: failed
+      };
+    }
+    const condensedPosts = plans
+      .filter(plan => plan.condensed)
+      .map(plan => ({ postId: plan.postId, ...plan.condensed }));
+    if (condensedPosts.length > 0) {
+      response.warnings = {
+        ...response.warnings,
+        condensedPosts
+      };
+    }
+    const overflowPosts = plans
+      .filter(plan => plan.overflow.length > 0)
+      .map(plan => ({ postId: plan.postId, pages: plan.overflow }));
+    if (overflowPosts.length > 0) {
+      response.warnings = {
+        ...response.warnings,
+        overflowPosts
+      };
+    }
+    return { statusCode: 200, body: response };
+  }
+
+  // 构造基础URL
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const generateOptions = {
+    baseUrl,
+    timestamp: Date.now(),
+    cardOptions: value.options
+  };
+
+  // 异步任务模式：立即返回任务ID，由调用方轮询任务状态或等待callbackUrl推送结果
+  if (value.async) {
+    const job = jobService.createJob(processedPosts, generateOptions, {
+      callback: value.callbackUrl && {
+        url: value.callbackUrl,
+        secret: value.callbackSecret
+      }
+    });
+    console.log(`🗂️  Created job ${job.id} for ${postList.length} posts`);
+
+    return {
+      statusCode: 202,
+      body: {
+        success: true,
+        data: {
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `${baseUrl}/api/jobs/${job.id}`,
+          totalPosts: postList.length,
+          estimatedTime: timeEstimate.estimatedTime,
+          ...(job.callback && { callbackUrl: job.callback.url }),
+          createdAt: job.createdAt
+        }
+      }
+    };
+  }
+
+  // 批量生成图片
+  const batchResult = await imageGenerator.generateBatchCards(processedPosts, generateOptions);
+
+  // 构造响应数据
+  const response = imageGenerator.buildGenerationResponse(batchResult, postList.length);
+
+  console.log(`🎉 Request completed: ${batchResult.summary.successCount}/${postList.length} posts processed`);
+
+  // 同步模式下回调是额外的通知：响应照常返回，结果在后台推送，重试不会拖慢响应
+  if (value.callbackUrl) {
+    webhookService.deliverResult(
+      { url: value.callbackUrl, secret: value.callbackSecret },
+      { event: 'job.completed', ...response }
+    );
+  }
+
+  return { statusCode: 200, body: response };
+}
+
+/**
+ * 重复请求返回的任务状态以任务当前状态为准
+ * @param {Object} body - 原响应内容
+ * @returns {Object} 响应内容
+ */
+function refreshJobStatus(body) {
+  const job = body.data && body.data.jobId && jobService.getJob(body.data.jobId);
+  if (!job) {
+    return body;
+  }
+  return { ...body, data: { ...body.data, status: job.status } };
+}
+
 // POST /api/generate-cards - 生成Reddit卡片
 router.post('/generate-cards', async (req, res) => {
   try {
@@ -50,76 +302,367 @@ router.post('/generate-cards', async (req, res) => {
       });
     }
 
-    const { postList } = value;
-    console.log(`📊 Processing ${postList.length} posts`);
+    // 幂等键：优先使用Idempotency-Key请求头，其次是请求体中的requestId
+    const idempotencyKey = req.get('Idempotency-Key') || value.requestId;
+    if (idempotencyKey && idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input data',
+        details: [`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`]
+      });
+    }
+
+    console.log(`📊 Processing ${value.postList.length} posts`);
 
-    // 生成时间估算
-    const timeEstimate = imageGenerator.estimateGenerationTime(postList);
-    console.log(`⏱️  Estimated generation time: ${timeEstimate.estimatedTime}`);
+    const optionErrors = await validateDynamicOptions(value.options);
+    if (optionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input data',
+        details: optionErrors
+      });
+    }
 
-    // 预处理数据
-    const processedPosts = postList.map(post => {
-      try {
-        return imageGenerator.preprocessPostData(post);
-      } catch (error) {
-        throw new Error(`Post ${post.id}: ${error.message}`);
+    let result;
+    if (idempotencyKey) {
+      const { requestId, ...payload } = value;
+      result = await idempotencyService.execute(idempotencyKey, payload, () => processGenerateRequest(req, value));
+      if (result.replayed) {
+        console.log(`🔁 Replaying response for idempotency key ${idempotencyKey}`);
+        result.body = refreshJobStatus(result.body);
+        res.set('Idempotent-Replayed', 'true');
       }
+    } else {
+      result = await processGenerateRequest(req, value);
+    }
+
+    res.status(result.statusCode).set(result.headers || {}).json(result.body);
+
+  } catch (error) {
+    console.error('❌ Error in generate-cards:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate cards',
+      message: error.message,
+      ...(error.type && { type: error.type }),
+      timestamp: new Date().toISOString()
     });
+  }
+});
 
-    // 构造基础URL
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    
-    // 批量生成图片
-    const batchResult = await imageGenerator.generateBatchCards(processedPosts, {
-      baseUrl,
-      timestamp: Date.now()
+/**
+ * 渲染预览并按查询参数返回
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @param {Object} post - 帖子数据
+ * @param {Object} options - 卡片生成选项
+ */
+async function sendPreview(req, res, post, options) {
+  const { error: queryError, value: query } = previewQuerySchema.validate(req.query);
+  if (queryError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: queryError.details.map(d => d.message)
+    });
+  }
+
+  const optionErrors = await validateDynamicOptions(options);
+  if (optionErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input data',
+      details: optionErrors
     });
+  }
 
-    // 构造响应数据
-    const results = batchResult.successful.map(result => ({
-      postId: result.postId,
-      imageUrls: result.images.map(img => img.url),
-      imageCount: result.images.length
-    }));
+  const preview = await imageGenerator.renderPostPreview(imageGenerator.preprocessPostData(post, options.comments), options);
+  console.log(`👀 Rendered preview for post ${post.id}: ${preview.pages.length} pages`);
 
-    const response = {
-      success: true,
-      data: {
-        results,
-        totalPosts: postList.length,
-        totalImages: batchResult.summary.totalImages,
-        generatedAt: new Date().toISOString()
-      }
-    };
+  if (query.format === 'json') {
+    return res.json({ success: true, data: preview });
+  }
 
-    // 如果有失败的帖子，添加错误信息
-    if (batchResult.failed.length > 0) {
-      response.warnings = {
-        failedPosts: batchResult.failed.length,
-        failures: batchResult.failed
-      };
+  if (query.page) {
+    const page = preview.pages[query.page - 1];
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        error: `Page ${query.page} not found`,
+        totalPages: preview.pages.length
+      });
     }
+    return res.set('Content-Security-Policy', CARD_PREVIEW_CSP).type('html').send(page.html);
+  }
 
-    // 添加统计信息
-    if (batchResult.successful.length > 0) {
-      response.stats = imageGenerator.getGenerationStats(batchResult.successful);
+  res.set('Content-Security-Policy', PREVIEW_CSP).type('html').send(buildPreviewPage(preview));
+}
+
+// GET /api/preview - 使用test-data.json中的示例帖子预览，卡片选项通过查询参数传入
+router.get('/preview', async (req, res) => {
+  try {
+    const sample = parseInt(req.query.sample) || 0;
+    const post = sampleData.postList[sample];
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: `Sample post ${sample} not found`,
+        samples: sampleData.postList.length
+      });
     }
 
-    console.log(`🎉 Request completed: ${batchResult.summary.successCount}/${postList.length} posts processed`);
-    
-    res.json(response);
+    const { error, value: options } = cardOptionsSchema.validate(
+      Object.fromEntries(Object.entries(req.query).filter(([key]) => !['format', 'page', 'sample'].includes(key)))
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input data',
+        details: error.details.map(d => d.message)
+      });
+    }
 
+    await sendPreview(req, res, post, options);
   } catch (error) {
-    console.error('❌ Error in generate-cards:', error);
-    res.status(500).json({
+    console.error('❌ Error in preview:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to generate cards',
+      error: 'Failed to render preview',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+// POST /api/preview - 预览指定帖子，请求体为 { post, options }
+router.post('/preview', async (req, res) => {
+  try {
+    const { error, value } = previewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input data',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    await sendPreview(req, res, value.post, value.options);
+  } catch (error) {
+    console.error('❌ Error in preview:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to render preview',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/jobs/:id - 查询生成任务状态
+router.get('/jobs/:id', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      jobId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: jobService.getJobStatus(job)
+  });
+});
+
+// GET /api/jobs/:id/events - 以Server-Sent Events推送任务进度
+router.get('/jobs/:id/events', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      jobId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // 断线重连时从Last-Event-ID之后开始回放
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  jobService.getEventsSince(job, lastEventId).forEach(sendEvent);
+
+  if (jobService.isFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, SSE_HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobService.removeListener(job.id, onEvent);
+  };
+
+  const onEvent = (event) => {
+    sendEvent(event);
+    if (event.type === 'job_completed' || event.type === 'job_failed') {
+      cleanup();
+      res.end();
+    }
+  };
+
+  jobService.on(job.id, onEvent);
+  req.on('close', cleanup);
+});
+
+// GET /api/themes - 查询可用主题
+router.get('/themes', async (req, res) => {
+  res.json({
+    success: true,
+    data: await themeService.listThemes()
+  });
+});
+
+// POST /api/themes - 注册自定义主题（需要管理令牌）
+router.post('/themes', requireAdminToken, async (req, res) => {
+  try {
+    await themeService.ensureLoaded();
+    const theme = themeService.register(req.body);
+    console.log(`🎨 Registered theme: ${theme.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        name: theme.name,
+        label: theme.label || theme.name,
+        extends: theme.extends || null,
+        subreddits: theme.subreddits,
+        variables: theme.variables
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details }),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 模板接口的错误响应
+const sendTemplateError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { details: error.details }),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// GET /api/templates - 查询模板集
+router.get('/templates', async (req, res) => {
+  res.json({
+    success: true,
+    data: await templateService.listTemplateSets()
+  });
+});
+
+// POST /api/templates - 上传模板集新版本（JSON或multipart，需要管理令牌）
+router.post('/templates', requireAdminToken, templateUpload.any(), async (req, res) => {
+  try {
+    const templates = { ...(req.body.templates || {}) };
+    (req.files || []).forEach((file) => {
+      templates[file.fieldname.replace(/\.hbs$/, '')] = file.buffer.toString('utf-8');
+    });
+
+    const result = await templateService.upload({
+      name: req.body.name,
+      description: req.body.description,
+      templates
+    });
+    console.log(`🧩 Uploaded template set ${result.name} v${result.version}`);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+// GET /api/templates/:name - 查询模板集的所有版本
+router.get('/templates/:name', async (req, res) => {
+  const manifest = await templateService.getTemplateSet(req.params.name);
+  if (!manifest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template set not found',
+      name: req.params.name,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: manifest
+  });
+});
+
+// GET /api/templates/:name/versions/:version - 查询某一版本的模板源码
+router.get('/templates/:name/versions/:version', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await templateService.getSources(`${req.params.name}@${req.params.version}`)
+    });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+// GET /api/templates/:name/preview - 使用示例数据预览模板（返回HTML）
+router.get('/templates/:name/preview', async (req, res) => {
+  try {
+    const spec = req.query.version ? `${req.params.name}@${req.query.version}` : req.params.name;
+    const theme = await themeService.resolve(req.query.theme);
+    const size = getSizePreset(req.query.size);
+    const html = await templateService.preview(spec, req.query.template || 'main-card', {
+      ...theme.variables,
+      ...size.cssVariables
+    });
+
+    // 模板由调用方上传，预览以sandbox运行且禁止脚本
+    res.set('Content-Security-Policy', CARD_PREVIEW_CSP).type('html').send(html);
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+// GET /api/webhooks/deliveries - 查询最近的回调投递日志
+router.get('/webhooks/deliveries', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({
+    success: true,
+    data: webhookService.getDeliveryLog(limit)
+  });
+});
+
 // GET /api/info - 获取服务信息
 router.get('/info', (req, res) => {
   res.json({
@@ -127,7 +670,19 @@ router.get('/info', (req, res) => {
     version: '1.0.0',
     description: 'Generate beautiful cards from Reddit posts and comments',
     endpoints: {
-      'POST /api/generate-cards': 'Generate cards from Reddit post data',
+      'POST /api/generate-cards': 'Generate cards from Reddit post data (set async=true to run as a job, dryRun=true to only return the page plan)',
+      'GET /api/preview': 'Preview rendered card HTML of a sample post (no screenshots)',
+      'POST /api/preview': 'Preview rendered card HTML of a post (no screenshots)',
+      'GET /api/jobs/:id': 'Get generation job status, progress and results',
+      'GET /api/jobs/:id/events': 'Stream generation job progress as Server-Sent Events',
+      'GET /api/webhooks/deliveries': 'Get recent webhook callback delivery log',
+      'GET /api/themes': 'List available card themes',
+      'POST /api/themes': 'Register a custom card theme from JSON',
+      'GET /api/templates': 'List template sets',
+      'POST /api/templates': 'Upload a new version of a template set',
+      'GET /api/templates/:name': 'Get template set versions',
+      'GET /api/templates/:name/versions/:version': 'Get template sources of a version',
+      'GET /api/templates/:name/preview': 'Preview a template with sample data',
       'GET /api/info': 'Get service information'
     },
     supportedFeatures: [
@@ -135,8 +690,33 @@ router.get('/info', (req, res) => {
       '中英文混排支持',
       '自动内容分页',
       '评论卡片生成',
+      '楼中楼回复展示',
+      'TL;DR摘要卡片',
+      '异步任务与进度查询',
+      'SSE实时进度推送',
+      'Webhook结果回调',
+      'PNG/JPEG/WebP/AVIF输出格式',
+      '多页PDF导出',
+      '多平台尺寸预设',
+      '深色/高对比度及按subreddit配色主题',
+      '自定义模板上传与版本管理',
+      'HTML预览',
+      '分页方案预估（dry-run）',
+      '页数预算与内容自动压缩',
+      '评论筛选（前N条、点赞阈值、排除机器人与已删除、去重、截断）',
+      '帖子图片与图集展示',
+      '评论头像本地缓存与自动生成',
+      '相同内容复用已渲染的卡片',
+      '幂等请求（Idempotency-Key）',
+      '本地与S3兼容对象存储',
       'Reddit样式设计'
-    ]
+    ],
+    sizePresets: Object.entries(SIZE_PRESETS).map(([name, preset]) => ({
+      name,
+      label: preset.label,
+      width: preset.width,
+      height: preset.height
+    }))
   });
 });
 
@@ -0,0 +1,107 @@
+/**
+ * 评论头像服务
+ * 评论头像经本地缓存（与帖子图片分开存放）下载一次后以data URI内联，
+ * 没有头像或下载失败时按作者名生成确定性的头像
+ */
+
+const path = require('path');
+const { ErrorLogger } = require('../utils/errorHandler');
+const { decodeRedditUrl, isHttpUrl } = require('../utils/postMedia');
+const { generateAvatar, DEFAULT_AVATAR_STYLE } = require('../utils/avatarGenerator');
+const { ImageCacheService } = require('./imageCacheService');
+
+class AvatarService {
+  constructor() {
+    this.stats = {
+      cached: 0,
+      generated: 0,
+      failures: 0
+    };
+    this.cache = new ImageCacheService({
+      cacheDir: process.env.AVATAR_CACHE_DIR || path.join(__dirname, '../../data/avatar-cache'),
+      maxImageBytes: parseInt(process.env.AVATAR_MAX_BYTES) || 1024 * 1024,
+      maxCacheBytes: parseInt(process.env.AVATAR_CACHE_MAX_BYTES) || 50 * 1024 * 1024,
+      // 头像较小，超时更短，避免慢速头像拖慢整个帖子
+      fetchTimeout: parseInt(process.env.AVATAR_FETCH_TIMEOUT) || 5000,
+      maxDimension: 128
+    });
+  }
+
+  /**
+   * 获取单个评论作者的头像
+   * @param {string} author - 作者名
+   * @param {string} iconUrl - 头像地址（icon_img），可为空
+   * @param {string} [style] - 生成头像的样式
+   * @returns {Promise<Object>} { src, generated, error }
+   */
+  async resolveAvatar(author, iconUrl, style = DEFAULT_AVATAR_STYLE) {
+    if (isHttpUrl(iconUrl)) {
+      try {
+        const image = await this.cache.getDataUri(decodeRedditUrl(iconUrl));
+        this.stats.cached++;
+        return { src: image.src, generated: false, error: null };
+      } catch (error) {
+        this.stats.failures++;
+        this.stats.generated++;
+        return { src: generateAvatar(author, style), generated: true, error: error.message };
+      }
+    }
+
+    this.stats.generated++;
+    return { src: generateAvatar(author, style), generated: true, error: null };
+  }
+
+  /**
+   * 为帖子的所有评论准备头像，同一作者和头像地址只处理一次
+   * @param {Array<Object>} comments - 评论列表
+   * @param {string} [style] - 生成头像的样式
+   * @returns {Promise<Array<Object>>} 附带avatar（data URI）的评论列表
+   */
+  async prepareCommentAvatars(comments, style = DEFAULT_AVATAR_STYLE) {
+    const pending = new Map();
+    comments.forEach((comment) => {
+      const key = `${comment.author}\n${comment.icon_img || ''}`;
+      if (!pending.has(key)) {
+        pending.set(key, this.resolveAvatar(comment.author, comment.icon_img, style));
+      }
+    });
+
+    const avatars = new Map();
+    await Promise.all([...pending.entries()].map(async ([key, task]) => {
+      avatars.set(key, await task);
+    }));
+
+    // 下载失败的头像汇总为一条警告
+    const failed = [...avatars.values()].filter(avatar => avatar.error);
+    if (failed.length > 0) {
+      ErrorLogger.warn('Failed to load comment avatars, using generated avatars', {
+        count: failed.length,
+        error: failed[0].error
+      });
+    }
+
+    return comments.map(comment => ({
+      ...comment,
+      avatar: avatars.get(`${comment.author}\n${comment.icon_img || ''}`).src
+    }));
+  }
+
+  /**
+   * 获取头像统计
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      cache: this.cache.getStats()
+    };
+  }
+}
+
+// 单例模式
+const avatarService = new AvatarService();
+
+module.exports = {
+  AvatarService,
+  avatarService
+};
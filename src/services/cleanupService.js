@@ -1,25 +1,23 @@
 /**
  * 图片清理服务
- * 负责定时清理过期的图片文件
+ * 负责定时清理过期的图片文件（作用于当前启用的存储后端，见storageService）
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const { ErrorLogger } = require('../utils/errorHandler');
+const { buildFilePattern } = require('../utils/imageFormats');
+const { storageService } = require('./storageService');
 
 class CleanupService {
   constructor() {
     this.cleanupInterval = null;
     this.isRunning = false;
     this.config = {
-      // 清理目录
-      imageDir: path.join(__dirname, '../../public/images'),
       // 文件保留天数（可通过环境变量配置，默认1天）
       retentionDays: parseInt(process.env.CLEANUP_RETENTION_DAYS) || 1,
       // 定时任务时间（每天0点）
       cronTime: '0 0 * * *',
-      // 文件名匹配模式
-      filePattern: /^reddit_card_.*\.png$/,
+      // 文件名匹配模式（覆盖所有输出格式）
+      filePattern: buildFilePattern('reddit_card_', ['pdf']),
       // 是否启用清理（可通过环境变量控制）
       enabled: process.env.CLEANUP_ENABLED !== 'false'
     };
@@ -42,14 +40,15 @@ class CleanupService {
     this.isRunning = true;
     
     // 立即执行一次清理（用于测试和启动时清理）
-    this.performCleanup();
+    // 失败已在performCleanup中记录，存储暂时不可用时等待下次执行
+    this.performCleanup().catch(() => {});
     
     // 设置定时任务 - 每天午夜执行
     this.scheduleCleanup();
     
     ErrorLogger.info('Cleanup service started', {
       retentionDays: this.config.retentionDays,
-      imageDir: this.config.imageDir,
+      storage: storageService.describe(),
       enabled: this.config.enabled
     });
   }
@@ -79,11 +78,11 @@ class CleanupService {
     
     // 首次在午夜执行
     setTimeout(() => {
-      this.performCleanup();
+      this.performCleanup().catch(() => {});
       
       // 然后每24小时执行一次
       this.cleanupInterval = setInterval(() => {
-        this.performCleanup();
+        this.performCleanup().catch(() => {});
       }, 24 * 60 * 60 * 1000); // 24小时
       
     }, timeToMidnight);
@@ -114,7 +113,7 @@ class CleanupService {
       return stats;
     } catch (error) {
       ErrorLogger.log(error, 'Cleanup task failed', {
-        imageDir: this.config.imageDir,
+        storage: storageService.describe(),
         retentionDays: this.config.retentionDays
       });
       throw error;
@@ -133,53 +132,41 @@ class CleanupService {
       totalSizeFreed: 0
     };
 
-    try {
-      // 检查目录是否存在
-      await fs.access(this.config.imageDir);
-    } catch (error) {
-      ErrorLogger.warn('Images directory does not exist', {
-        directory: this.config.imageDir
-      });
-      return stats;
-    }
-
     // 计算截止时间
     const cutoffTime = Date.now() - (this.config.retentionDays * 24 * 60 * 60 * 1000);
     const cutoffDate = new Date(cutoffTime);
+    const storage = storageService.describe();
     
     ErrorLogger.info('Cleanup parameters', {
       cutoffDate: cutoffDate.toISOString(),
       retentionDays: this.config.retentionDays,
-      directory: this.config.imageDir
+      storage
     });
 
-    // 读取目录内容
-    const files = await fs.readdir(this.config.imageDir);
+    // 列出存储中的文件
+    const files = await storageService.list();
     
-    for (const filename of files) {
+    for (const file of files) {
       stats.filesScanned++;
       
       try {
         // 检查文件名是否匹配模式
-        if (!this.config.filePattern.test(filename)) {
+        if (!this.config.filePattern.test(file.key)) {
           stats.filesSkipped++;
           continue;
         }
-
-        const filepath = path.join(this.config.imageDir, filename);
-        const fileStat = await fs.stat(filepath);
         
         // 检查文件修改时间
-        if (fileStat.mtime.getTime() < cutoffTime) {
+        if (file.lastModified.getTime() < cutoffTime) {
           // 删除过期文件
-          await fs.unlink(filepath);
+          await storageService.delete(file.key);
           stats.filesDeleted++;
-          stats.totalSizeFreed += fileStat.size;
+          stats.totalSizeFreed += file.size;
           
           ErrorLogger.info('File deleted', {
-            filename,
-            fileAge: Math.round((Date.now() - fileStat.mtime.getTime()) / (24 * 60 * 60 * 1000)) + ' days',
-            fileSize: this.formatBytes(fileStat.size)
+            filename: file.key,
+            fileAge: Math.round((Date.now() - file.lastModified.getTime()) / (24 * 60 * 60 * 1000)) + ' days',
+            fileSize: this.formatBytes(file.size)
           });
         } else {
           stats.filesSkipped++;
@@ -187,8 +174,8 @@ class CleanupService {
       } catch (error) {
         stats.errors++;
         ErrorLogger.log(error, 'Error processing file', {
-          filename,
-          directory: this.config.imageDir
+          filename: file.key,
+          storage
         });
       }
     }
@@ -212,6 +199,7 @@ class CleanupService {
       isRunning: this.isRunning,
       config: {
         ...this.config,
+        storage: storageService.describe(),
         nextCleanup: this.getNextCleanupTime()
       }
     };
@@ -7,16 +7,60 @@ const handlebars = require('handlebars');
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { ErrorLogger } = require('../utils/errorHandler');
+const { getImageFormat, encodeImage } = require('../utils/imageFormats');
+const { splitBlocks, renderBlock, renderMarkdown, stripMarkdown } = require('../utils/markdown');
+const { PagePool } = require('./pagePool');
+
+const CSS_PATH = path.join(__dirname, '../templates/css/base.css');
+const TEMPLATE_DIR = path.join(__dirname, '../templates/html');
+const CSS_LINK_TAG = '<link rel="stylesheet" href="../css/base.css">';
+
+// 渲染页面默认只允许访问的外部域名（base.css引用的Google Fonts），其余请求一律拦截
+const DEFAULT_ALLOWED_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// 不产生网络访问的协议，始终放行
+const LOCAL_PROTOCOLS = ['data:', 'blob:', 'about:'];
+
+// 单张卡片最多渲染的段落/评论数量，分页时需遵守同样的上限
+const RENDER_LIMITS = {
+  contentZhParagraphs: 6,
+  summaryZhParagraphs: 4,
+  contentParagraphs: 5,
+  comments: 3
+};
+
+// 固定尺寸截图时追加的样式：去掉模板body的外边距，使卡片从(0,0)开始并恰好填满 width × height
+const FIXED_SIZE_CSS = 'html, body { margin: 0 !important; padding: 0 !important; }';
 
 /**
  * HTML渲染器类
  */
 class HTMLRenderer {
   constructor() {
-    this.browser = null;
+    this.network = {
+      // 逗号分隔，*.example.com 匹配所有子域名；设置为空字符串则禁止所有外部请求
+      allowedHosts: process.env.RENDER_ALLOWED_HOSTS !== undefined
+        ? process.env.RENDER_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_ALLOWED_HOSTS,
+      allowed: 0,
+      blocked: 0,
+      lastBlockedUrl: null
+    };
+    this.pool = new PagePool({
+      launchBrowser: () => this.launchBrowser(),
+      setupPage: page => this.setupPage(page),
+      size: parseInt(process.env.RENDER_POOL_SIZE) || 4,
+      browserCount: parseInt(process.env.RENDER_BROWSER_COUNT) || 1,
+      queueLimit: parseInt(process.env.RENDER_QUEUE_LIMIT) || 100,
+      acquireTimeout: parseInt(process.env.RENDER_ACQUIRE_TIMEOUT_MS) || 60000,
+      maxUsesPerPage: parseInt(process.env.RENDER_PAGE_MAX_USES) || 50,
+      renderTimeout: parseInt(process.env.RENDER_TIMEOUT_MS) || 30000
+    });
     this.templates = new Map();
     this.compiledTemplates = new Map();
+    this.fingerprints = new Map();
     this.setupHelpers();
   }
 
@@ -51,6 +95,11 @@ class HTMLRenderer {
       return text.split('\n').filter(p => p.trim().length > 0);
     });
 
+    // Reddit Markdown渲染（输出已转义的安全HTML）
+    handlebars.registerHelper('markdown', (text) => {
+      return new handlebars.SafeString(renderMarkdown(text || ''));
+    });
+
     // 条件判断
     handlebars.registerHelper('ifCond', function(v1, operator, v2, options) {
       switch (operator) {
@@ -86,15 +135,12 @@ class HTMLRenderer {
   }
 
   /**
-   * 初始化浏览器
+   * 启动一个浏览器实例（由页面池调用）
+   * @returns {Promise<Browser>} 浏览器实例
    */
-  async initBrowser() {
-    if (this.browser) {
-      return this.browser;
-    }
-
+  async launchBrowser() {
     try {
-      this.browser = await puppeteer.launch({
+      const browser = await puppeteer.launch({
         headless: 'new',
         args: [
           '--no-sandbox',
@@ -108,28 +154,135 @@ class HTMLRenderer {
       });
 
       ErrorLogger.info('Puppeteer browser initialized successfully');
-      return this.browser;
+      return browser;
     } catch (error) {
-      ErrorLogger.log(error, { context: 'initBrowser' });
+      ErrorLogger.log(error, { context: 'launchBrowser' });
       throw new Error(`Failed to initialize browser: ${error.message}`);
     }
   }
 
+  /**
+   * 初始化新建的页面：禁用页面脚本，拦截所有请求，只放行本地资源和白名单域名
+   * 帖子图片和头像已由服务端下载并内联，模板中的外部地址（如自定义模板直接引用icon_img）不会被访问
+   * 请求拦截不覆盖WebSocket，禁用脚本后模板无法发起此类连接；page.evaluate不受影响，测量照常进行
+   * @param {Object} page - Puppeteer页面
+   */
+  async setupPage(page) {
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (this.isRequestAllowed(request.url())) {
+        this.network.allowed++;
+        request.continue();
+        return;
+      }
+
+      this.network.blocked++;
+      this.network.lastBlockedUrl = request.url().slice(0, 200);
+      request.abort('blockedbyclient');
+    });
+  }
+
+  /**
+   * 渲染页面发起的请求是否放行
+   * @param {string} url - 请求地址
+   * @returns {boolean}
+   */
+  isRequestAllowed(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    if (LOCAL_PROTOCOLS.includes(target.protocol)) {
+      return true;
+    }
+    if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+      return false;
+    }
+
+    const hostname = target.hostname.toLowerCase();
+    return this.network.allowedHosts.some(host => (host.startsWith('*.')
+      ? hostname.endsWith(host.slice(1))
+      : hostname === host));
+  }
+
+  /**
+   * 从页面池借用页面执行操作
+   * @param {Function} fn - 接收page参数的异步函数
+   * @returns {Promise<*>} fn的返回值
+   */
+  async withPage(fn) {
+    return this.pool.withPage(fn);
+  }
+
+  /**
+   * 获取页面池状态
+   * @returns {Object} 页面池状态
+   */
+  getPoolStats() {
+    const { allowedHosts, allowed, blocked, lastBlockedUrl } = this.network;
+    return {
+      ...this.pool.getStats(),
+      network: { allowedHosts, allowed, blocked, lastBlockedUrl }
+    };
+  }
+
+  /**
+   * 渲染队列是否已满
+   * @returns {boolean}
+   */
+  isSaturated() {
+    return this.pool.isSaturated();
+  }
+
+  /**
+   * 将模板中的样式表链接替换为内联CSS
+   * @param {string} html - 渲染后的HTML
+   * @param {Object} [cssVariables] - 覆盖base.css中的CSS自定义属性（如卡片尺寸）
+   * @returns {Promise<string>} 内联样式后的HTML
+   */
+  async inlineStyles(html, cssVariables = {}) {
+    const cssContent = await fs.readFile(CSS_PATH, 'utf-8');
+    const overrides = Object.entries(cssVariables)
+      .map(([name, value]) => `${name}: ${value};`)
+      .join(' ');
+    const rootOverrides = overrides ? `\n:root { ${overrides} }` : '';
+    // 使用函数替换，避免CSS中的$字符被当作替换模式
+    return html.replace(CSS_LINK_TAG, () => `<style>${cssContent}${rootOverrides}</style>`);
+  }
+
+  /**
+   * 模板缓存键（自定义模板集的版本不可变，可按版本永久缓存）
+   * @param {string} templateName - 模板名称
+   * @param {Object} [templateSet] - 模板集，见templateService.resolve
+   * @returns {string} 缓存键
+   */
+  getTemplateKey(templateName, templateSet) {
+    return templateSet ? `${templateSet.id}/${templateName}` : templateName;
+  }
+
   /**
    * 加载HTML模板
    * @param {string} templateName - 模板名称
+   * @param {Object} [templateSet] - 模板集，未包含该模板时使用内置模板
    * @returns {Promise<string>} 模板内容
    */
-  async loadTemplate(templateName) {
-    if (this.templates.has(templateName)) {
-      return this.templates.get(templateName);
+  async loadTemplate(templateName, templateSet = null) {
+    const key = this.getTemplateKey(templateName, templateSet);
+    if (this.templates.has(key)) {
+      return this.templates.get(key);
     }
 
     try {
-      const templatePath = path.join(__dirname, '../templates/html', `${templateName}.hbs`);
+      const templatePath = templateSet && templateSet.templates.includes(templateName)
+        ? path.join(templateSet.dir, `${templateName}.hbs`)
+        : path.join(TEMPLATE_DIR, `${templateName}.hbs`);
       const templateContent = await fs.readFile(templatePath, 'utf-8');
       
-      this.templates.set(templateName, templateContent);
+      this.templates.set(key, templateContent);
       return templateContent;
     } catch (error) {
       ErrorLogger.log(error, { templateName, context: 'loadTemplate' });
@@ -137,21 +290,41 @@ class HTMLRenderer {
     }
   }
 
+  /**
+   * 模板指纹：模板源码与base.css内容的哈希，模板或样式变化后指纹随之变化（用于渲染缓存键）
+   * @param {string} templateName - 模板名称
+   * @param {Object} [templateSet] - 模板集
+   * @returns {Promise<string>} 指纹
+   */
+  async getTemplateFingerprint(templateName, templateSet = null) {
+    const key = this.getTemplateKey(templateName, templateSet);
+    if (!this.fingerprints.has(key)) {
+      const [source, css] = await Promise.all([
+        this.loadTemplate(templateName, templateSet),
+        fs.readFile(CSS_PATH, 'utf-8')
+      ]);
+      this.fingerprints.set(key, crypto.createHash('sha256').update(source).update(css).digest('hex'));
+    }
+    return this.fingerprints.get(key);
+  }
+
   /**
    * 编译模板
    * @param {string} templateName - 模板名称
+   * @param {Object} [templateSet] - 模板集
    * @returns {Promise<Function>} 编译后的模板函数
    */
-  async compileTemplate(templateName) {
-    if (this.compiledTemplates.has(templateName)) {
-      return this.compiledTemplates.get(templateName);
+  async compileTemplate(templateName, templateSet = null) {
+    const key = this.getTemplateKey(templateName, templateSet);
+    if (this.compiledTemplates.has(key)) {
+      return this.compiledTemplates.get(key);
     }
 
     try {
-      const templateContent = await this.loadTemplate(templateName);
+      const templateContent = await this.loadTemplate(templateName, templateSet);
       const compiled = handlebars.compile(templateContent);
       
-      this.compiledTemplates.set(templateName, compiled);
+      this.compiledTemplates.set(key, compiled);
       return compiled;
     } catch (error) {
       ErrorLogger.log(error, { templateName, context: 'compileTemplate' });
@@ -162,40 +335,47 @@ class HTMLRenderer {
   /**
    * 预处理数据，添加段落分割等
    * @param {Object} data - 原始数据
+   * @param {Object} options - 预处理选项
+   * @param {boolean} [options.applyLimits=true] - 是否应用RENDER_LIMITS（分页测量时关闭）
    * @returns {Object} 处理后的数据
    */
-  preprocessData(data) {
+  preprocessData(data, options = {}) {
+    const { applyLimits = true } = options;
+    const limit = (items, max) => (applyLimits ? items.slice(0, max) : items);
     const processed = { ...data };
 
-    // 处理内容分段
+    // 处理内容分段：按Markdown块分段，*_html为渲染后的HTML，*_paragraphs为纯文本（供只输出文本的自定义模板使用）
+    const processBlocks = (field, max) => {
+      const blocks = limit(splitBlocks(processed[field]), max);
+      processed[`${field}_paragraphs`] = blocks.map(stripMarkdown);
+      processed[`${field}_html`] = new handlebars.SafeString(blocks.map(renderBlock).join(''));
+    };
+
     if (processed.content_zh) {
-      processed.content_zh_paragraphs = processed.content_zh
-        .split('\n')
-        .filter(p => p.trim().length > 0)
-        .slice(0, 6); // 最多6个段落
+      processBlocks('content_zh', RENDER_LIMITS.contentZhParagraphs);
     }
 
     if (processed.summary_zh) {
-      processed.summary_zh_paragraphs = processed.summary_zh
-        .split('\n')
-        .filter(p => p.trim().length > 0)
-        .slice(0, 4); // 最多4个段落
+      processBlocks('summary_zh', RENDER_LIMITS.summaryZhParagraphs);
     }
 
     if (processed.content) {
-      processed.content_paragraphs = processed.content
-        .split('\n')
-        .filter(p => p.trim().length > 0)
-        .slice(0, 5); // 最多5个段落
+      processBlocks('content', RENDER_LIMITS.contentParagraphs);
     }
 
     // 处理评论数据
     if (processed.comments && Array.isArray(processed.comments)) {
-      processed.comments = processed.comments.slice(0, 3).map(comment => ({
-        ...comment,
-        body_zh: comment.body_zh || comment.body,
-        body: comment.body_zh ? comment.body : null // 如果有中文就隐藏英文
-      }));
+      processed.comments = limit(processed.comments, RENDER_LIMITS.comments).map((comment) => {
+        const bodyZh = comment.body_zh || comment.body;
+        const body = comment.body_zh ? comment.body : null; // 如果有中文就隐藏英文
+        return {
+          ...comment,
+          body_zh: bodyZh,
+          body,
+          body_zh_html: new handlebars.SafeString(renderMarkdown(bodyZh || '')),
+          body_html: body ? new handlebars.SafeString(renderMarkdown(body)) : null
+        };
+      });
     }
 
     return processed;
@@ -205,12 +385,14 @@ class HTMLRenderer {
    * 渲染HTML内容
    * @param {string} templateName - 模板名称
    * @param {Object} data - 数据
+   * @param {Object} options - 预处理选项，见preprocessData
+   * @param {Object} [options.templateSet] - 使用的模板集
    * @returns {Promise<string>} 渲染后的HTML
    */
-  async renderHTML(templateName, data) {
+  async renderHTML(templateName, data, options = {}) {
     try {
-      const template = await this.compileTemplate(templateName);
-      const processedData = this.preprocessData(data);
+      const template = await this.compileTemplate(templateName, options.templateSet);
+      const processedData = this.preprocessData(data, options);
       
       const html = template(processedData);
       return html;
@@ -220,6 +402,82 @@ class HTMLRenderer {
     }
   }
 
+  /**
+   * 在页面中加载卡片HTML并计算截图高度
+   * @param {Object} page - Puppeteer页面
+   * @param {string} fullHTML - 内联样式后的完整HTML
+   * @param {Object} options - 视口选项
+   * @returns {Promise<number>} 卡片实际高度
+   */
+  async loadCard(page, fullHTML, options) {
+    const { width, height, deviceScaleFactor, autoHeight } = options;
+
+    // 设置一个较大的初始视口，用于测量内容
+    await page.setViewport({
+      width,
+      height: Math.max(height, 2000), // 确保有足够空间
+      deviceScaleFactor
+    });
+
+    // 设置HTML内容
+    await page.setContent(fullHTML, {
+      waitUntil: ['networkidle0', 'domcontentloaded']
+    });
+
+    // 等待字体加载
+    await page.evaluateHandle('document.fonts.ready');
+
+    let actualHeight = height;
+
+    if (autoHeight) {
+      // 测量实际内容高度
+      actualHeight = await page.evaluate(() => {
+        const body = document.body;
+        const card = document.querySelector('.card');
+        if (card && body) {
+          // 获取body的完整高度
+          const bodyRect = body.getBoundingClientRect();
+          const cardRect = card.getBoundingClientRect();
+          const cardScrollHeight = card.scrollHeight;
+          const cardOffsetHeight = card.offsetHeight;
+
+          // 计算body的padding
+          const bodyStyle = window.getComputedStyle(body);
+          const bodyPaddingTop = parseFloat(bodyStyle.paddingTop) || 0;
+          const bodyPaddingBottom = parseFloat(bodyStyle.paddingBottom) || 0;
+
+          // 计算实际需要的高度
+          const cardHeight = Math.max(cardRect.height, cardScrollHeight, cardOffsetHeight);
+          const totalHeight = cardHeight + bodyPaddingTop + bodyPaddingBottom;
+
+          console.log('Card height measurements:', {
+            bodyHeight: bodyRect.height,
+            cardBoundingRect: cardRect.height,
+            cardScrollHeight,
+            cardOffsetHeight,
+            bodyPaddingTop,
+            bodyPaddingBottom,
+            calculatedTotal: totalHeight
+          });
+
+          // 使用计算出的总高度，并添加一些安全边距
+          return totalHeight + 20;
+        }
+        return 1200; // 默认高度
+      });
+
+      console.log(`🎯 Auto-calculated image height: ${actualHeight}`);
+
+      // 限制最大高度以避免过大的图片
+      actualHeight = Math.min(actualHeight, 3000);
+      actualHeight = Math.max(actualHeight, 400); // 确保最小高度
+    } else {
+      await page.addStyleTag({ content: FIXED_SIZE_CSS });
+    }
+
+    return actualHeight;
+  }
+
   /**
    * 将HTML转换为图片
    * @param {string} html - HTML内容
@@ -232,108 +490,83 @@ class HTMLRenderer {
       height = 1000,
       deviceScaleFactor = 2,
       quality = 90,
+      format = 'png',
+      cssVariables = {},
       autoHeight = true  // 新增：自动计算高度
     } = options;
-
-    let page = null;
+    const formatConfig = getImageFormat(format);
 
     try {
-      const browser = await this.initBrowser();
-      page = await browser.newPage();
-
-      // 设置一个较大的初始视口，用于测量内容
-      await page.setViewport({
-        width,
-        height: Math.max(height, 2000), // 确保有足够空间
-        deviceScaleFactor
+      // 构建完整的HTML，内联CSS
+      const fullHTML = await this.inlineStyles(html, cssVariables);
+
+      const screenshot = await this.withPage(async (page) => {
+        const actualHeight = await this.loadCard(page, fullHTML, { width, height, deviceScaleFactor, autoHeight });
+
+        // 截图（PNG不支持quality参数）
+        const screenshotOptions = {
+          type: formatConfig.screenshotType,
+          fullPage: false,
+          clip: {
+            x: 0,
+            y: 0,
+            width,
+            height: actualHeight
+          },
+          omitBackground: false
+        };
+        if (formatConfig.screenshotType !== 'png') {
+          screenshotOptions.quality = quality;
+        }
+
+        return page.screenshot(screenshotOptions);
       });
 
-      // 加载CSS文件路径
-      const cssPath = path.join(__dirname, '../templates/css/base.css');
-      const cssContent = await fs.readFile(cssPath, 'utf-8');
+      // 需要二次编码的格式在归还页面后再编码，避免占用渲染页面
+      return await encodeImage(Buffer.from(screenshot), format, quality);
 
-      // 构建完整的HTML，内联CSS
-      const fullHTML = html.replace(
-        '<link rel="stylesheet" href="../css/base.css">',
-        `<style>${cssContent}</style>`
-      );
-
-      // 设置HTML内容
-      await page.setContent(fullHTML, {
-        waitUntil: ['networkidle0', 'domcontentloaded']
-      });
+    } catch (error) {
+      ErrorLogger.log(error, { context: 'htmlToImage' });
+      throw new Error(`Failed to convert HTML to image: ${error.message}`);
+    }
+  }
 
-      // 等待字体加载
-      await page.evaluateHandle('document.fonts.ready');
+  /**
+   * 将HTML转换为单页PDF，页面尺寸与卡片截图一致
+   * @param {string} html - HTML内容
+   * @param {Object} options - 渲染选项
+   * @returns {Promise<Buffer>} PDF Buffer
+   */
+  async htmlToPdf(html, options = {}) {
+    const {
+      width = 750,
+      height = 1000,
+      cssVariables = {},
+      autoHeight = true
+    } = options;
 
-      let actualHeight = height;
-      
-      if (autoHeight) {
-        // 测量实际内容高度
-        actualHeight = await page.evaluate(() => {
-          const body = document.body;
-          const card = document.querySelector('.card');
-          if (card && body) {
-            // 获取body的完整高度
-            const bodyRect = body.getBoundingClientRect();
-            const cardRect = card.getBoundingClientRect();
-            const cardScrollHeight = card.scrollHeight;
-            const cardOffsetHeight = card.offsetHeight;
-            
-            // 计算body的padding
-            const bodyStyle = window.getComputedStyle(body);
-            const bodyPaddingTop = parseFloat(bodyStyle.paddingTop) || 0;
-            const bodyPaddingBottom = parseFloat(bodyStyle.paddingBottom) || 0;
-            
-            // 计算实际需要的高度
-            const cardHeight = Math.max(cardRect.height, cardScrollHeight, cardOffsetHeight);
-            const totalHeight = cardHeight + bodyPaddingTop + bodyPaddingBottom;
-            
-            console.log('Card height measurements:', {
-              bodyHeight: bodyRect.height,
-              cardBoundingRect: cardRect.height,
-              cardScrollHeight,
-              cardOffsetHeight,
-              bodyPaddingTop,
-              bodyPaddingBottom,
-              calculatedTotal: totalHeight
-            });
-            
-            // 使用计算出的总高度，并添加一些安全边距
-            return totalHeight + 20;
-          }
-          return 1200; // 默认高度
+    try {
+      const fullHTML = await this.inlineStyles(html, cssVariables);
+
+      return await this.withPage(async (page) => {
+        const actualHeight = await this.loadCard(page, fullHTML, { width, height, deviceScaleFactor: 1, autoHeight });
+
+        // 使用屏幕样式而非打印样式，保证与图片一致
+        await page.emulateMediaType('screen');
+        const pdf = await page.pdf({
+          width: `${width}px`,
+          height: `${Math.ceil(actualHeight)}px`,
+          printBackground: true,
+          pageRanges: '1',
+          margin: { top: 0, right: 0, bottom: 0, left: 0 }
         });
-        
-        console.log(`🎯 Auto-calculated image height: ${actualHeight}`);
-        
-        // 限制最大高度以避免过大的图片
-        actualHeight = Math.min(actualHeight, 3000);
-        actualHeight = Math.max(actualHeight, 400); // 确保最小高度
-      }
 
-      // 截图
-      const screenshot = await page.screenshot({
-        type: 'png',
-        fullPage: false,
-        clip: {
-          x: 0,
-          y: 0,
-          width,
-          height: actualHeight
-        },
-        omitBackground: false
+        return Buffer.from(pdf);
       });
 
-      return screenshot;
-
     } catch (error) {
-      ErrorLogger.log(error, { context: 'htmlToImage' });
-      throw new Error(`Failed to convert HTML to image: ${error.message}`);
-    } finally {
-      if (page) {
-        await page.close();
-      }
+      ErrorLogger.log(error, { context: 'htmlToPdf' });
+      throw new Error(`Failed to convert HTML to PDF: ${error.message}`);
     }
   }
 
@@ -350,7 +583,7 @@ class HTMLRenderer {
         dataKeys: Object.keys(data)
       });
 
-      const html = await this.renderHTML(templateName, data);
+      const html = await this.renderHTML(templateName, data, { templateSet: options.templateSet });
       const imageBuffer = await this.htmlToImage(html, options);
 
       ErrorLogger.info(`Card rendered successfully`, {
@@ -366,22 +599,50 @@ class HTMLRenderer {
   }
 
   /**
-   * 关闭浏览器
+   * 渲染卡片并生成单页PDF
+   * @param {string} templateName - 模板名称
+   * @param {Object} data - 数据
+   * @param {Object} options - 渲染选项
+   * @returns {Promise<Buffer>} PDF Buffer
    */
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      ErrorLogger.info('Puppeteer browser closed');
+  async renderCardPdf(templateName, data, options = {}) {
+    try {
+      const html = await this.renderHTML(templateName, data, { templateSet: options.templateSet });
+      return await this.htmlToPdf(html, options);
+    } catch (error) {
+      ErrorLogger.log(error, { templateName, context: 'renderCardPdf' });
+      throw error;
     }
   }
 
+  /**
+   * 关闭页面池及浏览器
+   */
+  async close() {
+    await this.pool.close();
+    ErrorLogger.info('Puppeteer browser closed');
+  }
+
+  /**
+   * 使单个内置模板的缓存失效
+   * 自定义模板集未包含的模板回退到内置模板，但以 `模板集/模板名` 为键缓存，需一并删除
+   * @param {string} templateName - 模板名称
+   */
+  invalidateTemplate(templateName) {
+    const matches = key => key === templateName || key.endsWith(`/${templateName}`);
+    [this.templates, this.compiledTemplates, this.fingerprints].forEach((cache) => {
+      Array.from(cache.keys()).filter(matches).forEach(key => cache.delete(key));
+    });
+    ErrorLogger.info('Template cache invalidated', { templateName });
+  }
+
   /**
    * 清理缓存
    */
   clearCache() {
     this.templates.clear();
     this.compiledTemplates.clear();
+    this.fingerprints.clear();
     ErrorLogger.info('Template cache cleared');
   }
 }
@@ -411,6 +672,8 @@ async function closeRenderer() {
 }
 
 module.exports = {
+  RENDER_LIMITS,
+  FIXED_SIZE_CSS,
   HTMLRenderer,
   getRenderer,
   closeRenderer
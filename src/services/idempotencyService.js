@@ -0,0 +1,112 @@
+/**
+ * 幂等请求服务
+ * 调用方（如n8n的HTTP节点）失败重试时会重复提交相同的请求，携带相同幂等键的请求在有效期内：
+ * - 原请求已完成：直接返回原响应，不再重新生成
+ * - 原请求仍在处理：等待原请求完成后返回相同的响应
+ * 异步任务模式下原响应包含任务ID，重复请求因此会关联到同一个任务
+ */
+
+const crypto = require('crypto');
+const { SimpleCache } = require('../utils/performance');
+const { ErrorLogger, IdempotencyConflictError } = require('../utils/errorHandler');
+const { stableStringify } = require('./renderCache');
+
+// 幂等键最大长度
+const MAX_KEY_LENGTH = 255;
+
+class IdempotencyService {
+  constructor() {
+    this.config = {
+      // 幂等键有效期（分钟，从原请求完成时开始计算，默认与任务保留时间一致）
+      windowMinutes: parseInt(process.env.IDEMPOTENCY_WINDOW_MINUTES) || 60,
+      // 最多保存的响应数，超出后淘汰最早的记录
+      maxKeys: parseInt(process.env.IDEMPOTENCY_MAX_KEYS) || 10000
+    };
+    this.responses = new SimpleCache(this.config.maxKeys, this.config.windowMinutes * 60 * 1000);
+    // 处理中的请求：幂等键 -> { fingerprint, promise }
+    this.inflight = new Map();
+    this.stats = {
+      replays: 0,
+      attached: 0,
+      conflicts: 0
+    };
+  }
+
+  /**
+   * 计算请求内容指纹，用于识别复用了幂等键的不同请求
+   * @param {Object} payload - 校验后的请求内容（不含幂等键本身）
+   * @returns {string} 十六进制哈希
+   */
+  getFingerprint(payload) {
+    return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+  }
+
+  /**
+   * 以幂等方式执行请求
+   * 只保存成功（非5xx）的响应，处理失败时删除记录，调用方重试时会重新执行
+   * @param {string} key - 幂等键
+   * @param {Object} payload - 校验后的请求内容
+   * @param {Function} handler - 实际处理函数，返回 { statusCode, body, headers }
+   * @returns {Promise<Object>} { statusCode, body, headers, replayed }
+   * @throws {IdempotencyConflictError} 幂等键已用于不同内容的请求
+   */
+  async execute(key, payload, handler) {
+    const fingerprint = this.getFingerprint(payload);
+    const existing = this.responses.get(key) || this.inflight.get(key);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        this.stats.conflicts++;
+        throw new IdempotencyConflictError(
+          'Idempotency key was already used with a different request body',
+          key
+        );
+      }
+
+      if (existing.promise) {
+        this.stats.attached++;
+        ErrorLogger.info('Attached to in-flight idempotent request', { idempotencyKey: key });
+      } else {
+        this.stats.replays++;
+      }
+      const response = await (existing.promise || existing.response);
+      return { ...response, replayed: true };
+    }
+
+    const promise = Promise.resolve().then(handler);
+    this.inflight.set(key, { fingerprint, promise });
+
+    try {
+      const response = await promise;
+      if (response.statusCode < 500) {
+        this.responses.set(key, { fingerprint, response });
+      }
+      return { ...response, replayed: false };
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    this.responses.cleanup();
+    return {
+      keys: this.responses.size(),
+      inflight: this.inflight.size,
+      windowMinutes: this.config.windowMinutes,
+      ...this.stats
+    };
+  }
+}
+
+// 单例模式
+const idempotencyService = new IdempotencyService();
+
+module.exports = {
+  IdempotencyService,
+  idempotencyService,
+  MAX_KEY_LENGTH
+};
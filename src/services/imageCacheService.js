@@ -0,0 +1,318 @@
+/**
+ * 图片缓存服务
+ * 下载帖子图片（单图、图集、缩略图）和评论头像并缓存到本地磁盘，限制单张图片和缓存总大小，
+ * 渲染时以data URI内联到卡片中，避免Puppeteer渲染时再访问外部网络
+ * 图片文件按内容哈希命名，不同URL指向相同内容时只保存一份
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ErrorLogger, MediaFetchError } = require('../utils/errorHandler');
+const { safeFetch } = require('../utils/safeFetch');
+
+class ImageCacheService {
+  /**
+   * @param {Object} [options] - 覆盖默认配置（见this.config）
+   */
+  constructor(options = {}) {
+    this.index = new Map();
+    // 内容文件 -> { bytes, refs }，多个URL可能引用同一文件
+    this.files = new Map();
+    this.inflight = new Map();
+    // 下载失败的URL -> { error, expiresAt }，短时间内不再重复请求
+    this.failures = new Map();
+    this.loadPromise = null;
+    this.totalBytes = 0;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      failures: 0,
+      evictions: 0
+    };
+    this.config = {
+      // 缓存目录
+      cacheDir: process.env.IMAGE_CACHE_DIR || path.join(__dirname, '../../data/image-cache'),
+      // 单张图片下载大小上限（字节）
+      maxImageBytes: parseInt(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024,
+      // 缓存总大小上限（字节），超出后按最近访问时间淘汰
+      maxCacheBytes: parseInt(process.env.IMAGE_CACHE_MAX_BYTES) || 200 * 1024 * 1024,
+      // 下载超时（毫秒）
+      fetchTimeout: parseInt(process.env.IMAGE_FETCH_TIMEOUT) || 10000,
+      // 缓存图片的最大边长，大图会被缩小后再缓存
+      maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION) || 1800,
+      // 是否允许下载内网地址的图片（仅用于本地开发调试）
+      allowPrivateNetworks: process.env.IMAGE_ALLOW_PRIVATE_NETWORKS === 'true',
+      // 下载失败后的重试间隔（毫秒）
+      failureTtl: parseInt(process.env.IMAGE_FAILURE_TTL) || 10 * 60 * 1000,
+      ...options
+    };
+  }
+
+  /**
+   * 确保已从磁盘加载缓存索引
+   */
+  async ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadIndex();
+    }
+    await this.loadPromise;
+  }
+
+  /**
+   * 读取缓存目录下所有图片的元数据
+   */
+  async loadIndex() {
+    let files;
+    try {
+      files = await fs.readdir(this.config.cacheDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        ErrorLogger.log(error, { context: 'loadImageCache' });
+      }
+      return;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(this.config.cacheDir, file), 'utf-8'));
+        this.index.set(meta.key, meta);
+        this.addFileRef(meta);
+      } catch (error) {
+        ErrorLogger.warn(`Skipping invalid image cache entry: ${file}`, { error: error.message });
+      }
+    }
+
+    ErrorLogger.info('Image cache loaded', { entries: this.index.size, bytes: this.totalBytes });
+  }
+
+  /**
+   * 计算sha256哈希，用作URL的缓存键和内容文件名
+   * @param {string|Buffer} value - URL或图片内容
+   * @returns {string} 十六进制哈希
+   */
+  getKey(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * 记录缓存条目对内容文件的引用
+   * @param {Object} meta - 缓存条目
+   * @returns {boolean} 是否为新文件
+   */
+  addFileRef(meta) {
+    const file = this.files.get(meta.file);
+    if (file) {
+      file.refs++;
+      return false;
+    }
+    this.files.set(meta.file, { bytes: meta.bytes, refs: 1 });
+    this.totalBytes += meta.bytes;
+    return true;
+  }
+
+  /**
+   * 获取图片（优先读取缓存），同一URL的并发请求共用一次下载
+   * @param {string} url - 图片URL
+   * @returns {Promise<Object>} { buffer, contentType, width, height }
+   */
+  async getImage(url) {
+    await this.ensureLoaded();
+    const key = this.getKey(url);
+
+    const meta = this.index.get(key);
+    if (meta) {
+      try {
+        const buffer = await fs.readFile(path.join(this.config.cacheDir, meta.file));
+        meta.lastAccess = Date.now();
+        this.stats.hits++;
+        return { buffer, contentType: meta.contentType, width: meta.width, height: meta.height };
+      } catch (error) {
+        // 缓存文件被外部删除时重新下载
+        await this.removeEntry(key);
+      }
+    }
+
+    const failure = this.failures.get(key);
+    if (failure && failure.expiresAt > Date.now()) {
+      throw failure.error;
+    }
+
+    if (!this.inflight.has(key)) {
+      this.stats.misses++;
+      const task = this.fetchAndStore(key, url).finally(() => this.inflight.delete(key));
+      this.inflight.set(key, task);
+    }
+    return this.inflight.get(key);
+  }
+
+  /**
+   * 获取图片并转换为可直接内联到HTML中的data URI
+   * @param {string} url - 图片URL
+   * @returns {Promise<Object>} { src, width, height }
+   */
+  async getDataUri(url) {
+    const image = await this.getImage(url);
+    return {
+      src: `data:${image.contentType};base64,${image.buffer.toString('base64')}`,
+      width: image.width,
+      height: image.height
+    };
+  }
+
+  /**
+   * 下载、标准化并写入缓存
+   * @param {string} key - 缓存键
+   * @param {string} url - 图片URL
+   * @returns {Promise<Object>} 图片数据
+   */
+  async fetchAndStore(key, url) {
+    let image;
+    try {
+      const downloaded = await this.fetchImage(url);
+      image = await this.normalizeImage(downloaded.buffer);
+    } catch (error) {
+      this.stats.failures++;
+      const fetchError = error instanceof MediaFetchError ? error : new MediaFetchError(error.message, url);
+      const now = Date.now();
+      this.failures.forEach((failure, failedKey) => {
+        if (failure.expiresAt <= now) {
+          this.failures.delete(failedKey);
+        }
+      });
+      this.failures.set(key, { error: fetchError, expiresAt: now + this.config.failureTtl });
+      throw fetchError;
+    }
+    this.failures.delete(key);
+
+    const meta = {
+      key,
+      url,
+      file: `${this.getKey(image.buffer)}.${image.extension}`,
+      contentType: image.contentType,
+      width: image.width,
+      height: image.height,
+      bytes: image.buffer.length,
+      fetchedAt: new Date().toISOString(),
+      lastAccess: Date.now()
+    };
+
+    try {
+      await fs.mkdir(this.config.cacheDir, { recursive: true });
+      if (!this.files.has(meta.file)) {
+        await fs.writeFile(path.join(this.config.cacheDir, meta.file), image.buffer);
+      }
+      await fs.writeFile(path.join(this.config.cacheDir, `${key}.json`), JSON.stringify(meta));
+      this.index.set(key, meta);
+      this.addFileRef(meta);
+      await this.evictIfNeeded();
+    } catch (error) {
+      // 写缓存失败不影响本次渲染
+      ErrorLogger.log(error, { context: 'storeCachedImage', url });
+    }
+
+    return { buffer: image.buffer, contentType: image.contentType, width: image.width, height: image.height };
+  }
+
+  /**
+   * 下载图片：拒绝内网地址，校验内容类型并限制大小和耗时（见safeFetch）
+   * @param {string} url - 图片URL
+   * @returns {Promise<Object>} { buffer, contentType }
+   */
+  async fetchImage(url) {
+    const { buffer, contentType } = await safeFetch(url, {
+      timeout: this.config.fetchTimeout,
+      maxBytes: this.config.maxImageBytes,
+      contentTypePrefix: 'image/',
+      allowPrivate: this.config.allowPrivateNetworks
+    });
+    return { buffer, contentType };
+  }
+
+  /**
+   * 缩小并统一转换为webp，同时读取图片尺寸
+   * @param {Buffer} buffer - 原始图片
+   * @returns {Promise<Object>} { buffer, contentType, extension, width, height }
+   */
+  async normalizeImage(buffer) {
+    // 动图只保留第一帧
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({
+        width: this.config.maxDimension,
+        height: this.config.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .webp({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, contentType: 'image/webp', extension: 'webp', width: info.width, height: info.height };
+  }
+
+  /**
+   * 缓存总大小超过上限时，按最近访问时间淘汰
+   */
+  async evictIfNeeded() {
+    if (this.totalBytes <= this.config.maxCacheBytes) {
+      return;
+    }
+
+    const entries = [...this.index.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const meta of entries) {
+      if (this.totalBytes <= this.config.maxCacheBytes) {
+        break;
+      }
+      await this.removeEntry(meta.key);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * 删除一条缓存
+   * @param {string} key - 缓存键
+   */
+  async removeEntry(key) {
+    const meta = this.index.get(key);
+    if (!meta) {
+      return;
+    }
+
+    this.index.delete(key);
+    const removable = [`${key}.json`];
+    const file = this.files.get(meta.file);
+    if (file && --file.refs === 0) {
+      // 没有其他URL引用时才删除内容文件
+      this.files.delete(meta.file);
+      this.totalBytes -= file.bytes;
+      removable.push(meta.file);
+    }
+    await Promise.all(removable.map(name =>
+      fs.unlink(path.join(this.config.cacheDir, name)).catch(() => {})
+    ));
+  }
+
+  /**
+   * 获取缓存统计
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      entries: this.index.size,
+      files: this.files.size,
+      bytes: this.totalBytes,
+      maxBytes: this.config.maxCacheBytes,
+      inflight: this.inflight.size,
+      ...this.stats
+    };
+  }
+}
+
+// 单例模式（评论头像使用独立的实例，见avatarService）
+const imageCacheService = new ImageCacheService();
+
+module.exports = {
+  ImageCacheService,
+  imageCacheService
+};
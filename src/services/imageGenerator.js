@@ -3,20 +3,269 @@
  * 负责协调模板渲染、内容分页和图片保存
  */
 
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-
 const htmlRenderer = require('./htmlRenderer');
-const fs = require('fs').promises;
 const { 
   ImageGenerationError, 
   FileSystemError, 
   retryOperation,
   ErrorLogger 
 } = require('../utils/errorHandler');
+const { mapWithConcurrency } = require('../utils/performance');
+const { getImageFormat } = require('../utils/imageFormats');
+const { mergePdfs } = require('../utils/pdfUtils');
+const { getSizePreset } = require('../utils/sizePresets');
+const { selectComments, normalizeFullname } = require('../utils/commentSelection');
+const { stripMarkdown } = require('../utils/markdown');
+const { MAX_MEDIA_ITEMS, collectMediaSources, buildMediaLayout } = require('../utils/postMedia');
 
 const { getRenderer } = htmlRenderer;
 const paginationService = require('./paginationService');
+const { themeService } = require('./themeService');
+const { templateService } = require('./templateService');
+const { imageCacheService } = require('./imageCacheService');
+const { avatarService } = require('./avatarService');
+const { renderCache } = require('./renderCache');
+const { storageService } = require('./storageService');
+
+/**
+ * 根据页面类型确定模板
+ * @param {string} pageType - 页面类型
+ * @returns {string} 模板名称
+ */
+function getTemplateName(pageType) {
+  switch (pageType) {
+    case 'main':
+    case 'main_continued':
+      return 'main-card';
+    case 'summary':
+      return 'summary-card';
+    default:
+      return 'comment-card';
+  }
+}
+
+/**
+ * 解析帖子的渲染上下文：主题、模板集和尺寸预设
+ * @param {Object} post - Reddit帖子数据
+ * @param {Object} cardOptions - 卡片生成选项
+ * @returns {Promise<Object>} 渲染上下文（renderSize可直接作为渲染选项）
+ */
+async function resolveRenderContext(post, cardOptions = {}) {
+  const theme = await themeService.resolve(cardOptions.theme, post.subreddit);
+  const templateSet = await templateService.resolve(cardOptions.templateSet);
+  const preset = getSizePreset(cardOptions.size);
+
+  return {
+    theme,
+    templateSet,
+    renderSize: {
+      width: preset.width,
+      height: preset.height,
+      cssVariables: { ...theme.variables, ...preset.cssVariables },
+      // 固定尺寸的预设按预设宽高截图，否则根据内容自动计算高度
+      autoHeight: !preset.fixedHeight,
+      templateSet
+    }
+  };
+}
+
+/**
+ * 页面的渲染尺寸：分页判定超出固定尺寸卡片高度的页面改为按内容自动计算高度，避免被裁切
+ * @param {Object} renderSize - 帖子的渲染尺寸
+ * @param {Object} pageData - 页面数据
+ * @returns {Object} 页面的渲染尺寸
+ */
+function getPageRenderSize(renderSize, pageData) {
+  return pageData.overflow ? { ...renderSize, autoHeight: true } : renderSize;
+}
+
+/**
+ * 加载帖子图片（经本地缓存）并确定排版，结果以data URI内联到主卡片中
+ * 单张图片加载失败只记录警告，不影响卡片生成
+ * @param {Object} post - 预处理后的帖子数据
+ * @returns {Promise<Object>} 附带media的帖子数据，没有可用图片时media为null
+ */
+async function preparePostMedia(post) {
+  const sources = post.mediaSources || [];
+  if (sources.length === 0 || post.media !== undefined) {
+    return post;
+  }
+
+  const loaded = await Promise.all(sources.slice(0, MAX_MEDIA_ITEMS).map(async (source) => {
+    try {
+      const image = await imageCacheService.getDataUri(source.url);
+      return {
+        src: image.src,
+        width: image.width,
+        height: image.height,
+        caption: source.caption
+      };
+    } catch (error) {
+      ErrorLogger.warn('Failed to load post image', { postId: post.id, url: source.url, error: error.message });
+      return null;
+    }
+  }));
+
+  return {
+    ...post,
+    media: buildMediaLayout(loaded.filter(Boolean), {
+      total: sources.length,
+      full: !post.selftext && !post.selftext_zh
+    })
+  };
+}
+
+/**
+ * 为评论准备头像（经本地缓存内联，缺失或失败时按作者名生成）
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {string} [avatarStyle] - 生成头像的样式
+ * @returns {Promise<Object>} 评论附带avatar的帖子数据
+ */
+async function preparePostAvatars(post, avatarStyle) {
+  const comments = post.commentList || [];
+  if (comments.length === 0 || comments[0].avatar) {
+    return post;
+  }
+  return { ...post, commentList: await avatarService.prepareCommentAvatars(comments, avatarStyle) };
+}
+
+/**
+ * 分页前准备帖子：加载图片和评论头像
+ * 实际生成与dry-run共用，保证两者的测量输入和缓存键一致
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} cardOptions - 卡片生成选项
+ * @returns {Promise<Object>} 附带media和评论头像的帖子数据
+ */
+async function preparePost(post, cardOptions = {}) {
+  // 图片影响正文分页高度，头像尺寸固定，两者并行加载
+  const [{ media }, { commentList }] = await Promise.all([
+    preparePostMedia(post),
+    preparePostAvatars(post, cardOptions.avatarStyle)
+  ]);
+  return { ...post, media, commentList };
+}
+
+/**
+ * 分页结果的缓存键：帖子内容（含已加载的图片与头像）、影响布局的选项、主题变量和模板指纹
+ * 输出格式、压缩质量、设备像素比和PDF导出不影响分页，不计入缓存键
+ * @param {string} kind - 缓存类型（pages为渲染用分页结果，plan为dry-run方案）
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} cardOptions - 卡片生成选项
+ * @param {Object} context - 渲染上下文
+ * @returns {Promise<string>} 缓存键
+ */
+async function getPaginationCacheKey(kind, post, cardOptions, context) {
+  const renderer = getRenderer();
+  const fingerprints = await Promise.all(['main-card', 'comment-card', 'summary-card']
+    .map(templateName => renderer.getTemplateFingerprint(templateName, context.templateSet)));
+  const { format, quality, scale, pdf, ...layoutOptions } = cardOptions;
+
+  return renderCache.hash({
+    kind,
+    post,
+    options: layoutOptions,
+    themeVariables: context.theme.variables,
+    fingerprints
+  });
+}
+
+/**
+ * 按渲染上下文对帖子分页，测量时使用与渲染相同的主题与模板
+ * @param {Object} post - Reddit帖子数据
+ * @param {Object} cardOptions - 卡片生成选项
+ * @param {Object} context - 渲染上下文
+ * @param {Function} [onProgress] - 进度回调
+ * @returns {Promise<Object>} 页面数据数组，以及超出maxPages时的压缩报告
+ */
+async function paginatePost(post, cardOptions, context, onProgress) {
+  let condensed = null;
+  const preparedPost = await preparePost(post, cardOptions);
+
+  const cacheKey = await getPaginationCacheKey('pages', preparedPost, cardOptions, context);
+  const cached = renderCache.getPlan(cacheKey);
+  if (cached) {
+    ErrorLogger.info('Reusing cached pagination', { postId: post.id, pageCount: cached.pages.length });
+    // 重放分页时的进度事件，任务进度与未命中缓存时一致
+    if (typeof onProgress === 'function') {
+      cached.events.forEach(event => onProgress(event));
+    }
+    return { pages: cached.pages, condensed: cached.condensed };
+  }
+
+  const events = [];
+  const pages = await paginationService.paginate(preparedPost, {
+    ...cardOptions,
+    themeVariables: context.theme.variables,
+    templateSet: context.templateSet,
+    onProgress: (event) => {
+      if (event.type === 'post_condensed') {
+        const { type, postId, ...report } = event;
+        condensed = report;
+      }
+      events.push(event);
+      if (typeof onProgress === 'function') {
+        onProgress(event);
+      }
+    }
+  });
+
+  renderCache.setPlan(cacheKey, { pages, condensed, events });
+  return { pages, condensed };
+}
+
+/**
+ * 将帖子的所有卡片按顺序导出为一个多页PDF
+ * @param {Object} post - Reddit帖子数据
+ * @param {Array<Object>} renderedPages - 已渲染页面（含模板名和页面数据）
+ * @param {Object} options - 输出选项
+ * @returns {Promise<Object>} PDF文件信息
+ */
+async function generatePostPdf(post, renderedPages, options) {
+  const { baseUrl, timestamp, renderSize } = options;
+  const renderer = getRenderer();
+  const pdfPages = [];
+
+  // 所有页面都有缓存键时，PDF同样按内容哈希命名并复用
+  const cacheKey = renderedPages.every(page => page.cacheKey)
+    ? renderCache.hash({ type: 'pdf', pages: renderedPages.map(page => page.cacheKey) })
+    : null;
+  const filename = cacheKey
+    ? `reddit_card_${post.id}_${cacheKey}.pdf`
+    : `reddit_card_${post.id}_${timestamp}.pdf`;
+  const filepath = storageService.getLocation(filename);
+  const url = storageService.getUrl(filename, baseUrl);
+
+  if (cacheKey && await renderCache.touchFile(filename)) {
+    return { filename, filepath, url, cached: true };
+  }
+
+  for (const { templateName, pageData } of renderedPages) {
+    const pdfPage = await retryOperation(async () => {
+      return await renderer.renderCardPdf(templateName, pageData, getPageRenderSize(renderSize, pageData));
+    }, 2, 500);
+    pdfPages.push(pdfPage);
+  }
+
+  const pdfBuffer = await mergePdfs(pdfPages);
+
+  await retryOperation(async () => {
+    await storageService.put(filename, pdfBuffer);
+  }, 3, 1000);
+
+  ErrorLogger.info('Post PDF generated', {
+    postId: post.id,
+    filename,
+    pageCount: pdfPages.length,
+    fileSize: pdfBuffer.length
+  });
+
+  return {
+    filename,
+    filepath,
+    url,
+    cached: false
+  };
+}
 
 /**
  * 生成Reddit帖子的卡片图片
@@ -29,19 +278,44 @@ async function generatePostCards(post, options = {}) {
     console.log(`🚀 Starting card generation for post: ${post.id}`);
     
     const {
-      outputDir = path.join(__dirname, '../../public/images'),
       baseUrl = '',
-      timestamp = Date.now()
+      timestamp = Date.now(),
+      cardOptions = {},
+      onProgress = null
     } = options;
+    const {
+      format = 'png',
+      quality = 90,
+      scale = 2,
+      pdf: exportPdf = false
+    } = cardOptions;
+    const { extension } = getImageFormat(format);
+    const context = await resolveRenderContext(post, cardOptions);
+    const { theme, templateSet, renderSize } = context;
+    
+    // 进度回调（任务模式下用于上报每个帖子的进度）
+    const reportProgress = (type, payload = {}) => {
+      if (typeof onProgress === 'function') {
+        onProgress({ type, postId: post.id, ...payload });
+      }
+    };
+    
+    reportProgress('post_started');
     
     // 使用新的分页服务进行智能分页
     console.log(`🧠 Performing smart pagination for post: ${post.id}`);
-    const pages = await paginationService.paginate(post);
+    const { pages, condensed } = await paginatePost(post, cardOptions, context, onProgress);
     console.log(`📄 Content paginated into ${pages.length} pages using smart measurement.`);
+    reportProgress('post_paginated', {
+      pageCount: pages.length,
+      pageTypes: pages.map(page => page.type)
+    });
     
     // 生成图片
     const results = [];
+    const renderedPages = [];
     const totalPages = pages.length;
+    const renderer = getRenderer();
     
     for (let i = 0; i < pages.length; i++) {
       const pageData = {
@@ -55,51 +329,83 @@ async function generatePostCards(post, options = {}) {
       
       try {
         // 确定模板类型
-        const templateName = pageData.type === 'main' || pageData.type === 'main_continued' 
-          ? 'main-card' 
-          : 'comment-card';
+        const templateName = getTemplateName(pageData.type);
+        const pageRenderSize = getPageRenderSize(renderSize, pageData);
         
-        // 渲染HTML为图片 - 使用重试机制
-        const renderer = getRenderer();
-        const imageBuffer = await retryOperation(async () => {
-          return await renderer.renderCard(templateName, pageData, {
-            width: 900,
-            height: 1200,
-            deviceScaleFactor: 2,
-            quality: 90,
-            autoHeight: true  // 启用自动高度计算
-          });
-        }, 2, 500);
+        // 启用渲染缓存时按内容哈希命名，相同内容的页面直接复用已有文件
+        const cacheKey = renderCache.config.enabled
+          ? renderCache.hash({
+            templateName,
+            fingerprint: await renderer.getTemplateFingerprint(templateName, templateSet),
+            pageData,
+            width: renderSize.width,
+            height: renderSize.height,
+            cssVariables: renderSize.cssVariables,
+            autoHeight: pageRenderSize.autoHeight,
+            format,
+            quality,
+            scale
+          })
+          : null;
         
         // 生成文件名
-        const filename = `reddit_card_${post.id}_${timestamp}_${pageIndex}.png`;
-        const filepath = path.join(outputDir, filename);
+        const filename = cacheKey
+          ? `reddit_card_${post.id}_${cacheKey}.${extension}`
+          : `reddit_card_${post.id}_${timestamp}_${pageIndex}.${extension}`;
+        const filepath = storageService.getLocation(filename);
         
-        // 保存图片 - 使用重试机制
-        await retryOperation(async () => {
-          // 确保目录存在
-          await fs.mkdir(path.dirname(filepath), { recursive: true });
-          await fs.writeFile(filepath, imageBuffer);
-        }, 3, 1000);
+        const renderStart = Date.now();
+        const cached = cacheKey ? await renderCache.touchFile(filename) : false;
+        let imageSize = null;
+        
+        if (!cached) {
+          // 渲染HTML为图片 - 使用重试机制
+          const imageBuffer = await retryOperation(async () => {
+            return await renderer.renderCard(templateName, pageData, {
+              ...pageRenderSize,
+              deviceScaleFactor: scale,
+              quality,
+              format
+            });
+          }, 2, 500);
+          imageSize = imageBuffer.length;
+          
+          // 保存图片到当前存储后端 - 使用重试机制
+          await retryOperation(async () => {
+            await storageService.put(filename, imageBuffer);
+          }, 3, 1000);
+        }
+        const renderTime = Date.now() - renderStart;
         
         // 生成URL
-        const imageUrl = baseUrl ? `${baseUrl}/images/${filename}` : `/images/${filename}`;
+        const imageUrl = storageService.getUrl(filename, baseUrl);
         
         results.push({
           filename,
           filepath,
           url: imageUrl,
           pageType: pageData.type,
-          pageIndex
+          pageIndex,
+          cached
         });
+        renderedPages.push({ templateName, pageData, cacheKey });
         
-        ErrorLogger.info(`Page generated successfully`, {
+        ErrorLogger.info(cached ? `Page reused from render cache` : `Page generated successfully`, {
           postId: post.id,
           pageIndex,
           filename,
           pageType: pageData.type,
           templateName,
-          imageSize: imageBuffer.length
+          imageSize
+        });
+        
+        reportProgress('page_rendered', {
+          pageIndex,
+          totalPages,
+          pageType: pageData.type,
+          renderTime,
+          url: imageUrl,
+          cached
         });
         
       } catch (error) {
@@ -108,6 +414,12 @@ async function generatePostCards(post, options = {}) {
           pageIndex,
           pageType: pageData.type
         });
+        reportProgress('page_failed', {
+          pageIndex,
+          totalPages,
+          pageType: pageData.type,
+          error: error.message
+        });
         throw new ImageGenerationError(
           `Failed to generate page ${pageIndex}: ${error.message}`,
           post.id
@@ -117,10 +429,39 @@ async function generatePostCards(post, options = {}) {
     
     console.log(`🎉 Successfully generated ${results.length} cards for post ${post.id}`);
     
+    // 导出PDF失败不影响已生成的图片
+    let pdf = null;
+    let pdfError = null;
+    if (exportPdf) {
+      try {
+        pdf = await generatePostPdf(post, renderedPages, { baseUrl, timestamp, renderSize });
+        console.log(`📑 PDF exported for post ${post.id}: ${pdf.filename}`);
+      } catch (error) {
+        pdfError = error.message;
+        ErrorLogger.log(error, { postId: post.id, context: 'generatePostPdf' });
+      }
+    }
+    
+    reportProgress('post_completed', {
+      imageCount: results.length,
+      imageUrls: results.map(result => result.url),
+      ...(pdf && { pdfUrl: pdf.url })
+    });
+    
     return {
       postId: post.id,
       images: results,
+      theme: theme.name,
+      templateSet: templateSet ? templateSet.id : 'default',
+      pdf,
+      pdfError,
+      condensed,
+      overflowPages: pages
+        .map((page, index) => page.overflow && { pageIndex: index + 1, pageType: page.type, ...page.overflow })
+        .filter(Boolean),
+      commentSelection: post.commentSelection || null,
       totalPages: pages.length,
+      cachedPages: results.filter(result => result.cached).length,
       generatedAt: new Date().toISOString()
     };
     
@@ -130,33 +471,145 @@ async function generatePostCards(post, options = {}) {
   }
 }
 
+/**
+ * 渲染帖子各页面的HTML（不截图），用于调试布局
+ * 与generatePostCards使用相同的分页与渲染上下文，返回的HTML已内联样式
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} cardOptions - 卡片生成选项
+ * @returns {Promise<Object>} 预览结果
+ */
+async function renderPostPreview(post, cardOptions = {}) {
+  const context = await resolveRenderContext(post, cardOptions);
+  const { renderSize } = context;
+  const renderer = getRenderer();
+
+  const { pages, condensed } = await paginatePost(post, cardOptions, context);
+  const previews = [];
+
+  for (let i = 0; i < pages.length; i++) {
+    const pageData = {
+      ...pages[i],
+      pageNumber: i + 1,
+      totalPages: pages.length
+    };
+    const templateName = getTemplateName(pageData.type);
+    let html = await renderer.renderHTML(templateName, pageData, { templateSet: context.templateSet });
+    if (!getPageRenderSize(renderSize, pageData).autoHeight) {
+      // 与截图一致：固定尺寸的卡片不保留body外边距
+      html = html.replace('</head>', `<style>${htmlRenderer.FIXED_SIZE_CSS}</style></head>`);
+    }
+
+    previews.push({
+      pageIndex: i + 1,
+      pageType: pageData.type,
+      templateName,
+      html: await renderer.inlineStyles(html, renderSize.cssVariables)
+    });
+  }
+
+  return {
+    postId: post.id,
+    theme: context.theme.name,
+    templateSet: context.templateSet ? context.templateSet.id : 'default',
+    width: renderSize.width,
+    height: renderSize.height,
+    condensed,
+    commentSelection: post.commentSelection || null,
+    pages: previews
+  };
+}
+
+/**
+ * 计算帖子的分页方案（dry-run），只测量不截图、不写入文件
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} cardOptions - 卡片生成选项
+ * @returns {Promise<Object>} 分页方案（见paginationService.planPagination）
+ */
+async function planPostCards(post, cardOptions = {}) {
+  const context = await resolveRenderContext(post, cardOptions);
+  const preparedPost = await preparePost(post, cardOptions);
+
+  const cacheKey = await getPaginationCacheKey('plan', preparedPost, cardOptions, context);
+  let plan = renderCache.getPlan(cacheKey);
+  if (!plan) {
+    plan = await paginationService.planPagination(preparedPost, {
+      ...cardOptions,
+      themeVariables: context.theme.variables,
+      templateSet: context.templateSet
+    });
+    renderCache.setPlan(cacheKey, plan);
+  }
+
+  return {
+    ...plan,
+    theme: context.theme.name,
+    templateSet: context.templateSet ? context.templateSet.id : 'default',
+    commentSelection: post.commentSelection || null,
+    // 生成PDF时额外输出一个文件
+    pdf: Boolean(cardOptions.pdf)
+  };
+}
+
+/**
+ * 批量计算多个帖子的分页方案，单个帖子失败不影响其他帖子
+ * @param {Array<Object>} posts - 预处理后的帖子数据数组
+ * @param {Object} cardOptions - 卡片生成选项
+ * @returns {Promise<Object>} 成功的方案和失败的帖子
+ */
+async function planBatchCards(posts, cardOptions = {}) {
+  const concurrency = parseInt(process.env.BATCH_CONCURRENCY) || getRenderer().getPoolStats().config.size;
+
+  const outcomes = await mapWithConcurrency(posts, concurrency, async (post) => {
+    try {
+      return { plan: await planPostCards(post, cardOptions) };
+    } catch (error) {
+      console.error(`❌ Failed to plan post ${post.id}:`, error);
+      return { error: { postId: post.id, error: error.message } };
+    }
+  });
+
+  return {
+    plans: outcomes.filter(outcome => outcome.plan).map(outcome => outcome.plan),
+    failed: outcomes.filter(outcome => outcome.error).map(outcome => outcome.error)
+  };
+}
+
 /**
  * 批量生成多个帖子的卡片
+ * 多个帖子并行处理，实际渲染并发由渲染器的页面池限制
  * @param {Array<Object>} posts - Reddit帖子数据数组
  * @param {Object} options - 生成选项
+ * @param {number} [options.concurrency] - 同时处理的帖子数
  * @returns {Promise<Array<Object>>} 生成结果数组
  */
 async function generateBatchCards(posts, options = {}) {
-  console.log(`🚀 Starting batch generation for ${posts.length} posts`);
-  
-  const results = [];
-  const errors = [];
+  const concurrency = options.concurrency ||
+    parseInt(process.env.BATCH_CONCURRENCY) ||
+    getRenderer().getPoolStats().config.size;
+  console.log(`🚀 Starting batch generation for ${posts.length} posts (concurrency: ${concurrency})`);
   
-  for (let i = 0; i < posts.length; i++) {
-    const post = posts[i];
+  const outcomes = await mapWithConcurrency(posts, concurrency, async (post, i) => {
     console.log(`\n📝 Processing post ${i + 1}/${posts.length}: ${post.id}`);
     
     try {
       const result = await generatePostCards(post, options);
-      results.push(result);
+      return { result };
     } catch (error) {
       console.error(`❌ Failed to process post ${post.id}:`, error);
-      errors.push({
-        postId: post.id,
-        error: error.message
-      });
+      if (typeof options.onProgress === 'function') {
+        options.onProgress({ type: 'post_failed', postId: post.id, error: error.message });
+      }
+      return {
+        error: {
+          postId: post.id,
+          error: error.message
+        }
+      };
     }
-  }
+  });
+  
+  const results = outcomes.filter(outcome => outcome.result).map(outcome => outcome.result);
+  const errors = outcomes.filter(outcome => outcome.error).map(outcome => outcome.error);
   
   console.log(`\n🎉 Batch generation completed:`);
   console.log(`   ✅ Successful: ${results.length}`);
@@ -216,13 +669,83 @@ function validatePostData(post) {
   return true;
 }
 
+// 回复缩进的最大层级，更深的回复按该层级显示
+const MAX_THREAD_DEPTH = 3;
+
+// 父评论摘录的最大长度
+const PARENT_EXCERPT_LENGTH = 60;
+
+/**
+ * 根据parent_id构建评论回复树，并按深度优先顺序展开
+ * 顶层评论和同级回复均按点赞数排序；找不到父评论的回复按顶层评论处理
+ * @param {Array<Object>} comments - 评论数组
+ * @returns {Array<Object>} 展开后的评论数组，附带depth、parentName、parentAuthor、parentExcerpt
+ */
+function buildCommentThreads(comments) {
+  const byName = new Map();
+  comments.forEach((comment) => {
+    const name = normalizeFullname(comment.name || comment.id);
+    if (name) {
+      byName.set(name, comment);
+    }
+  });
+
+  const children = new Map();
+  const roots = [];
+
+  comments.forEach((comment) => {
+    const parentName = normalizeFullname(comment.parent_id);
+    const parent = parentName.startsWith('t1_') ? byName.get(parentName) : null;
+
+    if (parent && parent !== comment) {
+      if (!children.has(parent)) {
+        children.set(parent, []);
+      }
+      children.get(parent).push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  const byUps = (a, b) => b.ups - a.ups;
+  const flattened = [];
+  const visited = new Set();
+
+  const visit = (comment, depth, parent) => {
+    if (visited.has(comment)) return;
+    visited.add(comment);
+
+    const parentText = parent ? stripMarkdown(parent.body_zh || parent.body).replace(/\n/g, ' ') : '';
+    flattened.push({
+      ...comment,
+      name: normalizeFullname(comment.name || comment.id),
+      depth: Math.min(depth, MAX_THREAD_DEPTH),
+      parentName: parent ? normalizeFullname(parent.name || parent.id) : '',
+      parentAuthor: parent ? parent.author : '',
+      parentExcerpt: parentText.length > PARENT_EXCERPT_LENGTH
+        ? parentText.substring(0, PARENT_EXCERPT_LENGTH) + '...'
+        : parentText
+    });
+
+    (children.get(comment) || []).sort(byUps).forEach(reply => visit(reply, depth + 1, comment));
+  };
+
+  roots.sort(byUps).forEach(root => visit(root, 0, null));
+
+  // 回复链成环时剩余的评论按顶层评论追加
+  comments.filter(comment => !visited.has(comment)).sort(byUps).forEach(comment => visit(comment, 0, null));
+
+  return flattened;
+}
+
 /**
  * 预处理帖子数据
  * 清理和标准化数据
  * @param {Object} post - 原始帖子数据
- * @returns {Object} 处理后的帖子数据
+ * @param {Object} [commentOptions] - 评论筛选选项（见commentSelection.selectComments）
+ * @returns {Object} 处理后的帖子数据，commentSelection为评论筛选统计
  */
-function preprocessPostData(post) {
+function preprocessPostData(post, commentOptions = {}) {
   // 验证数据
   validatePostData(post);
   
@@ -237,17 +760,21 @@ function preprocessPostData(post) {
     summary_zh: post.summary_zh || ''
   };
   
-  // 处理评论数据
+  // 帖子图片（单图、图集或缩略图），渲染前再经缓存加载
+  cleanedPost.mediaSources = collectMediaSources(post);
+  
+  // 处理评论数据：先按配置筛选，再按回复关系组织，同级按点赞数排序
   if (cleanedPost.commentList && Array.isArray(cleanedPost.commentList)) {
-    cleanedPost.commentList = cleanedPost.commentList
+    const { comments, stats } = selectComments(cleanedPost.commentList
       .filter(comment => comment.body && comment.body.trim() !== '')
       .map(comment => ({
         ...comment,
         body: comment.body,
         body_zh: comment.body_zh || '',
         author: comment.author.trim()
-      }))
-      .sort((a, b) => b.ups - a.ups); // 按点赞数排序
+      })), commentOptions);
+    cleanedPost.commentList = buildCommentThreads(comments);
+    cleanedPost.commentSelection = stats;
   }
   
   return cleanedPost;
@@ -307,21 +834,103 @@ function getGenerationStats(results) {
       cardTypes[image.pageType] = (cardTypes[image.pageType] || 0) + 1;
     });
   });
+
+  // 汇总各帖子的评论筛选统计
+  const commentSelection = {};
+  results.forEach(result => {
+    Object.entries(result.commentSelection || {}).forEach(([key, count]) => {
+      commentSelection[key] = (commentSelection[key] || 0) + count;
+    });
+  });
   
   return {
     totalPosts: results.length,
     totalImages,
     avgImagesPerPost: Math.round(avgImagesPerPost * 100) / 100,
     cardTypeDistribution: cardTypes,
+    commentSelection,
     generatedAt: new Date().toISOString()
   };
 }
 
+/**
+ * 构造生成接口的响应数据
+ * 同步接口和异步任务共用，保证两者返回结构一致
+ * @param {Object} batchResult - generateBatchCards的返回结果
+ * @param {number} totalPosts - 请求中的帖子总数
+ * @returns {Object} 响应数据
+ */
+function buildGenerationResponse(batchResult, totalPosts) {
+  const results = batchResult.successful.map(result => ({
+    postId: result.postId,
+    imageUrls: result.images.map(img => img.url),
+    imageCount: result.images.length,
+    theme: result.theme,
+    templateSet: result.templateSet,
+    commentSelection: result.commentSelection,
+    cachedImages: result.cachedPages,
+    ...(result.pdf && { pdfUrl: result.pdf.url }),
+    ...(result.pdfError && { pdfError: result.pdfError })
+  }));
+
+  const response = {
+    success: true,
+    data: {
+      results,
+      totalPosts,
+      totalImages: batchResult.summary.totalImages,
+      generatedAt: new Date().toISOString()
+    }
+  };
+
+  // 如果有失败的帖子，添加错误信息
+  if (batchResult.failed.length > 0) {
+    response.warnings = {
+      failedPosts: batchResult.failed.length,
+      failures: batchResult.failed
+    };
+  }
+
+  // 超出页数预算而被压缩的帖子，列出被丢弃的内容
+  const condensedPosts = batchResult.successful
+    .filter(result => result.condensed)
+    .map(result => ({ postId: result.postId, ...result.condensed }));
+  if (condensedPosts.length > 0) {
+    response.warnings = {
+      ...response.warnings,
+      condensedPosts
+    };
+  }
+
+  // 内容超出固定尺寸卡片高度、改为按内容高度截图的页面
+  const overflowPosts = batchResult.successful
+    .filter(result => result.overflowPages.length > 0)
+    .map(result => ({ postId: result.postId, pages: result.overflowPages }));
+  if (overflowPosts.length > 0) {
+    response.warnings = {
+      ...response.warnings,
+      overflowPosts
+    };
+  }
+
+  // 添加统计信息
+  if (batchResult.successful.length > 0) {
+    response.stats = getGenerationStats(batchResult.successful);
+  }
+
+  return response;
+}
+
 module.exports = {
   generatePostCards,
   generateBatchCards,
+  renderPostPreview,
+  planPostCards,
+  planBatchCards,
   validatePostData,
   preprocessPostData,
+  buildCommentThreads,
   estimateGenerationTime,
-  getGenerationStats
+  getGenerationStats,
+  buildGenerationResponse
 };
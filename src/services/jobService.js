@@ -0,0 +1,356 @@
+/**
+ * 卡片生成任务服务
+ * 负责异步任务的创建、执行、进度跟踪和过期清理
+ * 任务进度以事件形式广播（事件名为任务ID），供SSE等实时订阅使用
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const imageGenerator = require('./imageGenerator');
+const { webhookService } = require('./webhookService');
+const { ErrorLogger } = require('../utils/errorHandler');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+    // 每个SSE连接都会订阅一次，不限制监听器数量
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+    this.cleanupInterval = null;
+    this.config = {
+      // 已结束任务的保留时间（分钟，可通过环境变量配置，默认60分钟）
+      retentionMinutes: parseInt(process.env.JOB_RETENTION_MINUTES) || 60,
+      // 过期任务检查间隔（毫秒）
+      cleanupIntervalMs: 5 * 60 * 1000,
+      // 每个任务保留的事件条数，供晚订阅的客户端回放
+      maxEventsPerJob: 500
+    };
+  }
+
+  /**
+   * 启动过期任务清理
+   */
+  start() {
+    if (this.cleanupInterval) {
+      return;
+    }
+
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupExpiredJobs();
+    }, this.config.cleanupIntervalMs);
+
+    ErrorLogger.info('Job service started', {
+      retentionMinutes: this.config.retentionMinutes
+    });
+  }
+
+  /**
+   * 停止过期任务清理
+   */
+  stop() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    ErrorLogger.info('Job service stopped');
+  }
+
+  /**
+   * 创建并启动一个生成任务
+   * @param {Array<Object>} posts - 预处理后的帖子数据
+   * @param {Object} options - 生成选项（baseUrl、timestamp等）
+   * @param {Object} jobOptions - 任务选项
+   * @param {Object} [jobOptions.callback] - 结束后的回调配置 { url, secret }
+   * @returns {Object} 任务对象
+   */
+  createJob(posts, options = {}, jobOptions = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      status: JOB_STATUS.QUEUED,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      totalPosts: posts.length,
+      posts: posts.map(post => ({
+        postId: post.id,
+        status: JOB_STATUS.QUEUED,
+        pagesPaginated: 0,
+        pagesRendered: 0,
+        failures: []
+      })),
+      result: null,
+      error: null,
+      events: [],
+      eventSeq: 0,
+      callback: jobOptions.callback && jobOptions.callback.url ? {
+        url: jobOptions.callback.url,
+        secret: jobOptions.callback.secret || null,
+        status: 'pending',
+        deliveries: []
+      } : null
+    };
+
+    this.jobs.set(job.id, job);
+    ErrorLogger.info('Job created', { jobId: job.id, totalPosts: job.totalPosts });
+    this.publish(job, { type: 'job_created', totalPosts: job.totalPosts });
+
+    // 在下一个事件循环中执行，保证调用方先拿到任务ID
+    setImmediate(() => {
+      this.runJob(job, posts, options);
+    });
+
+    return job;
+  }
+
+  /**
+   * 执行任务
+   * @param {Object} job - 任务对象
+   * @param {Array<Object>} posts - 预处理后的帖子数据
+   * @param {Object} options - 生成选项
+   */
+  async runJob(job, posts, options) {
+    this.updateJob(job, {
+      status: JOB_STATUS.RUNNING,
+      startedAt: new Date().toISOString()
+    });
+    this.publish(job, { type: 'job_started' });
+
+    try {
+      const batchResult = await imageGenerator.generateBatchCards(posts, {
+        ...options,
+        onProgress: (event) => this.handleProgress(job, event)
+      });
+
+      this.updateJob(job, {
+        status: JOB_STATUS.COMPLETED,
+        completedAt: new Date().toISOString(),
+        result: imageGenerator.buildGenerationResponse(batchResult, job.totalPosts)
+      });
+
+      ErrorLogger.info('Job completed', {
+        jobId: job.id,
+        successCount: batchResult.summary.successCount,
+        failureCount: batchResult.summary.failureCount
+      });
+      this.publish(job, {
+        type: 'job_completed',
+        results: job.result.data.results,
+        totalImages: job.result.data.totalImages,
+        failedPosts: batchResult.failed.length
+      });
+    } catch (error) {
+      ErrorLogger.log(error, { jobId: job.id, context: 'runJob' });
+      this.updateJob(job, {
+        status: JOB_STATUS.FAILED,
+        completedAt: new Date().toISOString(),
+        error: error.message
+      });
+      this.publish(job, { type: 'job_failed', error: error.message });
+    }
+
+    if (job.callback) {
+      await this.deliverCallback(job);
+    }
+  }
+
+  /**
+   * 推送任务结果到回调地址
+   * @param {Object} job - 已结束的任务对象
+   */
+  async deliverCallback(job) {
+    const payload = job.status === JOB_STATUS.COMPLETED
+      ? { event: 'job.completed', jobId: job.id, ...job.result }
+      : {
+        event: 'job.failed',
+        jobId: job.id,
+        success: false,
+        error: 'Failed to generate cards',
+        message: job.error,
+        timestamp: job.completedAt
+      };
+
+    await webhookService.deliver(job, payload);
+    this.updateJob(job, {});
+  }
+
+  /**
+   * 处理生成过程中的进度事件
+   * @param {Object} job - 任务对象
+   * @param {Object} event - 进度事件
+   */
+  handleProgress(job, event) {
+    this.publish(job, event);
+
+    const postProgress = job.posts.find(p => p.postId === event.postId);
+    if (!postProgress) {
+      return;
+    }
+
+    switch (event.type) {
+      case 'post_started':
+        postProgress.status = JOB_STATUS.RUNNING;
+        break;
+      case 'post_paginated':
+        postProgress.pagesPaginated = event.pageCount;
+        break;
+      case 'page_rendered':
+        postProgress.pagesRendered++;
+        break;
+      case 'page_failed':
+        postProgress.failures.push({
+          pageIndex: event.pageIndex,
+          error: event.error
+        });
+        break;
+      case 'post_completed':
+        postProgress.status = JOB_STATUS.COMPLETED;
+        break;
+      case 'post_failed':
+        postProgress.status = JOB_STATUS.FAILED;
+        postProgress.error = event.error;
+        break;
+      default:
+        break;
+    }
+
+    this.updateJob(job, {});
+  }
+
+  /**
+   * 记录并广播任务事件
+   * @param {Object} job - 任务对象
+   * @param {Object} event - 事件内容，type为事件类型
+   */
+  publish(job, event) {
+    const record = {
+      id: ++job.eventSeq,
+      jobId: job.id,
+      timestamp: new Date().toISOString(),
+      ...event
+    };
+
+    job.events.push(record);
+    if (job.events.length > this.config.maxEventsPerJob) {
+      job.events.shift();
+    }
+
+    this.emit(job.id, record);
+  }
+
+  /**
+   * 获取任务在指定事件之后的历史事件
+   * @param {Object} job - 任务对象
+   * @param {number} afterId - 起始事件ID（不含）
+   * @returns {Array<Object>} 事件列表
+   */
+  getEventsSince(job, afterId = 0) {
+    return job.events.filter(event => event.id > afterId);
+  }
+
+  /**
+   * 任务是否已结束
+   * @param {Object} job - 任务对象
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+  }
+
+  /**
+   * 更新任务字段
+   * @param {Object} job - 任务对象
+   * @param {Object} changes - 需要更新的字段
+   */
+  updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * 获取任务
+   * @param {string} jobId - 任务ID
+   * @returns {Object|null} 任务对象
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * 获取任务的对外状态
+   * @param {Object} job - 任务对象
+   * @returns {Object} 任务状态
+   */
+  getJobStatus(job) {
+    const summary = job.posts.reduce((acc, post) => {
+      acc.pagesPaginated += post.pagesPaginated;
+      acc.pagesRendered += post.pagesRendered;
+      if (post.status === JOB_STATUS.COMPLETED) acc.completedPosts++;
+      if (post.status === JOB_STATUS.FAILED) acc.failedPosts++;
+      return acc;
+    }, { completedPosts: 0, failedPosts: 0, pagesPaginated: 0, pagesRendered: 0 });
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      progress: {
+        totalPosts: job.totalPosts,
+        ...summary,
+        posts: job.posts
+      },
+      ...(job.result && { result: job.result }),
+      ...(job.error && { error: job.error }),
+      ...(job.callback && {
+        callback: {
+          url: job.callback.url,
+          signed: Boolean(job.callback.secret),
+          status: job.callback.status,
+          deliveries: job.callback.deliveries
+        }
+      })
+    };
+  }
+
+  /**
+   * 清理过期的已结束任务
+   * @returns {number} 清理的任务数量
+   */
+  cleanupExpiredJobs() {
+    const cutoff = Date.now() - this.config.retentionMinutes * 60 * 1000;
+    let removed = 0;
+
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      ErrorLogger.info('Expired jobs removed', { removed, remaining: this.jobs.size });
+    }
+
+    return removed;
+  }
+}
+
+// 单例模式
+const jobService = new JobService();
+
+module.exports = {
+  JobService,
+  jobService,
+  JOB_STATUS
+};
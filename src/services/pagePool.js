@@ -0,0 +1,324 @@
+/**
+ * Puppeteer页面池
+ * 复用浏览器页面，限制并发渲染数量，池满时排队等待并在队列过长时拒绝新请求
+ */
+
+const { RenderQueueFullError, RenderTimeoutError, AppError, ErrorLogger } = require('../utils/errorHandler');
+
+class PagePool {
+  /**
+   * @param {Object} options - 页面池选项
+   * @param {Function} options.launchBrowser - 启动浏览器实例的函数
+   * @param {Function} [options.setupPage] - 新建页面后的初始化函数（如设置请求拦截）
+   * @param {number} [options.size] - 最大页面数（即最大并发渲染数）
+   * @param {number} [options.browserCount] - 浏览器实例数量，页面平均分配到各实例
+   * @param {number} [options.queueLimit] - 最大排队请求数，超过后直接拒绝
+   * @param {number} [options.acquireTimeout] - 排队等待超时（毫秒）
+   * @param {number} [options.maxUsesPerPage] - 单个页面最多复用次数，超过后重建以释放内存
+   * @param {number} [options.renderTimeout] - 单次借用页面的最长时间（毫秒），超时后丢弃该页面，0表示不限制
+   */
+  constructor(options = {}) {
+    this.launchBrowser = options.launchBrowser;
+    this.setupPage = options.setupPage || null;
+    this.config = {
+      size: options.size || 4,
+      browserCount: options.browserCount || 1,
+      queueLimit: options.queueLimit || 100,
+      acquireTimeout: options.acquireTimeout || 60000,
+      maxUsesPerPage: options.maxUsesPerPage || 50,
+      renderTimeout: options.renderTimeout || 0
+    };
+
+    this.browsers = [];
+    this.launchPromise = null;
+    this.idle = [];
+    this.busy = new Set();
+    this.waiting = [];
+    this.creating = 0;
+    this.closed = false;
+    this.stats = {
+      acquired: 0,
+      created: 0,
+      recycled: 0,
+      rejected: 0,
+      timedOut: 0,
+      renderTimeouts: 0
+    };
+  }
+
+  /**
+   * 确保所有浏览器实例已启动
+   */
+  async ensureBrowsers() {
+    if (this.browsers.length >= this.config.browserCount) {
+      return;
+    }
+
+    if (!this.launchPromise) {
+      const missing = this.config.browserCount - this.browsers.length;
+      this.launchPromise = Promise.all(
+        Array.from({ length: missing }, () => this.launchBrowser())
+      )
+        .then((browsers) => {
+          browsers.forEach((browser) => {
+            const browserEntry = { browser, pageCount: 0 };
+            browser.on('disconnected', () => this.handleDisconnect(browserEntry));
+            this.browsers.push(browserEntry);
+          });
+          ErrorLogger.info('Render pool browsers ready', { browsers: this.browsers.length });
+        })
+        .finally(() => {
+          this.launchPromise = null;
+        });
+    }
+
+    await this.launchPromise;
+  }
+
+  /**
+   * 浏览器意外断开时移除其所有页面
+   * @param {Object} browserEntry - 浏览器条目
+   */
+  handleDisconnect(browserEntry) {
+    this.browsers = this.browsers.filter(entry => entry !== browserEntry);
+    this.idle = this.idle.filter(entry => entry.browserEntry !== browserEntry);
+
+    if (!this.closed) {
+      ErrorLogger.warn('Render pool browser disconnected', { remaining: this.browsers.length });
+    }
+  }
+
+  /**
+   * 创建新页面（分配到页面数最少的浏览器）
+   * @returns {Promise<Object>} 页面条目
+   */
+  async createEntry() {
+    this.creating++;
+    try {
+      await this.ensureBrowsers();
+      const browserEntry = this.browsers.reduce((least, entry) =>
+        entry.pageCount < least.pageCount ? entry : least
+      );
+      const page = await browserEntry.browser.newPage();
+      browserEntry.pageCount++;
+      if (this.setupPage) {
+        try {
+          await this.setupPage(page);
+        } catch (error) {
+          await this.destroyEntry({ page, browserEntry });
+          throw error;
+        }
+      }
+      this.stats.created++;
+      return { page, browserEntry, uses: 0 };
+    } finally {
+      this.creating--;
+    }
+  }
+
+  /**
+   * 销毁页面
+   * @param {Object} entry - 页面条目
+   */
+  async destroyEntry(entry) {
+    entry.browserEntry.pageCount = Math.max(0, entry.browserEntry.pageCount - 1);
+    try {
+      if (!entry.page.isClosed()) {
+        await entry.page.close();
+      }
+    } catch (error) {
+      ErrorLogger.warn('Failed to close pooled page', { error: error.message });
+    }
+  }
+
+  /**
+   * 获取一个页面，池满时排队等待
+   * @returns {Promise<Object>} 页面条目
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new AppError('Render pool is closed', 503);
+    }
+
+    if (this.idle.length > 0) {
+      const entry = this.idle.pop();
+      this.busy.add(entry);
+      this.stats.acquired++;
+      return entry;
+    }
+
+    if (this.busy.size + this.creating < this.config.size) {
+      const entry = await this.createEntry();
+      this.busy.add(entry);
+      this.stats.acquired++;
+      return entry;
+    }
+
+    if (this.waiting.length >= this.config.queueLimit) {
+      this.stats.rejected++;
+      throw new RenderQueueFullError(
+        `Render queue is full (${this.waiting.length} waiting)`,
+        this.waiting.length
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        this.stats.timedOut++;
+        reject(new AppError(`Timed out waiting for a render page after ${this.config.acquireTimeout}ms`, 503));
+      }, this.config.acquireTimeout);
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * 归还页面，优先交给排队中的请求
+   * @param {Object} entry - 页面条目
+   * @param {Object} options - 归还选项
+   * @param {boolean} [options.discard] - 是否丢弃该页面（如渲染出错后）
+   */
+  async release(entry, options = {}) {
+    this.busy.delete(entry);
+    entry.uses++;
+
+    const unusable = options.discard ||
+      entry.uses >= this.config.maxUsesPerPage ||
+      entry.page.isClosed() ||
+      !entry.browserEntry.browser.isConnected();
+
+    if (unusable) {
+      this.stats.recycled++;
+      await this.destroyEntry(entry);
+      this.serveWaiterWithNewPage();
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this.busy.add(entry);
+      this.stats.acquired++;
+      waiter.resolve(entry);
+      return;
+    }
+
+    this.idle.push(entry);
+  }
+
+  /**
+   * 页面被销毁后为排队请求创建新页面
+   */
+  serveWaiterWithNewPage() {
+    if (this.closed) {
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (!waiter) {
+      return;
+    }
+
+    clearTimeout(waiter.timer);
+    this.createEntry().then((entry) => {
+      this.busy.add(entry);
+      this.stats.acquired++;
+      waiter.resolve(entry);
+    }, waiter.reject);
+  }
+
+  /**
+   * 借用页面执行操作，结束后自动归还
+   * 超过renderTimeout时立即返回超时错误，并关闭该页面以中断仍在进行的渲染
+   * @param {Function} fn - 接收page参数的异步函数
+   * @returns {Promise<*>} fn的返回值
+   */
+  async withPage(fn) {
+    const entry = await this.acquire();
+    let discard = false;
+    let timer = null;
+
+    try {
+      const task = Promise.resolve().then(() => fn(entry.page));
+      if (!this.config.renderTimeout) {
+        return await task;
+      }
+
+      // 超时后页面被关闭，原任务随之失败，忽略其结果
+      task.catch(() => {});
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          this.stats.renderTimeouts++;
+          reject(new RenderTimeoutError(
+            `Render timed out after ${this.config.renderTimeout}ms`,
+            this.config.renderTimeout
+          ));
+        }, this.config.renderTimeout);
+      });
+      return await Promise.race([task, timeout]);
+    } catch (error) {
+      discard = true;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      await this.release(entry, { discard });
+    }
+  }
+
+  /**
+   * 排队是否已满
+   * @returns {boolean}
+   */
+  isSaturated() {
+    return this.waiting.length >= this.config.queueLimit;
+  }
+
+  /**
+   * 获取页面池状态
+   * @returns {Object} 状态信息
+   */
+  getStats() {
+    return {
+      config: this.config,
+      browsers: this.browsers.map(entry => ({
+        connected: entry.browser.isConnected(),
+        pages: entry.pageCount
+      })),
+      idle: this.idle.length,
+      busy: this.busy.size,
+      waiting: this.waiting.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * 关闭页面池及所有浏览器
+   */
+  async close() {
+    this.closed = true;
+
+    this.waiting.forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new AppError('Render pool is closed', 503));
+    });
+    this.waiting = [];
+
+    if (this.launchPromise) {
+      await this.launchPromise.catch(() => {});
+    }
+
+    const browsers = this.browsers;
+    this.browsers = [];
+    this.idle = [];
+    this.busy.clear();
+
+    await Promise.all(browsers.map(entry => entry.browser.close().catch((error) => {
+      ErrorLogger.warn('Failed to close browser', { error: error.message });
+    })));
+  }
+}
+
+module.exports = {
+  PagePool
+};
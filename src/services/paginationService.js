@@ -1,106 +1,466 @@
 /**
  * 内容分页服务
  * 使用Puppeteer精确测量内容高度并进行智能分页
- * v3.0 - 重构了分页算法，使用更稳健的二进制搜索
+ * v4.0 - 单次加载分页：每个帖子只加载一次模板，在浏览器内替换内容并测量，
+ *        不再为每次二分探测重新渲染模板和打开页面
  */
-const { getRenderer } = require('./htmlRenderer');
+const { getRenderer, RENDER_LIMITS, FIXED_SIZE_CSS } = require('./htmlRenderer');
+const { alignParagraphs } = require('../utils/textAlignment');
+const { splitBlocks, joinBlocks, renderBlock, stripMarkdown, isParagraphBlock } = require('../utils/markdown');
+const { getSizePreset } = require('../utils/sizePresets');
 
 const MAIN_CONTENT_SELECTOR = '.main-content';
 const COMMENTS_SECTION_SELECTOR = '.comments-section';
 
-const MAX_HEIGHT_MAIN_CONTENT = 800;
-const MAX_HEIGHT_COMMENTS = 900;  // 增加评论页面高度限制
-const MAX_HEIGHT_SINGLE_COMMENT = 870;  // 增加单个评论高度限制
+// 正文区/评论区的高度上限：固定尺寸的预设在测量页面中按预设高度减去实测的页头、标题、页脚等占用计算，
+// 其余预设使用尺寸预设中的预算（默认3:4预设为800/900/870px）
+const MAX_COMMENTS_PER_PAGE = RENDER_LIMITS.comments;
 
-// --- Core Measurement ---
+// 测量文档中用于占位的文本，实际内容在浏览器内填充
+const PLACEHOLDER_TEXT = '-';
 
-async function measureContentHeight(html, selector) {
-    const renderer = getRenderer();
-    const browser = await renderer.initBrowser();
-    const page = await browser.newPage();
-    
-    // 使用更大的视口高度以避免限制内容测量
-    await page.setViewport({ width: 900, height: 2000 });
-    
-    const cssPath = require('path').join(__dirname, '../templates/css/base.css');
-    const cssContent = await require('fs').promises.readFile(cssPath, 'utf-8');
-    const fullHTML = html.replace(
-        '<link rel="stylesheet" href="../css/base.css">',
-        `<style>${cssContent}</style>`
-    );
-    
-    await page.setContent(fullHTML, { waitUntil: 'networkidle0' });
-    await page.evaluateHandle('document.fonts.ready');
-
-    try {
-        const height = await page.evaluate((sel) => {
-            const element = document.querySelector(sel);
-            if (!element) {
-                console.error(`Element not found for selector: ${sel}`);
-                return 0;
+// --- In-Browser Layout ---
+// 以下函数通过page.evaluate在浏览器中执行，必须保持自包含
+
+/**
+ * 测量元素高度（与v3版本的测量口径保持一致）
+ * 评论区使用子元素高度之和，避免flex填充导致高度失真
+ */
+function browserMeasureElement(element, isCommentsSection) {
+    const rect = element.getBoundingClientRect();
+    const scrollHeight = element.scrollHeight;
+    const offsetHeight = element.offsetHeight;
+
+    let totalChildrenHeight = 0;
+    if (isCommentsSection) {
+        const children = element.children;
+        for (let i = 0; i < children.length; i++) {
+            totalChildrenHeight += children[i].getBoundingClientRect().height;
+        }
+
+        const computedStyle = window.getComputedStyle(element);
+        totalChildrenHeight += (parseFloat(computedStyle.paddingTop) || 0) +
+            (parseFloat(computedStyle.paddingBottom) || 0) +
+            (parseFloat(computedStyle.marginTop) || 0) +
+            (parseFloat(computedStyle.marginBottom) || 0);
+    }
+
+    if (isCommentsSection && totalChildrenHeight > 0 &&
+        Math.abs(rect.height - scrollHeight) < 5 && totalChildrenHeight !== rect.height) {
+        return totalChildrenHeight;
+    }
+
+    return Math.max(rect.height, scrollHeight, offsetHeight, totalChildrenHeight);
+}
+
+/**
+ * 测量卡片按内容自然排版时底边的位置，即截图不裁切所需的高度
+ * 暂时取消.card的最小高度，使卡片高度只由内容决定
+ */
+function browserMeasureCardBottom() {
+    const card = document.querySelector('.card');
+    if (!card) {
+        return 0;
+    }
+
+    const previous = card.style.minHeight;
+    card.style.minHeight = '0px';
+    const rect = card.getBoundingClientRect();
+    const marginBottom = parseFloat(window.getComputedStyle(card).marginBottom) || 0;
+    const bottom = rect.top + window.scrollY + Math.max(rect.height, card.scrollHeight) + marginBottom;
+    card.style.minHeight = previous;
+
+    return Math.ceil(bottom);
+}
+
+/**
+ * 在浏览器内计算正文分页
+ * 以对齐后的中英文段落对为单位，逐对扩展直到超出高度或段落数上限
+ * 段落为Markdown块，每项包含渲染后的html和纯文本text
+ * 帖子图片只出现在第一页，图片占满第一页时正文从第二页开始
+ */
+function browserLayoutMainContent(params) {
+    const measureElement = new Function(`return (${params.measureSource})`)();
+    const measureCardBottom = new Function(`return (${params.cardBottomSource})`)();
+    const container = document.querySelector(params.selector);
+    const zhBlock = container.querySelector('.content-zh');
+    const enBlock = container.querySelector('.content-en');
+    const media = container.querySelector('.post-media');
+
+    // 固定尺寸的卡片：正文区预算为卡片高度减去正文区以外的实际占用
+    const overhead = params.cardHeight ? measureCardBottom() - measureElement(container, false) : 0;
+    const maxHeight = params.cardHeight ? params.cardHeight - overhead : params.maxHeight;
+
+    const fillBlock = (block, items) => {
+        if (!block) return;
+        const target = block.querySelector('.markdown-body');
+        if (target) {
+            target.innerHTML = items.map(item => item.html).join('');
+        } else {
+            // 未使用markdown-body的自定义模板按纯文本段落输出
+            block.querySelectorAll('p').forEach(p => p.remove());
+            items.forEach((item) => {
+                const p = document.createElement('p');
+                p.textContent = item.text;
+                block.appendChild(p);
+            });
+        }
+        block.style.display = items.length > 0 ? '' : 'none';
+    };
+
+    const flatten = (start, size, side) =>
+        params.pairs.slice(start, start + size).reduce((list, pair) => list.concat(pair[side]), []);
+
+    const measure = (start, size) => {
+        fillBlock(zhBlock, flatten(start, size, 'zh'));
+        fillBlock(enBlock, flatten(start, size, 'en'));
+        return measureElement(container, false);
+    };
+
+    const withinLimits = (start, size) =>
+        flatten(start, size, 'zh').length <= params.maxZh &&
+        flatten(start, size, 'en').length <= params.maxEn;
+
+    const total = params.pairs.length;
+    const pages = [];
+    let start = 0;
+
+    while (start < total) {
+        let size = 0;
+        let height = 0;
+        const withMedia = Boolean(media) && pages.length === 0;
+        if (media) {
+            media.style.display = withMedia ? '' : 'none';
+        }
+
+        while (start + size < total && withinLimits(start, size + 1)) {
+            const candidateHeight = measure(start, size + 1);
+            if (candidateHeight > 0 && candidateHeight <= maxHeight) {
+                size++;
+                height = candidateHeight;
+            } else {
+                break;
             }
-            
-            // 获取元素的实际高度
-            const rect = element.getBoundingClientRect();
-            const scrollHeight = element.scrollHeight;
-            const clientHeight = element.clientHeight;
-            const offsetHeight = element.offsetHeight;
-            
-            // 对于评论区域，还要考虑所有子元素的高度
-            let totalChildrenHeight = 0;
-            if (sel === '.comments-section') {
-                const children = element.children;
-                for (let i = 0; i < children.length; i++) {
-                    const childRect = children[i].getBoundingClientRect();
-                    totalChildrenHeight += childRect.height;
+        }
+
+        if (size === 0 && withMedia) {
+            pages.push({ start, end: start, height: measure(start, 0), forced: false });
+            continue;
+        }
+
+        const forced = size === 0;
+        if (forced) {
+            size = 1;
+            height = measure(start, 1);
+        }
+
+        pages.push({ start, end: start + size, height, forced });
+        start += size;
+    }
+
+    return { maxHeight, overhead, pages };
+}
+
+/**
+ * 在浏览器内计算评论拆分与分组
+ * 测量文档中每条评论各有一个原型节点，最后一个节点为续接块原型
+ * 回复的"回复 @作者"提示仅在父评论不在同一页时显示，父评论与第一条回复尽量同页
+ */
+function browserLayoutComments(params) {
+    const measureElement = new Function(`return (${params.measureSource})`)();
+    const measureCardBottom = new Function(`return (${params.cardBottomSource})`)();
+    const section = document.querySelector(params.selector);
+    const title = section.querySelector('.comments-title');
+    const cards = Array.from(section.children).filter(el => el.classList.contains('comment-card'));
+    const continuationPrototype = cards.pop();
+    const prototypes = cards;
+
+    // 固定尺寸的卡片：评论区预算为卡片高度减去评论区以外的实际占用，单条评论沿用预设中与整页预算的差值
+    const overhead = params.cardHeight ? measureCardBottom() - measureElement(section, true) : 0;
+    const maxPage = params.cardHeight ? params.cardHeight - overhead : params.maxPage;
+    const maxSingle = maxPage - (params.maxPage - params.maxSingle);
+
+    const flatten = (pairs, side) => pairs.reduce((list, pair) => list.concat(pair[side]), []);
+
+    // 填充评论内容：markdown-body容器使用渲染后的HTML，否则按纯文本
+    const setContent = (div, items) => {
+        if (div.classList.contains('markdown-body')) {
+            div.innerHTML = items.map(item => item.html).join('');
+        } else {
+            div.textContent = items.map(item => item.text).join('\n');
+        }
+    };
+
+    // 与htmlRenderer.preprocessData保持一致：无中文时中文区显示英文并隐藏英文区
+    const buildNode = (commentIndex, pairs, isContinuation) => {
+        const node = (isContinuation ? continuationPrototype : prototypes[commentIndex]).cloneNode(true);
+        const zh = flatten(pairs, 'zh');
+        const en = flatten(pairs, 'en');
+        const shownZh = zh.length > 0 ? zh : en;
+        const shownEn = zh.length > 0 ? en : [];
+
+        const zhDiv = node.querySelector('.comment-content-zh');
+        const enDiv = node.querySelector('.comment-content');
+        if (zhDiv) {
+            setContent(zhDiv, shownZh);
+            zhDiv.style.display = (shownZh.length > 0 || isContinuation) ? '' : 'none';
+        }
+        if (enDiv) {
+            setContent(enDiv, shownEn);
+            enDiv.style.display = shownEn.length > 0 ? '' : 'none';
+        }
+        return node;
+    };
+
+    const measureNodes = (nodes) => {
+        section.replaceChildren(...(title ? [title] : []), ...nodes);
+        return measureElement(section, true);
+    };
+
+    const needsReplyContext = (entry, presentIndexes) => {
+        const parentIndex = params.parents[entry.commentIndex];
+        const isContinuation = entry.chunk && entry.chunk.isContinuation;
+        return parentIndex >= 0 && !isContinuation && !presentIndexes.has(parentIndex);
+    };
+
+    const measureEntries = (list) => {
+        const presentIndexes = new Set(list.map(e => e.commentIndex));
+        list.forEach((entry) => {
+            const context = entry.node.querySelector('.reply-context');
+            if (context) {
+                context.style.display = needsReplyContext(entry, presentIndexes) ? '' : 'none';
+            }
+        });
+        return measureNodes(list.map(e => e.node));
+    };
+
+    const fits = height => height > 0 && height <= maxPage;
+
+    // 下一项是否为当前项的第一条回复
+    const isFirstReply = (next, entry) =>
+        next && !(next.chunk && next.chunk.isContinuation) &&
+        next.commentIndex !== entry.commentIndex &&
+        params.parents[next.commentIndex] === entry.commentIndex;
+
+    // 第一步：测量每条评论，超高的评论按分段拆成多个块
+    const entries = [];
+    const measurements = [];
+
+    params.comments.forEach((comment, commentIndex) => {
+        const wholeNode = buildNode(commentIndex, comment.pairs, false);
+        const height = measureEntries([{ commentIndex, chunk: null, node: wholeNode }]);
+        const split = height > maxSingle;
+        const measurement = { commentIndex, height, split, chunks: [] };
+        measurements.push(measurement);
+
+        if (!split) {
+            entries.push({ commentIndex, chunk: null, node: wholeNode });
+            return;
+        }
+
+        const total = comment.pairs.length;
+        let start = 0;
+
+        while (start < total) {
+            const isContinuation = start > 0;
+            let size = 0;
+            let chunkHeight = 0;
+            let node = null;
+
+            while (start + size < total) {
+                const candidate = buildNode(commentIndex, comment.pairs.slice(start, start + size + 1), isContinuation);
+                const candidateHeight = measureEntries([{ commentIndex, chunk: { isContinuation }, node: candidate }]);
+                if (candidateHeight > 0 && candidateHeight <= maxSingle) {
+                    size++;
+                    chunkHeight = candidateHeight;
+                    node = candidate;
+                } else {
+                    break;
                 }
-                
-                // 计算内边距和外边距
-                const computedStyle = window.getComputedStyle(element);
-                const paddingTop = parseFloat(computedStyle.paddingTop) || 0;
-                const paddingBottom = parseFloat(computedStyle.paddingBottom) || 0;
-                const marginTop = parseFloat(computedStyle.marginTop) || 0;
-                const marginBottom = parseFloat(computedStyle.marginBottom) || 0;
-                
-                totalChildrenHeight += paddingTop + paddingBottom + marginTop + marginBottom;
             }
-            
-            console.log(`Height measurement for ${sel}:`, {
-                boundingRect: rect.height,
-                scrollHeight,
-                clientHeight,
-                offsetHeight,
-                totalChildrenHeight
-            });
-            
-            // 使用最准确的高度值
-            const measuredHeight = Math.max(rect.height, scrollHeight, offsetHeight, totalChildrenHeight);
-            
-            // 对于评论区域，如果测量值看起来不正确（比如太相似），使用子元素高度
-            if (sel === '.comments-section' && totalChildrenHeight > 0 && 
-                Math.abs(rect.height - scrollHeight) < 5 && totalChildrenHeight !== rect.height) {
-                return totalChildrenHeight;
+
+            const forced = size === 0;
+            if (forced) {
+                size = 1;
+                node = buildNode(commentIndex, comment.pairs.slice(start, start + 1), isContinuation);
+                chunkHeight = measureEntries([{ commentIndex, chunk: { isContinuation }, node }]);
             }
-            
-            return measuredHeight;
-        }, selector);
-        
-        console.log(`📐 Measured height for ${selector}: ${height}`);
-        return height;
-    } catch (error) {
-        console.error(`Error measuring height for selector ${selector}:`, error);
-        return 0;
-    } finally {
-        await page.close();
+
+            const chunk = { start, end: start + size, isContinuation, height: chunkHeight, forced };
+            measurement.chunks.push(chunk);
+            entries.push({ commentIndex, chunk, node });
+            start += size;
+        }
+    });
+
+    // 第二步：将评论块分组到页面中
+    const pages = [];
+    let cursor = 0;
+
+    while (cursor < entries.length) {
+        const pageEntries = [];
+        let height = 0;
+        let keptWithReply = false;
+
+        while (cursor < entries.length && pageEntries.length < params.maxPerPage) {
+            const entry = entries[cursor];
+            const candidate = [...pageEntries, entry];
+            const candidateHeight = measureEntries(candidate);
+            if (!fits(candidateHeight)) {
+                break;
+            }
+
+            // 父评论放得下但第一条回复放不下时，若两者能一起放进新页面则提前分页
+            // （当前项自身的父评论已在本页时不移动，避免拆开上一层回复）
+            const next = entries[cursor + 1];
+            const parentOnPage = pageEntries.some(e => e.commentIndex === params.parents[entry.commentIndex]);
+            if (pageEntries.length > 0 && !parentOnPage && isFirstReply(next, entry)) {
+                const togetherFits = candidate.length < params.maxPerPage &&
+                    fits(measureEntries([...candidate, next]));
+                if (!togetherFits && fits(measureEntries([entry, next]))) {
+                    keptWithReply = true;
+                    break;
+                }
+            }
+
+            pageEntries.push(entry);
+            height = candidateHeight;
+            cursor++;
+        }
+
+        const forced = pageEntries.length === 0;
+        if (forced) {
+            pageEntries.push(entries[cursor]);
+            height = measureEntries([entries[cursor]]);
+            cursor++;
+        }
+
+        pages.push({
+            entries: pageEntries.map(e => ({ commentIndex: e.commentIndex, chunk: e.chunk })),
+            height,
+            forced,
+            keptWithReply
+        });
+    }
+
+    return { budgets: { comments: maxPage, singleComment: maxSingle }, overhead, measurements, pages };
+}
+
+// --- Core Measurement ---
+
+/**
+ * 在池化页面中加载HTML并执行浏览器内布局函数
+ * @param {string} html - 渲染后的HTML
+ * @param {Function} layoutFn - 浏览器内执行的布局函数
+ * @param {Object} params - 传入布局函数的参数
+ * @param {Object} preset - 尺寸预设，决定测量视口宽度和卡片尺寸
+ * @returns {Promise<*>} 布局结果
+ */
+async function runLayout(html, layoutFn, params, preset) {
+    const renderer = getRenderer();
+    const fullHTML = await renderer.inlineStyles(html, preset.cssVariables);
+
+    // 从页面池借用页面，一次加载后在页面内完成所有测量
+    return renderer.withPage(async (page) => {
+        // 使用更大的视口高度以避免限制内容测量
+        await page.setViewport({ width: preset.width, height: 2000 });
+        await page.setContent(fullHTML, { waitUntil: 'networkidle0' });
+        if (preset.fixedHeight) {
+            // 与截图时相同：固定尺寸的卡片去掉body外边距
+            await page.addStyleTag({ content: FIXED_SIZE_CSS });
+        }
+        await page.evaluateHandle('document.fonts.ready');
+
+        return page.evaluate(layoutFn, {
+            ...params,
+            cardHeight: preset.fixedHeight ? preset.height : null,
+            measureSource: browserMeasureElement.toString(),
+            cardBottomSource: browserMeasureCardBottom.toString()
+        });
+    });
+}
+
+/**
+ * 固定尺寸的预设下，页面内容加上正文区/评论区以外的占用超出卡片高度时返回超出信息
+ * 超出的页面（如被强制放入的超高段落）按内容自动计算截图高度，不被裁切
+ * @param {Object} preset - 分页预设
+ * @param {number} overhead - 正文区/评论区以外的占用高度
+ * @param {number} height - 正文区/评论区的测量高度
+ * @returns {Object|null} 超出时返回 { height, limit }
+ */
+function getOverflow(preset, overhead, height) {
+    if (!preset.fixedHeight || overhead + height <= preset.height) {
+        return null;
+    }
+    return { height: Math.ceil(overhead + height), limit: preset.height };
+}
+
+/**
+ * 测量不经分页的卡片（无正文的主卡片、摘要卡片）是否超出固定尺寸预设的卡片高度
+ * @param {string} templateName - 模板名称
+ * @param {Object} data - 页面数据
+ * @param {Object} preset - 分页预设
+ * @returns {Promise<Object|null>} 超出信息，自动高度的预设不测量
+ */
+async function measureCardOverflow(templateName, data, preset) {
+    if (!preset.fixedHeight) {
+        return null;
+    }
+
+    const html = await getRenderer().renderHTML(templateName, data, { templateSet: preset.templateSet });
+    const height = await runLayout(html, browserMeasureCardBottom, {}, preset);
+    return getOverflow(preset, 0, height);
+}
+
+// --- Progress Reporting ---
+
+// 创建进度通知函数，未提供回调时为空操作
+function createNotifier(onProgress, postId) {
+    if (typeof onProgress !== 'function') {
+        return () => {};
     }
+    return (type, payload = {}) => onProgress({ type, postId, ...payload });
 }
 
 // --- Main Content Pagination ---
 
-async function paginateMainContent(post, pages) {
+// 按Markdown块分段：普通文本每行一段，列表、引用、代码块、表格等整体作为一段
+function splitParagraphs(text) {
+    return splitBlocks(text);
+}
+
+// 浏览器内测量使用的段落：渲染后的HTML及纯文本
+function toLayoutPairs(pairs) {
+    const toItem = block => ({ html: renderBlock(block), text: stripMarkdown(block) });
+    return pairs.map(pair => ({ zh: pair.zh.map(toItem), en: pair.en.map(toItem) }));
+}
+
+// 将一组段落对展开为中文/英文文本
+function joinPairs(pairs) {
+    return {
+        zh: pairs.reduce((list, pair) => list.concat(pair.zh), []),
+        en: pairs.reduce((list, pair) => list.concat(pair.en), [])
+    };
+}
+
+// 生成 [start, end) 区间内的下标列表
+function range(start, end) {
+    return Array.from({ length: Math.max(end - start, 0) }, (_, i) => start + i);
+}
+
+// 段落对区间对应的原始中文/英文段落下标
+function pairParagraphIndexes(pairs, start, end) {
+    const offsetOf = (side, index) => pairs.slice(0, index).reduce((sum, pair) => sum + pair[side].length, 0);
+    return {
+        zh: range(offsetOf('zh', start), offsetOf('zh', end)),
+        en: range(offsetOf('en', start), offsetOf('en', end))
+    };
+}
+
+async function paginateMainContent(post, pages, notify, preset) {
     const renderer = getRenderer();
-    const paragraphs_zh = (post.selftext_zh || '').split('\n').filter(p => p.trim().length > 0);
-    const paragraphs_en = (post.selftext || '').split('\n').filter(p => p.trim().length > 0);
+    const paragraphs_zh = splitParagraphs(post.selftext_zh);
+    const paragraphs_en = splitParagraphs(post.selftext);
 
     const basePageData = {
         title: post.title,
@@ -109,55 +469,82 @@ async function paginateMainContent(post, pages) {
         subreddit: post.subreddit,
     };
 
+    // 帖子图片只放在第一页
+    const mediaData = post.media ? { media: post.media } : {};
+    const mediaCount = post.media ? post.media.items.length : 0;
+
     if (paragraphs_zh.length === 0 && paragraphs_en.length === 0) {
-        pages.push({ ...basePageData, type: 'main' });
+        const overflow = await measureCardOverflow('main-card', { ...basePageData, ...mediaData, type: 'main' }, preset);
+        pages.push({
+            ...basePageData,
+            ...mediaData,
+            type: 'main',
+            ...(overflow && { overflow }),
+            layout: { paragraphsZh: [], paragraphsEn: [], media: mediaCount, height: null, limit: preset.budgets.mainContent, forced: false }
+        });
+        notify('main_page_planned', { pageType: 'main', paragraphsZh: 0, paragraphsEn: 0, forced: false });
         return;
     }
 
-    let remaining_zh = [...paragraphs_zh];
-    let remaining_en = [...paragraphs_en];
-    let isFirstPage = true;
+    // 测量文档只需包含正文区块结构，段落在浏览器内填充
+    const html = await renderer.renderHTML('main-card', {
+        ...basePageData,
+        ...mediaData,
+        type: 'main',
+        content_zh: paragraphs_zh.length > 0 ? PLACEHOLDER_TEXT : '',
+        content: paragraphs_en.length > 0 ? PLACEHOLDER_TEXT : ''
+    }, { templateSet: preset.templateSet });
 
-    while (remaining_zh.length > 0 || remaining_en.length > 0) {
-        let low = 1, high = Math.max(remaining_zh.length, remaining_en.length), best_fit_size = 0;
+    // 译文与原文段落数可能不同，先按内容对齐再以段落对为单位分页
+    const pairs = alignParagraphs(paragraphs_zh, paragraphs_en);
+    if (paragraphs_zh.length !== paragraphs_en.length) {
+        console.log(`🔗 Aligned ${paragraphs_zh.length} zh / ${paragraphs_en.length} en paragraphs into ${pairs.length} pairs`);
+    }
 
-        while (low <= high) {
-            const mid = Math.floor((low + high) / 2);
-            if (mid === 0) { low = 1; continue; }
+    const layout = await runLayout(html, browserLayoutMainContent, {
+        selector: MAIN_CONTENT_SELECTOR,
+        pairs: toLayoutPairs(pairs),
+        maxHeight: preset.budgets.mainContent,
+        maxZh: RENDER_LIMITS.contentZhParagraphs,
+        maxEn: RENDER_LIMITS.contentParagraphs
+    }, preset);
+    const { maxHeight } = layout;
 
-            const test_zh = remaining_zh.slice(0, mid);
-            const test_en = remaining_en.slice(0, mid);
+    layout.pages.forEach((slice, index) => {
+        const { zh: chunk_zh, en: chunk_en } = joinPairs(pairs.slice(slice.start, slice.end));
+        const pageType = index === 0 ? 'main' : 'main_continued';
 
-            const testPageData = { ...basePageData, type: 'main', content_zh: test_zh.join('\n'), content: test_en.join('\n') };
-            const html = await renderer.renderHTML('main-card', testPageData);
-            const height = await measureContentHeight(html, MAIN_CONTENT_SELECTOR);
+        console.log(`📏 Main page ${index + 1}: pairs ${slice.start}-${slice.end - 1}, height=${slice.height}, limit=${maxHeight}${slice.forced ? ' (forced)' : ''}`);
 
-            if (height > 0 && height <= MAX_HEIGHT_MAIN_CONTENT) {
-                best_fit_size = mid;
-                low = mid + 1;
-            } else {
-                high = mid - 1;
+        const paragraphIndexes = pairParagraphIndexes(pairs, slice.start, slice.end);
+        const overflow = getOverflow(preset, layout.overhead, slice.height);
+        pages.push({
+            ...basePageData,
+            ...(index === 0 ? mediaData : {}),
+            type: pageType,
+            content_zh: joinBlocks(chunk_zh),
+            content: joinBlocks(chunk_en),
+            ...(overflow && { overflow }),
+            layout: {
+                pairs: range(slice.start, slice.end),
+                paragraphsZh: paragraphIndexes.zh,
+                paragraphsEn: paragraphIndexes.en,
+                media: index === 0 ? mediaCount : 0,
+                height: slice.height,
+                limit: maxHeight,
+                forced: slice.forced
             }
-        }
-        
-        if (best_fit_size === 0) {
-            best_fit_size = 1;
-        }
-
-        const chunk_zh = remaining_zh.slice(0, best_fit_size);
-        const chunk_en = remaining_en.slice(0, best_fit_size);
-
-        pages.push({ 
-            ...basePageData, 
-            type: isFirstPage ? 'main' : 'main_continued', 
-            content_zh: chunk_zh.join('\n'), 
-            content: chunk_en.join('\n') 
         });
-
-        isFirstPage = false;
-        remaining_zh.splice(0, best_fit_size);
-        remaining_en.splice(0, best_fit_size);
-    }
+        notify('main_page_planned', {
+            pageType,
+            pairs: slice.end - slice.start,
+            paragraphsZh: chunk_zh.length,
+            paragraphsEn: chunk_en.length,
+            height: slice.height,
+            limit: maxHeight,
+            forced: slice.forced
+        });
+    });
 }
 
 // --- Comment Pagination ---
@@ -165,15 +552,15 @@ async function paginateMainContent(post, pages) {
 // 智能分割文本为段落
 function smartSplitText(text) {
     if (!text) return [];
-    
-    // 首先按换行符分割
-    let segments = text.split('\n').filter(p => p.trim().length > 0);
-    
-    // 如果段落太少但文本很长，进一步分割
+
+    // 首先按Markdown块分割，列表、代码块等多行结构不拆开
+    let segments = splitBlocks(text);
+
+    // 如果段落太少但文本很长，进一步分割普通段落
     if (segments.length <= 2 && text.length > 500) {
         const newSegments = [];
         for (const segment of segments) {
-            if (segment.length > 200) {
+            if (segment.length > 200 && isParagraphBlock(segment)) {
                 // 按句子分割长段落
                 const sentences = segment.split(/[。！？.!?]/).filter(s => s.trim().length > 0);
                 if (sentences.length > 1) {
@@ -200,199 +587,267 @@ function smartSplitText(text) {
         }
         segments = newSegments;
     }
-    
+
     return segments;
 }
 
-async function splitComment(comment) {
+/**
+ * 评论分页
+ * @returns {Promise<Array<Object>>} 每条评论的测量结果（高度、是否拆分及各分块）
+ */
+async function paginateComments(post, pages, notify, preset) {
     const renderer = getRenderer();
-    const chunks = [];
-    
-    // 使用智能分割
-    const pars_zh = smartSplitText(comment.body_zh || '');
-    const pars_en = smartSplitText(comment.body || '');
-    
-    console.log(`🔍 Splitting comment from ${comment.author}: zh segments=${pars_zh.length}, en segments=${pars_en.length}`);
-
-    let rem_zh = [...pars_zh];
-    let rem_en = [...pars_en];
-    let isFirstChunk = true;
-
-    while (rem_zh.length > 0 || rem_en.length > 0) {
-        let low = 1, high = Math.max(rem_zh.length, rem_en.length), best_fit_size = 0;
-
-        // 二分查找最佳分割大小
-        while (low <= high) {
-            const mid = Math.floor((low + high) / 2);
-            if (mid === 0) { low = 1; continue; }
-
-            const test_zh = rem_zh.slice(0, mid);
-            const test_en = rem_en.slice(0, mid);
-            const testComment = {
-                ...comment,
-                body_zh: test_zh.join('\n'),
-                body: test_en.join('\n'),
-                isContinuation: !isFirstChunk
-            };
-            
-            const html = await renderer.renderHTML('comment-card', { comments: [testComment] });
-            const height = await measureContentHeight(html, `.comments-section`);
-            
-            console.log(`📏 Testing comment chunk: segments=${mid}, height=${height}, limit=${MAX_HEIGHT_SINGLE_COMMENT}`);
-
-            if (height > 0 && height <= MAX_HEIGHT_SINGLE_COMMENT) {
-                best_fit_size = mid;
-                low = mid + 1;
-            } else {
-                high = mid - 1;
-            }
+    const comments = post.commentList || [];
+    if (comments.length === 0) {
+        console.log(`📝 No comments found for post ${post.id}`);
+        return [];
+    }
+
+    console.log(`💬 Processing ${comments.length} comments for post ${post.id}`);
+    const title = post.title_zh || post.title;
+
+    // 评论的中英文分段同样按内容对齐后再拆分
+    const segments = comments.map(comment => ({
+        pairs: alignParagraphs(smartSplitText(comment.body_zh || ''), smartSplitText(comment.body || ''))
+    }));
+
+    // 父评论下标，-1表示顶层评论
+    const indexByName = new Map();
+    comments.forEach((comment, index) => {
+        if (comment.name) {
+            indexByName.set(comment.name, index);
         }
+    });
+    const parents = comments.map(comment =>
+        comment.parentName && indexByName.has(comment.parentName) ? indexByName.get(comment.parentName) : -1
+    );
 
-        // 确保至少取一个段落
-        if (best_fit_size === 0) {
-            if (rem_zh.length > 0 || rem_en.length > 0) {
-                best_fit_size = 1;
-                console.log(`⚠️  Force taking 1 segment due to size constraints`);
-            } else {
-                break;
+    // 测量文档：每条评论一个原型节点（保留头像和作者信息），末尾附加续接块原型
+    const prototypes = comments.map((comment, index) => ({
+        ...comment,
+        body_zh: PLACEHOLDER_TEXT,
+        body: PLACEHOLDER_TEXT,
+        showReplyContext: parents[index] >= 0
+    }));
+    prototypes.push({ isContinuation: true, body_zh: PLACEHOLDER_TEXT, body: PLACEHOLDER_TEXT });
+
+    const html = await renderer.renderHTML(
+        'comment-card',
+        { type: 'comments', comments: prototypes, title },
+        { applyLimits: false, templateSet: preset.templateSet }
+    );
+
+    const layout = await runLayout(html, browserLayoutComments, {
+        selector: COMMENTS_SECTION_SELECTOR,
+        comments: segments.map(segment => ({ pairs: toLayoutPairs(segment.pairs) })),
+        parents,
+        maxSingle: preset.budgets.singleComment,
+        maxPage: preset.budgets.comments,
+        maxPerPage: MAX_COMMENTS_PER_PAGE
+    }, preset);
+    const { budgets } = layout;
+
+    layout.measurements.forEach((measurement) => {
+        const comment = comments[measurement.commentIndex];
+        console.log(`📏 Comment from ${comment.author}: height=${measurement.height}, limit=${budgets.singleComment}`);
+        notify('comment_measured', {
+            author: comment.author,
+            height: measurement.height,
+            limit: budgets.singleComment,
+            split: measurement.split
+        });
+
+        if (measurement.split) {
+            measurement.chunks.forEach((chunk, chunkIndex) => {
+                if (chunk.forced) {
+                    console.log(`⚠️  Force taking 1 segment due to size constraints`);
+                    notify('comment_segment_forced', { author: comment.author, chunkIndex: chunkIndex + 1 });
+                }
+            });
+            console.log(`✂️  Comment from ${comment.author} split into ${measurement.chunks.length} chunks`);
+            notify('comment_split', { author: comment.author, chunkCount: measurement.chunks.length });
+        }
+    });
+
+    layout.pages.forEach((pageLayout, index) => {
+        const presentIndexes = new Set(pageLayout.entries.map(e => e.commentIndex));
+        const pageComments = pageLayout.entries.map(({ commentIndex, chunk }) => {
+            const comment = comments[commentIndex];
+            const parentIndex = parents[commentIndex];
+            // 回复落在父评论不在的页面上时显示"回复 @作者"提示
+            const showReplyContext = parentIndex >= 0 &&
+                !(chunk && chunk.isContinuation) &&
+                !presentIndexes.has(parentIndex);
+
+            if (!chunk) {
+                return { ...comment, showReplyContext };
             }
+            const { zh, en } = joinPairs(segments[commentIndex].pairs.slice(chunk.start, chunk.end));
+            return {
+                ...comment,
+                body_zh: joinBlocks(zh),
+                body: joinBlocks(en),
+                isContinuation: chunk.isContinuation,
+                showReplyContext
+            };
+        });
+
+        if (pageLayout.forced) {
+            console.log(`⚠️  Force added 1 comment to avoid empty page`);
+        }
+        if (pageLayout.keptWithReply) {
+            console.log(`🔗 Moved a parent comment to the next page to keep it with its first reply`);
         }
 
-        const chunk_zh = rem_zh.slice(0, best_fit_size);
-        const chunk_en = rem_en.slice(0, best_fit_size);
+        // 每个页面中各评论块对应的评论下标与分段下标
+        const placements = pageLayout.entries.map(({ commentIndex, chunk }, entryIndex) => {
+            const measurement = layout.measurements[commentIndex];
+            return {
+                commentIndex,
+                author: comments[commentIndex].author,
+                segments: chunk ? range(chunk.start, chunk.end) : range(0, segments[commentIndex].pairs.length),
+                chunk: chunk ? {
+                    // 浏览器返回的结果经过序列化，需按起始分段匹配分块
+                    index: measurement.chunks.findIndex(c => c.start === chunk.start) + 1,
+                    count: measurement.chunks.length,
+                    isContinuation: chunk.isContinuation,
+                    height: chunk.height,
+                    forced: chunk.forced
+                } : null,
+                showReplyContext: pageComments[entryIndex].showReplyContext
+            };
+        });
 
-        const chunk = {
-            ...comment,
-            body_zh: chunk_zh.join('\n'),
-            body: chunk_en.join('\n'),
-            isContinuation: !isFirstChunk
-        };
-        
-        chunks.push(chunk);
-        console.log(`✅ Created comment chunk ${chunks.length}: segments=${best_fit_size}, isContinuation=${!isFirstChunk}`);
+        const overflow = getOverflow(preset, layout.overhead, pageLayout.height);
+        pages.push({
+            type: 'comments',
+            comments: pageComments,
+            title,
+            ...(overflow && { overflow }),
+            layout: {
+                comments: placements,
+                height: pageLayout.height,
+                limit: budgets.comments,
+                forced: pageLayout.forced,
+                keptWithReply: pageLayout.keptWithReply
+            }
+        });
+        console.log(`✅ Created comment page ${index + 1} with ${pageComments.length} comments, height=${pageLayout.height}`);
+        notify('comment_page_planned', {
+            commentPageIndex: index + 1,
+            commentCount: pageComments.length,
+            authors: pageComments.map(c => c.author),
+            height: pageLayout.height,
+            limit: budgets.comments,
+            keptWithReply: pageLayout.keptWithReply
+        });
+    });
 
-        isFirstChunk = false;
-        rem_zh.splice(0, best_fit_size);
-        rem_en.splice(0, best_fit_size);
-    }
-    
-    console.log(`📦 Comment from ${comment.author} split into ${chunks.length} chunks`);
-    return chunks;
+    console.log(`📚 Comment pagination completed: ${layout.pages.length} comment pages created`);
+
+    return layout.measurements.map(measurement => ({
+        commentIndex: measurement.commentIndex,
+        author: comments[measurement.commentIndex].author,
+        segmentCount: segments[measurement.commentIndex].pairs.length,
+        height: measurement.height,
+        limit: budgets.singleComment,
+        split: measurement.split,
+        chunks: measurement.chunks.map(chunk => ({
+            segments: range(chunk.start, chunk.end),
+            height: chunk.height,
+            forced: chunk.forced
+        }))
+    }));
 }
 
-async function paginateComments(post, pages) {
-    const renderer = getRenderer();
-    const comments = post.commentList || [];
-    if (comments.length === 0) {
-        console.log(`📝 No comments found for post ${post.id}`);
+
+// --- Summary Card ---
+
+async function addSummaryPage(post, pages, position, notify, preset) {
+    if (!position || position === 'none') {
         return;
     }
 
-    console.log(`💬 Processing ${comments.length} comments for post ${post.id}`);
-    let commentQueue = [];
-
-    // 第一步：处理每个评论，长评论需要分割
-    for (let i = 0; i < comments.length; i++) {
-        const comment = comments[i];
-        console.log(`📖 Processing comment ${i + 1}/${comments.length} from ${comment.author}`);
-        
-        try {
-            const html = await renderer.renderHTML('comment-card', { comments: [comment] });
-            const height = await measureContentHeight(html, `.comments-section`);
-            
-            console.log(`📏 Comment height: ${height}, limit: ${MAX_HEIGHT_SINGLE_COMMENT}`);
-            
-            if (height > MAX_HEIGHT_SINGLE_COMMENT) {
-                console.log(`✂️  Comment too tall, splitting...`);
-                const chunks = await splitComment(comment);
-                commentQueue.push(...chunks);
-                console.log(`📦 Added ${chunks.length} chunks to queue`);
-            } else {
-                commentQueue.push(comment);
-                console.log(`✅ Added comment directly to queue`);
-            }
-        } catch (error) {
-            console.error(`❌ Error processing comment from ${comment.author}:`, error);
-            // 即使出错也要添加评论，避免丢失内容
-            commentQueue.push(comment);
-        }
+    if (!post.summary_zh || post.summary_zh.trim().length === 0) {
+        console.log(`⚠️  Summary card requested but summary_zh is empty, skipping`);
+        notify('summary_page_skipped', { reason: 'empty_summary' });
+        return;
     }
 
-    console.log(`🗂️  Total comment chunks in queue: ${commentQueue.length}`);
-
-    // 第二步：将评论分组到页面中
-    let pageIndex = 0;
-    while (commentQueue.length > 0) {
-        pageIndex++;
-        let pageComments = [];
-        console.log(`📄 Creating comment page ${pageIndex}, remaining chunks: ${commentQueue.length}`);
-
-        while (commentQueue.length > 0) {
-            const nextComment = commentQueue[0];
-            const newPageComments = [...pageComments, nextComment];
-            const pageData = { type: 'comments', comments: newPageComments, title: post.title_zh || post.title };
-            
-            try {
-                const html = await renderer.renderHTML('comment-card', pageData);
-                const height = await measureContentHeight(html, COMMENTS_SECTION_SELECTOR);
-                
-                console.log(`📏 Page height with ${newPageComments.length} comments: ${height}, limit: ${MAX_HEIGHT_COMMENTS}`);
-
-                if (height > 0 && height <= MAX_HEIGHT_COMMENTS) {
-                    pageComments.push(commentQueue.shift());
-                    console.log(`✅ Added comment to page ${pageIndex}, page now has ${pageComments.length} comments`);
-                } else {
-                    console.log(`⛔ Page would be too tall, finalizing page ${pageIndex} with ${pageComments.length} comments`);
-                    break;
-                }
-                
-                // 安全检查：如果页面评论数量过多，强制分页
-                if (pageComments.length >= 3) {
-                    console.log(`⚠️  Page has reached maximum comment count (${pageComments.length}), forcing page break`);
-                    break;
-                }
-            } catch (error) {
-                console.error(`❌ Error measuring page height:`, error);
-                break;
-            }
-        }
+    const summaryData = {
+        type: 'summary',
+        title: post.title,
+        title_zh: post.title_zh || post.title_polish_zh,
+        ups: post.ups,
+        subreddit: post.subreddit,
+        summary_zh: post.summary_zh,
+        commentCount: (post.commentList || []).length
+    };
 
-        // 如果页面为空但还有评论，强制添加一个评论
-        if (pageComments.length === 0 && commentQueue.length > 0) {
-            pageComments.push(commentQueue.shift());
-            console.log(`⚠️  Force added 1 comment to avoid empty page`);
-        }
+    // 摘要卡片不分页，固定尺寸的预设下单独测量是否超出卡片高度
+    const overflow = await measureCardOverflow('summary-card', summaryData, preset);
+    const summaryPage = {
+        ...summaryData,
+        ...(overflow && { overflow }),
+        layout: { position }
+    };
 
-        // 添加页面
-        if (pageComments.length > 0) {
-            pages.push({ 
-                type: 'comments', 
-                comments: pageComments, 
-                title: post.title_zh || post.title 
-            });
-            console.log(`✅ Created comment page ${pageIndex} with ${pageComments.length} comments`);
-        }
+    if (position === 'first') {
+        pages.unshift(summaryPage);
+    } else {
+        pages.push(summaryPage);
     }
-    
-    console.log(`📚 Comment pagination completed: ${pageIndex} comment pages created`);
-}
 
+    console.log(`📝 Added summary card as ${position} page`);
+    notify('summary_page_planned', { position });
+}
 
 // --- Main Entry Point ---
 
-async function paginate(post) {
-    console.log(`🚀 Starting pagination for post ${post.id}: "${post.title}"`);
+/**
+ * 按尺寸预设和主题/模板集构造分页使用的预设
+ * @param {Object} options - 分页选项
+ * @returns {Object} 分页预设
+ */
+function resolvePreset(options) {
+    const sizePreset = getSizePreset(options.size);
+    return {
+        ...sizePreset,
+        cssVariables: { ...(options.themeVariables || {}), ...sizePreset.cssVariables },
+        templateSet: options.templateSet || null
+    };
+}
+
+/**
+ * 对帖子完整执行一次分页布局，页面数据中附带layout字段记录该页的布局决策
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} options - 分页选项（见paginate）
+ * @param {Object} preset - 分页预设
+ * @param {Function} notify - 进度通知函数
+ * @returns {Promise<Object>} 页面和评论测量结果
+ */
+async function layoutPost(post, options, preset, notify) {
     const pages = [];
-    
-    // 分页主内容
-    console.log(`📄 Paginating main content...`);
-    await paginateMainContent(post, pages);
-    console.log(`✅ Main content pagination completed, current pages: ${pages.length}`);
-    
-    // 分页评论内容
-    console.log(`💬 Paginating comments...`);
-    await paginateComments(post, pages);
-    console.log(`✅ Comment pagination completed, total pages: ${pages.length}`);
+    let commentMeasurements = [];
+
+    if (preset.coverOnly) {
+        // 封面尺寸只放得下标题，生成单张不含正文的主卡片
+        console.log(`🖼️  Size preset ${preset.name} is cover-only, skipping content and comments`);
+        await paginateMainContent({ ...post, selftext: '', selftext_zh: '' }, pages, notify, preset);
+    } else {
+        // 分页主内容
+        console.log(`📄 Paginating main content...`);
+        await paginateMainContent(post, pages, notify, preset);
+        console.log(`✅ Main content pagination completed, current pages: ${pages.length}`);
+
+        // 分页评论内容
+        console.log(`💬 Paginating comments...`);
+        commentMeasurements = await paginateComments(post, pages, notify, preset);
+        console.log(`✅ Comment pagination completed, total pages: ${pages.length}`);
+
+        // 插入摘要卡片
+        await addSummaryPage(post, pages, options.summaryCard, notify, preset);
+    }
 
     // 如果没有任何页面，创建一个默认页面
     if (pages.length === 0) {
@@ -403,15 +858,369 @@ async function paginate(post) {
             title_zh: post.title_zh || post.title_polish_zh,
             ups: post.ups,
             subreddit: post.subreddit,
+            layout: { fallback: true }
         });
     }
 
     console.log(`🎉 Pagination completed for post ${post.id}: ${pages.length} total pages`);
     console.log(`📊 Page breakdown:`, pages.map((p, i) => `Page ${i + 1}: ${p.type}${p.comments ? ` (${p.comments.length} comments)` : ''}`));
-    
+
+    return { pages, commentMeasurements };
+}
+
+// --- Page Budget ---
+
+// 截断正文时追加的"阅读全文"提示
+const READ_MORE_ZH = '……（内容较长，完整内容请查看原帖）';
+const READ_MORE_EN = '… (continued in the original post)';
+
+// 截断正文后仍超出页数预算时，继续逐段缩减的最大次数
+const MAX_CONDENSE_ATTEMPTS = 5;
+
+const MAIN_PAGE_TYPES = ['main', 'main_continued'];
+
+const countPages = (pages, types) => pages.filter(page => types.includes(page.type)).length;
+
+const silentNotify = () => {};
+
+// 只对正文分页，返回正文页面
+async function layoutMainContent(post, preset) {
+    const pages = [];
+    await paginateMainContent(post, pages, silentNotify, preset);
     return pages;
 }
 
+/**
+ * 截断正文，使正文页数不超过预算，并在末尾追加"阅读全文"提示
+ * @param {Object} post - 帖子数据
+ * @param {Array<Object>} mainPages - 完整正文的分页结果
+ * @param {number} mainBudget - 正文可用页数
+ * @param {Object} preset - 分页预设
+ * @returns {Promise<Object>} 截断后的帖子、正文页数和截断信息
+ */
+async function truncateMainContent(post, mainPages, mainBudget, preset) {
+    const paragraphsZh = splitParagraphs(post.selftext_zh);
+    const paragraphsEn = splitParagraphs(post.selftext);
+
+    // 初始保留预算内各页的段落，追加提示后放不下时逐段缩减
+    const kept = mainPages.slice(0, mainBudget);
+    let keepZh = kept.reduce((sum, page) => sum + page.layout.paragraphsZh.length, 0);
+    let keepEn = kept.reduce((sum, page) => sum + page.layout.paragraphsEn.length, 0);
+
+    const buildText = (paragraphs, count, marker) =>
+        paragraphs.length > 0 ? joinBlocks([...paragraphs.slice(0, count), marker]) : '';
+
+    let truncatedPost;
+    let pages;
+    for (let attempt = 0; ; attempt++) {
+        truncatedPost = {
+            ...post,
+            selftext_zh: buildText(paragraphsZh, keepZh, READ_MORE_ZH),
+            selftext: buildText(paragraphsEn, keepEn, READ_MORE_EN)
+        };
+        pages = await layoutMainContent(truncatedPost, preset);
+
+        const minimal = keepZh <= 1 && keepEn <= 1;
+        if (pages.length <= mainBudget || minimal || attempt >= MAX_CONDENSE_ATTEMPTS) {
+            break;
+        }
+        keepZh = Math.max(keepZh - 1, Math.min(keepZh, 1));
+        keepEn = Math.max(keepEn - 1, Math.min(keepEn, 1));
+    }
+
+    console.log(`✂️  Main content truncated to ${keepZh}/${paragraphsZh.length} zh and ${keepEn}/${paragraphsEn.length} en paragraphs`);
+
+    return {
+        post: truncatedPost,
+        mainPages: pages.length,
+        report: {
+            keptParagraphsZh: Math.min(keepZh, paragraphsZh.length),
+            totalParagraphsZh: paragraphsZh.length,
+            keptParagraphsEn: Math.min(keepEn, paragraphsEn.length),
+            totalParagraphsEn: paragraphsEn.length
+        }
+    };
+}
+
+/**
+ * 压缩正文：未单独生成摘要卡片时优先以summary_zh代替正文，仍放不下时截断
+ * @param {Object} post - 帖子数据
+ * @param {Array<Object>} mainPages - 完整正文的分页结果
+ * @param {number} mainBudget - 正文可用页数
+ * @param {boolean} allowSummary - 是否允许以摘要代替正文
+ * @param {Object} preset - 分页预设
+ * @returns {Promise<Object>} 压缩后的帖子、正文页数和压缩方式
+ */
+async function condenseMainContent(post, mainPages, mainBudget, allowSummary, preset) {
+    if (allowSummary && post.summary_zh && post.summary_zh.trim().length > 0) {
+        const summaryPost = { ...post, selftext: '', selftext_zh: post.summary_zh };
+        const summaryPages = await layoutMainContent(summaryPost, preset);
+
+        if (summaryPages.length <= mainBudget) {
+            console.log(`📝 Main content replaced by summary_zh to fit page budget`);
+            return { post: summaryPost, mainPages: summaryPages.length, report: { strategy: 'summary' } };
+        }
+
+        const truncated = await truncateMainContent(summaryPost, summaryPages, mainBudget, preset);
+        return { ...truncated, report: { strategy: 'summary_truncated', ...truncated.report } };
+    }
+
+    const truncated = await truncateMainContent(post, mainPages, mainBudget, preset);
+    return { ...truncated, report: { strategy: 'truncated', ...truncated.report } };
+}
+
+/**
+ * 在评论页数预算内保留尽量多的高赞评论
+ * 评论的优先级取其自身与所有祖先评论点赞数的最小值，保证保留的回复其父评论也被保留
+ * @param {Object} post - 帖子数据
+ * @param {number} commentBudget - 评论可用页数
+ * @param {number} naturalCommentPages - 保留全部评论时的评论页数
+ * @param {Object} preset - 分页预设
+ * @returns {Promise<Object>} 保留和丢弃的评论
+ */
+async function selectCommentsForBudget(post, commentBudget, naturalCommentPages, preset) {
+    const comments = post.commentList || [];
+    if (naturalCommentPages <= commentBudget) {
+        return { kept: comments, dropped: [] };
+    }
+
+    const indexByName = new Map(comments.map((comment, index) => [comment.name, index]));
+    const effectiveUps = [];
+    comments.forEach((comment, index) => {
+        const parentIndex = comment.parentName ? indexByName.get(comment.parentName) : undefined;
+        effectiveUps[index] = parentIndex !== undefined && parentIndex < index
+            ? Math.min(comment.ups, effectiveUps[parentIndex])
+            : comment.ups;
+    });
+    // 稳定排序，优先级相同时父评论（展开顺序在前）先于回复
+    const priority = comments.map((_, index) => index).sort((a, b) => effectiveUps[b] - effectiveUps[a]);
+
+    const select = (count) => {
+        const keptIndexes = new Set(priority.slice(0, count));
+        return comments.filter((_, index) => keptIndexes.has(index));
+    };
+
+    const countCommentPages = async (list) => {
+        if (list.length === 0) return 0;
+        const pages = [];
+        await paginateComments({ ...post, commentList: list }, pages, silentNotify, preset);
+        return pages.length;
+    };
+
+    // 二分查找预算内可保留的最多评论数
+    let low = 0;
+    let high = comments.length - 1;
+    if (commentBudget > 0) {
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (await countCommentPages(select(middle)) <= commentBudget) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+    } else {
+        high = 0;
+    }
+
+    const kept = select(low);
+    const keptSet = new Set(kept);
+    console.log(`🗑️  Dropped ${comments.length - kept.length} low-ups comments to fit page budget`);
+
+    return {
+        kept,
+        dropped: comments.filter(comment => !keptSet.has(comment))
+    };
+}
+
+/**
+ * 自然分页超出页数预算时压缩内容：
+ * 正文优先保留（必要时以摘要代替或截断，有评论时为评论至少留一页），剩余页数放置评论，按点赞数从低到高丢弃评论
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} options - 分页选项
+ * @param {Object} preset - 分页预设
+ * @param {Object} natural - 未压缩时的分页结果
+ * @returns {Promise<Object>} 压缩后的帖子、分页选项及压缩报告
+ */
+async function condenseToBudget(post, options, preset, natural) {
+    const { maxPages } = options;
+    const report = {
+        originalPages: natural.pages.length,
+        maxPages,
+        summaryCardDropped: false,
+        mainContent: null,
+        droppedComments: []
+    };
+
+    let summaryCard = options.summaryCard;
+    let summaryPages = countPages(natural.pages, ['summary']);
+    let mainPages = countPages(natural.pages, MAIN_PAGE_TYPES);
+    let condensedPost = post;
+
+    // 摘要卡片与至少一页正文无法同时放下时去掉摘要卡片
+    if (summaryPages > 0 && maxPages <= summaryPages) {
+        summaryCard = 'none';
+        summaryPages = 0;
+        report.summaryCardDropped = true;
+    }
+
+    // 有评论且预算允许时为评论至少保留一页
+    const hasComments = countPages(natural.pages, ['comments']) > 0;
+    const mainBudget = maxPages - summaryPages - (hasComments && maxPages - summaryPages >= 2 ? 1 : 0);
+    if (mainPages > mainBudget) {
+        const condensed = await condenseMainContent(
+            post,
+            natural.pages.filter(page => MAIN_PAGE_TYPES.includes(page.type)),
+            mainBudget,
+            summaryPages === 0,
+            preset
+        );
+        condensedPost = condensed.post;
+        mainPages = condensed.mainPages;
+        report.mainContent = condensed.report;
+    }
+
+    const commentBudget = Math.max(maxPages - mainPages - summaryPages, 0);
+    const { kept, dropped } = await selectCommentsForBudget(
+        condensedPost,
+        commentBudget,
+        countPages(natural.pages, ['comments']),
+        preset
+    );
+    condensedPost = { ...condensedPost, commentList: kept };
+    report.droppedComments = dropped.map(comment => ({
+        name: comment.name,
+        author: comment.author,
+        ups: comment.ups
+    }));
+
+    return {
+        post: condensedPost,
+        options: { ...options, summaryCard },
+        report
+    };
+}
+
+/**
+ * 执行分页，指定maxPages时将超出预算的帖子压缩到预算内
+ * 试探性布局不发送进度事件，只回放最终采用的布局的事件
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} options - 分页选项（见paginate）
+ * @returns {Promise<Object>} 页面、评论测量结果、所用尺寸预设和压缩报告
+ */
+async function runPagination(post, options = {}) {
+    console.log(`🚀 Starting pagination for post ${post.id}: "${post.title}"`);
+    const notify = createNotifier(options.onProgress, post.id);
+    const preset = resolvePreset(options);
+
+    let events = [];
+    const record = (type, payload) => events.push([type, payload]);
+    let result = await layoutPost(post, options, preset, record);
+    let condensed = null;
+
+    if (options.maxPages && result.pages.length > options.maxPages) {
+        console.log(`📉 ${result.pages.length} pages exceed the budget of ${options.maxPages}, condensing...`);
+        const condensedInput = await condenseToBudget(post, options, preset, result);
+        condensed = condensedInput.report;
+
+        events = [];
+        result = await layoutPost(condensedInput.post, condensedInput.options, preset, record);
+
+        // 无法再压缩时（如单个段落已超出整页）直接丢弃超出的页面
+        condensed.droppedPages = Math.max(result.pages.length - options.maxPages, 0);
+        if (condensed.droppedPages > 0) {
+            console.log(`⚠️  Still ${result.pages.length} pages after condensing, dropping ${condensed.droppedPages} pages`);
+            result.pages = result.pages.slice(0, options.maxPages);
+        }
+        condensed.pages = result.pages.length;
+    }
+
+    events.forEach(([type, payload]) => notify(type, payload));
+    if (condensed) {
+        notify('post_condensed', condensed);
+    }
+
+    return { ...result, preset, condensed };
+}
+
+/**
+ * 对帖子进行分页
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} options - 分页选项
+ * @param {Function} [options.onProgress] - 分页决策的进度回调
+ * @param {string} [options.summaryCard='none'] - 摘要卡片位置：none、first、last
+ * @param {string} [options.size] - 尺寸预设名称，决定分页高度预算
+ * @param {Object} [options.themeVariables] - 主题CSS变量，测量时与渲染时使用相同样式
+ * @param {Object} [options.templateSet] - 模板集（见templateService.resolve），测量与渲染使用相同模板
+ * @param {number} [options.maxPages] - 页数预算，超出时压缩内容并通过post_condensed事件报告被丢弃的内容
+ * @returns {Promise<Array<Object>>} 页面数据数组，超出固定尺寸卡片高度的页面附带overflow（{ height, limit }）
+ */
+async function paginate(post, options = {}) {
+    const { pages } = await runPagination(post, options);
+    return pages.map(({ layout, ...page }) => page);
+}
+
+/**
+ * 只计算分页方案，不渲染图片（dry-run）
+ * 返回每页的类型、包含的段落/评论分段（下标均从0开始）、测量高度与高度预算，被强制放入的内容，以及超出卡片高度、改为自动高度截图的页面
+ * 指定maxPages时返回的是压缩后的方案，condensed记录被丢弃的内容
+ * @param {Object} post - 预处理后的帖子数据
+ * @param {Object} options - 分页选项（同paginate）
+ * @returns {Promise<Object>} 分页方案
+ */
+async function planPagination(post, options = {}) {
+    const { pages, commentMeasurements, preset, condensed } = await runPagination(post, options);
+
+    const plan = pages.map(({ type, layout, overflow }, index) => ({ pageIndex: index + 1, type, ...layout, overflow: overflow || null }));
+
+    // 固定尺寸的预设按测量页面得到的预算分页，未生成对应页面时沿用预设中的预算
+    const limitOf = types => (plan.find(page => types.includes(page.type) && page.limit) || {}).limit;
+    const budgets = {
+        mainContent: limitOf(MAIN_PAGE_TYPES) || preset.budgets.mainContent,
+        comments: limitOf(['comments']) || preset.budgets.comments,
+        singleComment: commentMeasurements.length > 0 ? commentMeasurements[0].limit : preset.budgets.singleComment
+    };
+
+    // 超出卡片高度、将按内容自动计算截图高度的页面
+    const overflow = plan
+        .filter(page => page.overflow)
+        .map(page => ({ pageIndex: page.pageIndex, type: page.type, ...page.overflow }));
+
+    // 高度超出预算仍被强制放入单个段落/分段/评论的位置
+    const forced = [];
+    plan.forEach((page) => {
+        if (page.forced) {
+            forced.push({ kind: page.type === 'comments' ? 'comment_page' : 'main_page', pageIndex: page.pageIndex });
+        }
+        (page.comments || []).forEach((placement) => {
+            if (placement.chunk && placement.chunk.forced) {
+                forced.push({
+                    kind: 'comment_segment',
+                    pageIndex: page.pageIndex,
+                    commentIndex: placement.commentIndex,
+                    author: placement.author,
+                    chunkIndex: placement.chunk.index
+                });
+            }
+        });
+    });
+
+    return {
+        postId: post.id,
+        size: preset.name,
+        width: preset.width,
+        height: preset.height,
+        budgets,
+        totalPages: plan.length,
+        pages: plan,
+        comments: commentMeasurements,
+        forced,
+        overflow,
+        condensed
+    };
+}
+
 module.exports = {
     paginate,
-};
\ No newline at end of file
+    planPagination,
+};
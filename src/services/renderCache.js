@@ -0,0 +1,138 @@
+/**
+ * 渲染缓存
+ * 以页面数据、模板指纹、主题和尺寸/输出选项的哈希作为缓存键：
+ * - 卡片图片按哈希命名保存，相同内容的请求（如n8n重试）直接返回已有文件的URL，无需重新渲染
+ * - 分页结果和分页方案缓存在内存中（基于SimpleCache），相同帖子无需重新测量
+ */
+
+const crypto = require('crypto');
+const { SimpleCache } = require('../utils/performance');
+const { storageService } = require('./storageService');
+
+// 文件名中使用的哈希长度（十六进制字符数）
+const FILE_HASH_LENGTH = 16;
+
+/**
+ * 按键名排序序列化，保证相同内容得到相同的字符串
+ * @param {*} value - 任意可序列化的值
+ * @returns {string} JSON字符串
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class RenderCache {
+  constructor() {
+    this.config = {
+      // 是否启用（关闭后每次请求都重新渲染，文件名带时间戳）
+      enabled: process.env.RENDER_CACHE_ENABLED !== 'false',
+      // 内存中最多缓存的分页结果数
+      maxEntries: parseInt(process.env.RENDER_CACHE_SIZE) || 500,
+      // 分页结果在内存中的有效期（毫秒）
+      ttl: parseInt(process.env.RENDER_CACHE_TTL_MS) || 60 * 60 * 1000
+    };
+    this.plans = new SimpleCache(this.config.maxEntries, this.config.ttl);
+    this.stats = {
+      planHits: 0,
+      planMisses: 0,
+      fileHits: 0,
+      fileMisses: 0
+    };
+  }
+
+  /**
+   * 计算缓存键
+   * @param {Object} parts - 影响输出的所有输入
+   * @returns {string} 缓存键（截断的sha256）
+   */
+  hash(parts) {
+    return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex').slice(0, FILE_HASH_LENGTH);
+  }
+
+  /**
+   * 读取缓存的分页结果
+   * @param {string} key - 缓存键
+   * @returns {Object|null} 分页结果，未命中或未启用时返回null
+   */
+  getPlan(key) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    const plan = this.plans.get(key);
+    if (plan) {
+      this.stats.planHits++;
+    } else {
+      this.stats.planMisses++;
+    }
+    return plan;
+  }
+
+  /**
+   * 缓存分页结果
+   * @param {string} key - 缓存键
+   * @param {Object} plan - 分页结果
+   */
+  setPlan(key, plan) {
+    if (this.config.enabled) {
+      this.plans.set(key, plan);
+    }
+  }
+
+  /**
+   * 检查已渲染的文件是否存在，存在时刷新修改时间，避免被清理服务当作过期文件删除
+   * @param {string} key - 存储中的文件名
+   * @returns {Promise<boolean>} 是否命中
+   */
+  async touchFile(key) {
+    try {
+      const exists = await storageService.touch(key);
+      this.stats[exists ? 'fileHits' : 'fileMisses']++;
+      return exists;
+    } catch (error) {
+      // 存储暂时不可用时按未命中处理，重新渲染并上传
+      this.stats.fileMisses++;
+      return false;
+    }
+  }
+
+  /**
+   * 清空内存中的分页缓存（已渲染的文件由清理服务按保留期限删除）
+   */
+  clear() {
+    this.plans.clear();
+  }
+
+  /**
+   * 获取缓存统计
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    this.plans.cleanup();
+    return {
+      enabled: this.config.enabled,
+      plans: this.plans.size(),
+      maxEntries: this.config.maxEntries,
+      ...this.stats
+    };
+  }
+}
+
+// 单例模式
+const renderCache = new RenderCache();
+
+module.exports = {
+  RenderCache,
+  renderCache,
+  stableStringify
+};
@@ -0,0 +1,418 @@
+/**
+ * 图片存储服务
+ * 生成的卡片图片和PDF统一通过存储服务保存，支持两种后端（STORAGE_DRIVER）：
+ * - local：保存到本地目录，由本服务的 /images 路由提供访问
+ * - s3：上传到S3兼容的对象存储（AWS S3、MinIO、Cloudflare R2等）
+ * 配置了公开访问地址（STORAGE_PUBLIC_BASE_URL，如CDN域名）时，返回的URL均以该地址为前缀
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ErrorLogger } = require('../utils/errorHandler');
+const { getContentTypeByFilename } = require('../utils/imageFormats');
+const { S3Client, encodeRfc3986 } = require('../utils/s3Client');
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+/**
+ * 根据文件名确定Content-Type
+ * @param {string} key - 文件名
+ * @returns {string} Content-Type
+ */
+function getContentType(key) {
+  if (key.endsWith('.pdf')) {
+    return 'application/pdf';
+  }
+  return getContentTypeByFilename(key) || 'application/octet-stream';
+}
+
+/**
+ * 本地文件系统存储
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - { directory }
+   */
+  constructor(options) {
+    this.name = 'local';
+    this.directory = options.directory;
+  }
+
+  /**
+   * 保存文件：先写入临时文件再改名，避免同时到达的相同请求读到未写完的文件
+   * @param {string} key - 文件名
+   * @param {Buffer} buffer - 文件内容
+   */
+  async put(key, buffer) {
+    const filepath = this.getLocation(key);
+    const tempPath = `${filepath}.${uuidv4()}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filepath);
+  }
+
+  /**
+   * 文件存在时刷新修改时间
+   * @param {string} key - 文件名
+   * @returns {Promise<boolean>} 文件是否存在
+   */
+  async touch(key) {
+    try {
+      const now = new Date();
+      await fs.utimes(this.getLocation(key), now, now);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 列出存储目录中的所有文件
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }]
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const objects = [];
+    for (const key of files) {
+      try {
+        const stat = await fs.stat(this.getLocation(key));
+        if (stat.isFile()) {
+          objects.push({ key, size: stat.size, lastModified: stat.mtime });
+        }
+      } catch (error) {
+        // 列举期间被删除的文件直接跳过
+      }
+    }
+    return objects;
+  }
+
+  /**
+   * 删除文件（文件不存在时视为成功）
+   * @param {string} key - 文件名
+   */
+  async delete(key) {
+    try {
+      await fs.unlink(this.getLocation(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 文件的实际位置
+   * @param {string} key - 文件名
+   * @returns {string} 本地路径
+   */
+  getLocation(key) {
+    return path.join(this.directory, key);
+  }
+
+  /**
+   * 未配置公开访问地址时的URL：由本服务的 /images 路由提供
+   * @param {string} key - 文件名
+   * @param {string} [baseUrl] - 请求的基础URL
+   * @returns {string} URL
+   */
+  getDefaultUrl(key, baseUrl) {
+    return baseUrl ? `${baseUrl}/images/${key}` : `/images/${key}`;
+  }
+
+  /**
+   * @returns {Object} 后端描述
+   */
+  describe() {
+    return { driver: this.name, directory: this.directory };
+  }
+}
+
+/**
+ * S3兼容对象存储
+ */
+class S3StorageDriver {
+  /**
+   * @param {Object} options - S3连接配置（见S3Client）及 { prefix, acl, cacheControl }
+   */
+  constructor(options) {
+    const missing = ['bucket', 'accessKeyId', 'secretAccessKey'].filter(name => !options[name]);
+    if (missing.length > 0) {
+      throw new Error(`S3 storage requires ${missing.join(', ')} (see S3_* environment variables)`);
+    }
+
+    this.name = 's3';
+    this.prefix = options.prefix || '';
+    this.acl = options.acl || null;
+    this.cacheControl = options.cacheControl || null;
+    this.client = new S3Client(options);
+  }
+
+  /**
+   * 上传与刷新时附带的对象元数据
+   * @param {string} key - 文件名
+   * @returns {Object} 请求头
+   */
+  getObjectHeaders(key) {
+    return {
+      'content-type': getContentType(key),
+      ...(this.cacheControl && { 'cache-control': this.cacheControl }),
+      ...(this.acl && { 'x-amz-acl': this.acl })
+    };
+  }
+
+  /**
+   * 上传文件
+   * @param {string} key - 文件名
+   * @param {Buffer} buffer - 文件内容
+   */
+  async put(key, buffer) {
+    await this.client.putObject(this.prefix + key, buffer, this.getObjectHeaders(key));
+  }
+
+  /**
+   * 对象存在时刷新最后修改时间（对象存储不支持直接修改时间，通过复制到自身实现）
+   * @param {string} key - 文件名
+   * @returns {Promise<boolean>} 对象是否存在
+   */
+  async touch(key) {
+    return this.client.touchObject(this.prefix + key, this.getObjectHeaders(key));
+  }
+
+  /**
+   * 列出前缀下的所有对象，返回的key已去掉前缀
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }]
+   */
+  async list() {
+    const objects = await this.client.listObjects(this.prefix);
+    return objects
+      .map(object => ({ ...object, key: object.key.slice(this.prefix.length) }))
+      // 前缀不以"/"结尾时可能列出更深层级的对象，只保留直接位于前缀下的文件
+      .filter(object => object.key && !object.key.includes('/'));
+  }
+
+  /**
+   * 删除对象
+   * @param {string} key - 文件名
+   */
+  async delete(key) {
+    await this.client.deleteObject(this.prefix + key);
+  }
+
+  /**
+   * 对象的实际位置
+   * @param {string} key - 文件名
+   * @returns {string} s3://存储桶/对象键
+   */
+  getLocation(key) {
+    return `s3://${this.client.options.bucket}/${this.prefix}${key}`;
+  }
+
+  /**
+   * 未配置公开访问地址时的URL：对象存储上的直接地址（需要存储桶允许公开读取）
+   * @param {string} key - 文件名
+   * @returns {string} URL
+   */
+  getDefaultUrl(key) {
+    return this.client.getObjectUrl(this.prefix + key);
+  }
+
+  /**
+   * @returns {Object} 后端描述（不含密钥）
+   */
+  describe() {
+    const { endpoint, region, bucket, forcePathStyle } = this.client.options;
+    return { driver: this.name, endpoint, region, bucket, prefix: this.prefix, forcePathStyle };
+  }
+}
+
+/**
+ * 根据配置创建存储后端
+ * @param {Object} config - 存储配置
+ * @returns {LocalStorageDriver|S3StorageDriver} 存储后端
+ */
+function createStorageDriver(config) {
+  switch (config.driver) {
+    case 'local':
+      return new LocalStorageDriver(config.local);
+    case 's3':
+      return new S3StorageDriver(config.s3);
+    default:
+      throw new Error(`Unknown storage driver: ${config.driver} (supported: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+}
+
+class StorageService {
+  constructor() {
+    const region = process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1';
+    this.config = {
+      // 存储后端：local 或 s3
+      driver: (process.env.STORAGE_DRIVER || 'local').toLowerCase(),
+      // 公开访问地址（如CDN域名），为空时使用存储后端的默认地址
+      publicBaseUrl: (process.env.STORAGE_PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+      local: {
+        directory: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../public/images')
+      },
+      s3: {
+        // 未指定时使用AWS S3的区域地址；MinIO等自建服务填写服务地址，如 http://localhost:9000
+        endpoint: process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+        region,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: process.env.S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN,
+        // 自建服务通常只支持路径风格（http://host/bucket/key）
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+          ? process.env.S3_FORCE_PATH_STYLE === 'true'
+          : Boolean(process.env.S3_ENDPOINT),
+        // 对象键前缀，如 cards/
+        prefix: process.env.S3_PREFIX || '',
+        // 上传时设置的ACL，如 public-read（存储桶策略已允许公开读取时无需设置）
+        acl: process.env.S3_ACL || null,
+        cacheControl: process.env.S3_CACHE_CONTROL || 'public, max-age=86400',
+        timeout: parseInt(process.env.S3_TIMEOUT_MS) || 30000
+      }
+    };
+    this.driver = createStorageDriver(this.config);
+    this.stats = {
+      uploads: 0,
+      bytesUploaded: 0,
+      touches: 0,
+      deletes: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * 统计失败次数后继续抛出
+   * @param {Function} operation - 存储操作
+   * @param {string} key - 文件名
+   * @returns {Promise<*>} 操作结果
+   */
+  async track(operation, key) {
+    try {
+      return await operation();
+    } catch (error) {
+      this.stats.errors++;
+      ErrorLogger.warn('Storage operation failed', { driver: this.driver.name, key, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 保存文件
+   * @param {string} key - 文件名
+   * @param {Buffer} buffer - 文件内容
+   */
+  async put(key, buffer) {
+    await this.track(() => this.driver.put(key, buffer), key);
+    this.stats.uploads++;
+    this.stats.bytesUploaded += buffer.length;
+  }
+
+  /**
+   * 文件存在时刷新修改时间，避免仍在使用的文件被清理服务删除
+   * @param {string} key - 文件名
+   * @returns {Promise<boolean>} 文件是否存在
+   */
+  async touch(key) {
+    const exists = await this.track(() => this.driver.touch(key), key);
+    if (exists) {
+      this.stats.touches++;
+    }
+    return exists;
+  }
+
+  /**
+   * 列出所有文件
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }]
+   */
+  async list() {
+    return this.track(() => this.driver.list(), null);
+  }
+
+  /**
+   * 删除文件
+   * @param {string} key - 文件名
+   */
+  async delete(key) {
+    await this.track(() => this.driver.delete(key), key);
+    this.stats.deletes++;
+  }
+
+  /**
+   * 文件的公开访问URL
+   * @param {string} key - 文件名
+   * @param {string} [baseUrl] - 请求的基础URL（仅本地存储且未配置公开访问地址时使用）
+   * @returns {string} URL
+   */
+  getUrl(key, baseUrl) {
+    if (this.config.publicBaseUrl) {
+      return `${this.config.publicBaseUrl}/${encodeRfc3986(key, true)}`;
+    }
+    return this.driver.getDefaultUrl(key, baseUrl);
+  }
+
+  /**
+   * 文件的实际位置（本地路径或 s3:// 地址），用于日志与排查
+   * @param {string} key - 文件名
+   * @returns {string} 位置
+   */
+  getLocation(key) {
+    return this.driver.getLocation(key);
+  }
+
+  /**
+   * 本地存储目录，使用其他后端时返回null（不提供 /images 路由）
+   * @returns {string|null} 目录
+   */
+  getLocalDirectory() {
+    return this.driver instanceof LocalStorageDriver ? this.driver.directory : null;
+  }
+
+  /**
+   * 当前存储后端信息（不含密钥）
+   * @returns {Object} 后端信息
+   */
+  describe() {
+    return {
+      ...this.driver.describe(),
+      publicBaseUrl: this.config.publicBaseUrl || null
+    };
+  }
+
+  /**
+   * 获取存储后端信息与统计
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      ...this.describe(),
+      ...this.stats
+    };
+  }
+}
+
+// 单例模式
+const storageService = new StorageService();
+
+module.exports = {
+  StorageService,
+  storageService,
+  LocalStorageDriver,
+  S3StorageDriver,
+  createStorageDriver,
+  STORAGE_DRIVERS
+};
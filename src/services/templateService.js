@@ -0,0 +1,493 @@
+/**
+ * 模板注册服务
+ * 管理自定义Handlebars模板集：上传时校验分页所需的选择器，每次上传生成新版本并持久化到磁盘，
+ * 请求可按名称（或 名称@版本）选择模板集，未覆盖的模板沿用内置模板
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const handlebars = require('handlebars');
+
+const { AppError, ValidationError, ErrorLogger } = require('../utils/errorHandler');
+const { getRenderer } = require('./htmlRenderer');
+
+// 内置模板集名称
+const DEFAULT_TEMPLATE_SET = 'default';
+
+// 可被模板集覆盖的模板
+const TEMPLATE_NAMES = ['main-card', 'comment-card', 'summary-card'];
+
+// 每个模板渲染示例数据后必须包含的class，缺失时截图测量或分页测量会失效
+const REQUIRED_CLASSES = {
+  'main-card': ['card', 'main-content', 'content-zh', 'content-en'],
+  'comment-card': ['card', 'comments-section', 'comment-card', 'comment-content-zh', 'comment-content'],
+  'summary-card': ['card']
+};
+
+const MAX_TEMPLATE_SIZE = 256 * 1024;
+const SET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// 模板只能使用白名单内的元素和属性：卡片预览在服务的源下提供，模板不可信
+// script、iframe、object、embed、meta http-equiv、base等可执行或改变页面行为的内容一律拒绝
+const ALLOWED_TAGS = new Set([
+  'html', 'head', 'body', 'title', 'meta', 'link', 'style',
+  'div', 'span', 'p', 'br', 'hr', 'header', 'footer', 'main', 'section', 'article', 'aside', 'nav',
+  'figure', 'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'a', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'small', 'sub', 'sup',
+  'code', 'pre', 'blockquote', 'q', 'cite', 'abbr', 'time',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'colgroup', 'col',
+  'img',
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect', 'text', 'tspan',
+  'defs', 'lineargradient', 'radialgradient', 'stop'
+]);
+
+// 允许的属性（不区分元素），另外放行data-*和aria-*属性
+const ALLOWED_ATTRIBUTES = new Set([
+  'class', 'id', 'style', 'lang', 'dir', 'title', 'alt', 'width', 'height', 'src', 'href', 'rel',
+  'charset', 'name', 'content', 'start', 'colspan', 'rowspan', 'align', 'datetime', 'role',
+  'xmlns', 'viewbox', 'preserveaspectratio', 'd', 'fill', 'fill-opacity', 'fill-rule', 'stroke',
+  'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'opacity', 'transform', 'cx', 'cy', 'r', 'rx', 'ry',
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'points', 'offset', 'stop-color', 'stop-opacity',
+  'gradientunits', 'gradienttransform', 'text-anchor', 'font-size', 'font-weight'
+]);
+
+// 属性值为URL的属性只允许相对地址、http(s)和data:image
+const URL_ATTRIBUTES = new Set(['src', 'href']);
+const SAFE_URL_PATTERN = /^(?:https?:|data:image\/|[^:]*$)/i;
+
+const TAG_PATTERN = /<\s*\/?\s*([a-zA-Z][\w:-]*)([^>]*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'=<>\/`]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>`]+)))?/g;
+
+// {{{value}}}、{{&value}}不经转义输出帖子内容
+const UNESCAPED_OUTPUT_PATTERN = /\{\{~?\s*[{&]/;
+// <{{tag}}>由数据决定元素名称
+const DYNAMIC_TAG_PATTERN = /<\s*\/?\s*\{\{/;
+
+/**
+ * 解码属性值中的字符实体并去掉空白和控制字符，得到浏览器实际解析的URL
+ * @param {string} value - 属性值
+ * @returns {string} 解码后的URL
+ */
+function decodeUrlAttribute(value) {
+  const fromCodePoint = (code) => (code <= 0x10ffff ? String.fromCodePoint(code) : '');
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, decimal) => fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&(?:tab|newline);/gi, '')
+    .replace(/[\s\u0000-\u001f]/g, '');
+}
+
+/**
+ * 按白名单检查模板源码或渲染结果中的元素、属性和URL
+ * @param {string} markup - 模板源码或渲染后的HTML
+ * @returns {Array<string>} 不允许的内容说明
+ */
+function findUnsafeMarkup(markup) {
+  const problems = new Set();
+
+  if (UNESCAPED_OUTPUT_PATTERN.test(markup)) {
+    problems.add('Unescaped output ({{{ }}} or {{& }}) is not allowed');
+  }
+  if (DYNAMIC_TAG_PATTERN.test(markup)) {
+    problems.add('Dynamic element names are not allowed');
+  }
+
+  for (const [, tagName, rest] of markup.matchAll(TAG_PATTERN)) {
+    const tag = tagName.toLowerCase();
+    if (!ALLOWED_TAGS.has(tag)) {
+      problems.add(`<${tag}> elements are not allowed`);
+      continue;
+    }
+
+    for (const [, attributeName, ...values] of rest.matchAll(ATTRIBUTE_PATTERN)) {
+      const attribute = attributeName.toLowerCase();
+      if (!ALLOWED_ATTRIBUTES.has(attribute) && !/^(?:data|aria)-[a-z0-9-]+$/.test(attribute)) {
+        problems.add(`Attribute ${attribute} is not allowed on <${tag}>`);
+        continue;
+      }
+
+      const value = values.find(item => item !== undefined) || '';
+      if (URL_ATTRIBUTES.has(attribute) && !SAFE_URL_PATTERN.test(decodeUrlAttribute(value))) {
+        problems.add(`Unsafe URL in ${attribute} on <${tag}>`);
+      }
+    }
+  }
+
+  return Array.from(problems);
+}
+
+// 用于校验和预览的示例数据
+const SAMPLE_DATA = {
+  'main-card': {
+    type: 'main',
+    title: 'What is something that instantly makes you trust someone?',
+    title_zh: '什么事情会让你立刻信任一个人？',
+    subreddit: 'AskReddit',
+    ups: 12800,
+    content_zh: '这是示例正文的第一段。\n这是示例正文的第二段。',
+    content: 'This is the first sample paragraph.\nThis is the second sample paragraph.',
+    pageNumber: 1,
+    totalPages: 3
+  },
+  'comment-card': {
+    type: 'comments',
+    title: 'What is something that instantly makes you trust someone?',
+    comments: [
+      { author: 'sample_user', ups: 3400, body: 'When they admit they were wrong.', body_zh: '当他们承认自己错了的时候。' },
+      { author: 'another_user', ups: 1200, body: 'Exactly this.', body_zh: '确实如此。', depth: 1, showReplyContext: true, parentAuthor: 'sample_user', parentExcerpt: '当他们承认自己错了的时候。' },
+      { isContinuation: true, body: 'Continued text.', body_zh: '续接的内容。' }
+    ],
+    pageNumber: 2,
+    totalPages: 3
+  },
+  'summary-card': {
+    type: 'summary',
+    title: 'What is something that instantly makes you trust someone?',
+    title_zh: '什么事情会让你立刻信任一个人？',
+    subreddit: 'AskReddit',
+    ups: 12800,
+    summary_zh: '大家普遍认为，敢于承认错误、言行一致的人最值得信任。',
+    commentCount: 3,
+    pageNumber: 3,
+    totalPages: 3
+  }
+};
+
+class TemplateService {
+  constructor() {
+    this.sets = new Map();
+    this.loadPromise = null;
+    // 模板集名称 -> 进行中的上传，同名上传依次分配版本号
+    this.uploadQueues = new Map();
+    this.config = {
+      // 自定义模板存储目录
+      storeDir: process.env.TEMPLATE_STORE_DIR || path.join(__dirname, '../../data/templates')
+    };
+  }
+
+  /**
+   * 确保已从磁盘加载模板集清单
+   */
+  async ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadManifests();
+    }
+    await this.loadPromise;
+  }
+
+  /**
+   * 读取存储目录下所有模板集的manifest.json
+   */
+  async loadManifests() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.config.storeDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        ErrorLogger.log(error, { context: 'loadTemplateManifests' });
+      }
+      return;
+    }
+
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      try {
+        const content = await fs.readFile(path.join(this.config.storeDir, entry.name, 'manifest.json'), 'utf-8');
+        const manifest = JSON.parse(content);
+        this.sets.set(manifest.name, manifest);
+      } catch (error) {
+        ErrorLogger.warn(`Skipping invalid template set: ${entry.name}`, { error: error.message });
+      }
+    }
+
+    ErrorLogger.info('Template sets loaded', { sets: this.sets.size });
+  }
+
+  /**
+   * 解析模板集标识（名称 或 名称@版本）
+   * @param {string} spec - 模板集标识
+   * @returns {Object} { name, version }，未指定版本时version为null
+   */
+  parseSpec(spec = DEFAULT_TEMPLATE_SET) {
+    const [name, version] = spec.split('@');
+    if (version !== undefined && !/^[1-9]\d*$/.test(version)) {
+      throw new ValidationError(`Invalid template set version: ${version}`);
+    }
+    return { name, version: version ? parseInt(version, 10) : null };
+  }
+
+  /**
+   * 模板集（及版本）是否存在
+   * @param {string} spec - 模板集标识
+   * @returns {Promise<boolean>}
+   */
+  async hasTemplateSet(spec) {
+    try {
+      await this.resolve(spec);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 解析渲染使用的模板集
+   * @param {string} [spec] - 模板集标识，default或未指定时使用内置模板
+   * @returns {Promise<Object|null>} 模板集（id、dir、templates），内置模板返回null
+   */
+  async resolve(spec) {
+    const { name, version } = this.parseSpec(spec);
+    if (name === DEFAULT_TEMPLATE_SET) {
+      return null;
+    }
+
+    await this.ensureLoaded();
+    const manifest = this.sets.get(name);
+    if (!manifest) {
+      throw new ValidationError(`Unknown template set: ${name}`);
+    }
+
+    const targetVersion = version || manifest.latestVersion;
+    const versionInfo = manifest.versions.find(item => item.version === targetVersion);
+    if (!versionInfo) {
+      throw new ValidationError(`Unknown version ${targetVersion} of template set ${name}`);
+    }
+
+    return {
+      id: `${name}@${targetVersion}`,
+      name,
+      version: targetVersion,
+      dir: this.getVersionDir(name, targetVersion),
+      templates: versionInfo.templates
+    };
+  }
+
+  /**
+   * 获取版本目录
+   * @param {string} name - 模板集名称
+   * @param {number} version - 版本号
+   * @returns {string} 目录路径
+   */
+  getVersionDir(name, version) {
+    return path.join(this.config.storeDir, name, `v${version}`);
+  }
+
+  /**
+   * 校验单个模板：能够编译、渲染示例数据，且包含分页与截图所需的class
+   * @param {string} templateName - 模板名称
+   * @param {string} source - 模板内容
+   * @returns {Array<string>} 警告信息
+   */
+  validateTemplate(templateName, source) {
+    if (!TEMPLATE_NAMES.includes(templateName)) {
+      throw new ValidationError(`Unknown template: ${templateName}`, [`Allowed templates: ${TEMPLATE_NAMES.join(', ')}`]);
+    }
+
+    if (typeof source !== 'string') {
+      throw new ValidationError(`Template ${templateName} must be a string`);
+    }
+
+    if (Buffer.byteLength(source) > MAX_TEMPLATE_SIZE) {
+      throw new ValidationError(`Template ${templateName} exceeds ${MAX_TEMPLATE_SIZE} bytes`);
+    }
+
+    let html;
+    try {
+      // 使用渲染器注册的助手函数与预处理逻辑渲染示例数据
+      const renderer = getRenderer();
+      html = handlebars.compile(source)(renderer.preprocessData(SAMPLE_DATA[templateName]));
+    } catch (error) {
+      throw new ValidationError(`Template ${templateName} failed to render`, [error.message]);
+    }
+
+    // 模板源码和渲染结果都要检查：源码覆盖示例数据未走到的分支，渲染结果避免通过助手函数或拼接绕过
+    const unsafe = Array.from(new Set([...findUnsafeMarkup(source), ...findUnsafeMarkup(html)]));
+    if (unsafe.length > 0) {
+      throw new ValidationError(`Template ${templateName} contains executable content`, unsafe);
+    }
+
+    const classes = new Set();
+    (html.match(/class\s*=\s*"([^"]*)"|class\s*=\s*'([^']*)'/g) || []).forEach((attribute) => {
+      attribute.replace(/^class\s*=\s*["']|["']$/g, '').split(/\s+/).forEach(token => classes.add(token));
+    });
+
+    const missing = REQUIRED_CLASSES[templateName].filter(name => !classes.has(name));
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Template ${templateName} is missing required selectors`,
+        missing.map(name => `.${name}`)
+      );
+    }
+
+    const warnings = [];
+    if (!html.includes('<link rel="stylesheet" href="../css/base.css">')) {
+      warnings.push(`${templateName}: base.css link tag not found, shared styles, themes and size presets will not be applied`);
+    }
+    return warnings;
+  }
+
+  /**
+   * 上传模板集的新版本
+   * @param {Object} upload - 上传内容
+   * @param {string} upload.name - 模板集名称
+   * @param {string} [upload.description] - 版本说明
+   * @param {Object} upload.templates - 模板名称到模板内容的映射
+   * @returns {Promise<Object>} 新版本信息及警告
+   */
+  async upload({ name, description = '', templates = {} }) {
+    if (!name || !SET_NAME_PATTERN.test(name) || name === DEFAULT_TEMPLATE_SET) {
+      throw new ValidationError('Invalid template set name', ['Use lowercase letters, digits, "-" or "_" (max 50 characters), "default" is reserved']);
+    }
+
+    const templateNames = Object.keys(templates);
+    if (templateNames.length === 0) {
+      throw new ValidationError('No templates uploaded', [`Provide at least one of: ${TEMPLATE_NAMES.join(', ')}`]);
+    }
+
+    const warnings = [];
+    templateNames.forEach((templateName) => {
+      warnings.push(...this.validateTemplate(templateName, templates[templateName]));
+    });
+
+    await this.ensureLoaded();
+
+    // 同名模板集的上传排队执行，避免并发上传分配到相同的版本号而互相覆盖
+    const previous = this.uploadQueues.get(name) || Promise.resolve();
+    const task = previous.catch(() => {}).then(() => this.saveVersion(name, description, templates));
+    this.uploadQueues.set(name, task);
+    try {
+      const versionInfo = await task;
+      return { name, ...versionInfo, warnings };
+    } finally {
+      if (this.uploadQueues.get(name) === task) {
+        this.uploadQueues.delete(name);
+      }
+    }
+  }
+
+  /**
+   * 分配版本号并写入模板文件与清单（同名模板集同一时间只有一个调用）
+   * @param {string} name - 模板集名称
+   * @param {string} description - 版本说明
+   * @param {Object} templates - 模板名称到模板内容的映射
+   * @returns {Promise<Object>} 版本信息
+   */
+  async saveVersion(name, description, templates) {
+    const templateNames = Object.keys(templates);
+    const manifest = this.sets.get(name) || {
+      name,
+      createdAt: new Date().toISOString(),
+      latestVersion: 0,
+      versions: []
+    };
+
+    const version = manifest.latestVersion + 1;
+    const dir = this.getVersionDir(name, version);
+    await fs.mkdir(dir, { recursive: true });
+
+    for (const templateName of templateNames) {
+      await fs.writeFile(path.join(dir, `${templateName}.hbs`), templates[templateName], 'utf-8');
+    }
+
+    const checksum = crypto.createHash('sha256');
+    templateNames.sort().forEach(templateName => checksum.update(templateName).update(templates[templateName]));
+
+    const versionInfo = {
+      version,
+      description,
+      templates: templateNames,
+      checksum: checksum.digest('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    const updated = {
+      ...manifest,
+      latestVersion: version,
+      versions: [...manifest.versions, versionInfo],
+      updatedAt: versionInfo.createdAt
+    };
+    await fs.writeFile(path.join(this.config.storeDir, name, 'manifest.json'), JSON.stringify(updated, null, 2), 'utf-8');
+    this.sets.set(name, updated);
+
+    ErrorLogger.info('Template set version uploaded', { name, version, templates: templateNames });
+    return versionInfo;
+  }
+
+  /**
+   * 列出所有模板集
+   * @returns {Promise<Array<Object>>} 模板集列表
+   */
+  async listTemplateSets() {
+    await this.ensureLoaded();
+    return [
+      { name: DEFAULT_TEMPLATE_SET, builtIn: true, latestVersion: null, templates: TEMPLATE_NAMES },
+      ...Array.from(this.sets.values()).map(manifest => ({
+        name: manifest.name,
+        builtIn: false,
+        latestVersion: manifest.latestVersion,
+        versions: manifest.versions.length,
+        templates: manifest.versions[manifest.versions.length - 1].templates,
+        updatedAt: manifest.updatedAt
+      }))
+    ];
+  }
+
+  /**
+   * 获取模板集详情（含所有版本）
+   * @param {string} name - 模板集名称
+   * @returns {Promise<Object|null>} 模板集清单
+   */
+  async getTemplateSet(name) {
+    await this.ensureLoaded();
+    return this.sets.get(name) || null;
+  }
+
+  /**
+   * 获取模板集某一版本的模板源码
+   * @param {string} spec - 模板集标识
+   * @returns {Promise<Object>} 模板名称到源码的映射（含沿用的内置模板）
+   */
+  async getSources(spec) {
+    const templateSet = await this.resolve(spec);
+    const renderer = getRenderer();
+    const sources = {};
+
+    for (const templateName of TEMPLATE_NAMES) {
+      sources[templateName] = {
+        inherited: !templateSet || !templateSet.templates.includes(templateName),
+        source: await renderer.loadTemplate(templateName, templateSet)
+      };
+    }
+    return sources;
+  }
+
+  /**
+   * 使用示例数据预览模板
+   * @param {string} spec - 模板集标识
+   * @param {string} templateName - 模板名称
+   * @param {Object} [cssVariables] - 主题/尺寸样式变量
+   * @returns {Promise<string>} 内联样式后的HTML
+   */
+  async preview(spec, templateName, cssVariables = {}) {
+    if (!TEMPLATE_NAMES.includes(templateName)) {
+      throw new AppError(`Unknown template: ${templateName}`, 400);
+    }
+
+    const templateSet = await this.resolve(spec);
+    const renderer = getRenderer();
+    const html = await renderer.renderHTML(templateName, SAMPLE_DATA[templateName], { templateSet });
+    return renderer.inlineStyles(html, cssVariables);
+  }
+}
+
+// 单例模式
+const templateService = new TemplateService();
+
+module.exports = {
+  TemplateService,
+  templateService,
+  DEFAULT_TEMPLATE_SET,
+  TEMPLATE_NAMES
+};
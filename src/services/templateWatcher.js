@@ -0,0 +1,157 @@
+/**
+ * 模板热重载服务
+ * 开发时监听内置模板（.hbs）和样式（.css）的变化并使模板缓存失效，无需重启服务即可看到修改效果
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ErrorLogger } = require('../utils/errorHandler');
+const { getRenderer } = require('./htmlRenderer');
+
+class TemplateWatcher {
+  constructor() {
+    this.watchers = [];
+    this.pending = new Map();
+    this.isRunning = false;
+    this.stats = {
+      reloads: 0,
+      lastReloadAt: null,
+      lastChangedFile: null
+    };
+    this.config = {
+      // 监听目录
+      directories: [
+        path.join(__dirname, '../templates/html'),
+        path.join(__dirname, '../templates/css')
+      ],
+      // 监听的文件扩展名
+      extensions: ['.hbs', '.css'],
+      // 编辑器保存时往往连续触发多次事件，合并后再处理
+      debounceMs: 100,
+      // 显式设置TEMPLATE_HOT_RELOAD时以其为准，否则仅在开发环境启用
+      enabled: process.env.TEMPLATE_HOT_RELOAD
+        ? process.env.TEMPLATE_HOT_RELOAD === 'true'
+        : process.env.NODE_ENV === 'development'
+    };
+  }
+
+  /**
+   * 启动文件监听
+   */
+  start() {
+    if (!this.config.enabled) {
+      ErrorLogger.info('Template hot reload is disabled');
+      return;
+    }
+
+    if (this.isRunning) {
+      ErrorLogger.warn('Template watcher is already running');
+      return;
+    }
+
+    this.config.directories.forEach((directory) => {
+      try {
+        const watcher = fs.watch(directory, (eventType, filename) => {
+          if (filename) {
+            this.scheduleReload(filename);
+          }
+        });
+        watcher.on('error', (error) => {
+          ErrorLogger.warn('Template watcher error', { directory, error: error.message });
+        });
+        // 不阻止进程退出
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        ErrorLogger.warn('Failed to watch template directory', { directory, error: error.message });
+      }
+    });
+
+    this.isRunning = true;
+    ErrorLogger.info('Template watcher started', { directories: this.config.directories });
+  }
+
+  /**
+   * 停止文件监听
+   */
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+    this.isRunning = false;
+    ErrorLogger.info('Template watcher stopped');
+  }
+
+  /**
+   * 合并同一文件的连续变更事件
+   * @param {string} filename - 变更的文件名
+   */
+  scheduleReload(filename) {
+    if (!this.config.extensions.includes(path.extname(filename))) {
+      return;
+    }
+
+    clearTimeout(this.pending.get(filename));
+    const timer = setTimeout(() => {
+      this.pending.delete(filename);
+      this.handleChange(filename);
+    }, this.config.debounceMs);
+    timer.unref();
+    this.pending.set(filename, timer);
+  }
+
+  /**
+   * 处理文件变更：模板变更只失效对应模板；base.css本身每次渲染都会重新读取，
+   * 样式变更时同样清空模板缓存，保证下一次渲染完全基于磁盘上的最新内容
+   * @param {string} filename - 变更的文件名
+   */
+  handleChange(filename) {
+    const renderer = getRenderer();
+
+    if (path.extname(filename) === '.hbs') {
+      renderer.invalidateTemplate(path.basename(filename, '.hbs'));
+    } else {
+      renderer.clearCache();
+    }
+
+    this.stats.reloads++;
+    this.stats.lastReloadAt = new Date().toISOString();
+    this.stats.lastChangedFile = filename;
+    console.log(`♻️  Template changed: ${filename}, cache invalidated`);
+  }
+
+  /**
+   * 手动重新加载所有模板
+   * @returns {Object} 重载后的状态
+   */
+  forceReload() {
+    getRenderer().clearCache();
+    this.stats.reloads++;
+    this.stats.lastReloadAt = new Date().toISOString();
+    this.stats.lastChangedFile = null;
+    ErrorLogger.info('Templates reloaded manually');
+    return this.getStatus();
+  }
+
+  /**
+   * 获取监听状态
+   * @returns {Object} 状态信息
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      isRunning: this.isRunning,
+      directories: this.config.directories,
+      ...this.stats
+    };
+  }
+}
+
+// 单例模式
+const templateWatcher = new TemplateWatcher();
+
+module.exports = {
+  TemplateWatcher,
+  templateWatcher
+};
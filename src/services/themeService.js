@@ -0,0 +1,249 @@
+/**
+ * 主题服务
+ * 管理卡片配色主题：内置主题、从JSON文件加载的自定义主题以及通过接口注册的主题，
+ * 主题以CSS自定义属性的形式在内联样式时覆盖base.css中的默认配色
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Joi = require('joi');
+
+const { AppError, ValidationError, ErrorLogger } = require('../utils/errorHandler');
+
+const DEFAULT_THEME = 'light';
+// 根据subreddit自动选择主题
+const AUTO_THEME = 'auto';
+
+// CSS自定义属性：名称必须以--开头，值中不允许出现可能跳出声明的字符
+const CSS_VARIABLE_NAME = /^--[a-z0-9-]+$/;
+const CSS_VARIABLE_VALUE = /^[^;{}<>]+$/;
+
+const themeSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9_-]+$/).max(50).invalid(AUTO_THEME).required(),
+  label: Joi.string().max(100),
+  extends: Joi.string(),
+  subreddits: Joi.array().items(Joi.string().max(50)).default([]),
+  variables: Joi.object()
+    .pattern(CSS_VARIABLE_NAME, Joi.string().pattern(CSS_VARIABLE_VALUE).max(200))
+    .default({})
+});
+
+// 内置主题；light即base.css中的默认配色
+const BUILT_IN_THEMES = [
+  {
+    name: 'light',
+    label: '浅色',
+    subreddits: [],
+    variables: {}
+  },
+  {
+    name: 'dark',
+    label: '深色',
+    subreddits: [],
+    variables: {
+      '--text-primary': '#f2f2f7',
+      '--text-secondary': '#d1d1d6',
+      '--text-tertiary': '#a1a1a6',
+      '--text-quaternary': '#8e8e93',
+      '--text-accent': '#0a84ff',
+      '--bg-page': '#000000',
+      '--bg-primary': '#1c1c1e',
+      '--bg-secondary': '#2c2c2e',
+      '--bg-tertiary': '#242426',
+      '--bg-card': '#1c1c1e',
+      '--bg-comment': '#2c2c2e',
+      '--border-light': '#3a3a3c',
+      '--border-medium': '#48484a',
+      '--shadow-light': 'rgba(0, 0, 0, 0.4)',
+      '--shadow-medium': 'rgba(0, 0, 0, 0.5)',
+      '--shadow-strong': 'rgba(0, 0, 0, 0.6)'
+    }
+  },
+  {
+    name: 'high-contrast',
+    label: '高对比度',
+    subreddits: [],
+    variables: {
+      '--reddit-orange': '#c03400',
+      '--reddit-light-orange': '#c03400',
+      '--reddit-blue': '#0040a0',
+      '--text-primary': '#000000',
+      '--text-secondary': '#000000',
+      '--text-tertiary': '#1c1c1e',
+      '--text-quaternary': '#3a3a3c',
+      '--text-accent': '#0040a0',
+      '--bg-page': '#ffffff',
+      '--bg-secondary': '#ffffff',
+      '--bg-tertiary': '#ffffff',
+      '--bg-comment': '#ffffff',
+      '--bg-gradient': '#000000',
+      '--border-light': '#000000',
+      '--border-medium': '#000000',
+      '--border-accent': '#000000'
+    }
+  }
+];
+
+class ThemeService {
+  constructor() {
+    this.themes = new Map();
+    this.subredditThemes = new Map();
+    this.loadPromise = null;
+    this.config = {
+      // 自定义主题JSON文件目录
+      themesDir: process.env.THEMES_DIR || path.join(__dirname, '../templates/themes')
+    };
+
+    BUILT_IN_THEMES.forEach(theme => this.addTheme({ ...theme, builtIn: true }));
+  }
+
+  /**
+   * 确保自定义主题文件已加载
+   */
+  async ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadCustomThemes();
+    }
+    await this.loadPromise;
+  }
+
+  /**
+   * 从主题目录加载所有JSON主题文件
+   */
+  async loadCustomThemes() {
+    let files;
+    try {
+      files = await fs.readdir(this.config.themesDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        ErrorLogger.log(error, { context: 'loadCustomThemes' });
+      }
+      return;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const content = await fs.readFile(path.join(this.config.themesDir, file), 'utf-8');
+        this.register(JSON.parse(content));
+      } catch (error) {
+        ErrorLogger.warn(`Skipping invalid theme file: ${file}`, { error: error.message });
+      }
+    }
+
+    ErrorLogger.info('Custom themes loaded', { themes: this.themes.size });
+  }
+
+  /**
+   * 校验并注册自定义主题
+   * @param {Object} definition - 主题定义（name、label、extends、subreddits、variables）
+   * @returns {Object} 注册后的主题
+   */
+  register(definition) {
+    const { error, value } = themeSchema.validate(definition);
+    if (error) {
+      throw new ValidationError('Invalid theme definition', error.details.map(d => d.message));
+    }
+
+    const existing = this.themes.get(value.name);
+    if (existing && existing.builtIn) {
+      throw new AppError(`Built-in theme "${value.name}" cannot be overridden`, 409);
+    }
+
+    if (value.extends && !this.themes.has(value.extends)) {
+      throw new ValidationError(`Unknown base theme: ${value.extends}`);
+    }
+
+    return this.addTheme({ ...value, builtIn: false });
+  }
+
+  /**
+   * 保存主题并更新subreddit映射
+   * @param {Object} theme - 主题
+   * @returns {Object} 主题
+   */
+  addTheme(theme) {
+    const previous = this.themes.get(theme.name);
+    if (previous) {
+      previous.subreddits.forEach(subreddit => this.subredditThemes.delete(subreddit.toLowerCase()));
+    }
+
+    this.themes.set(theme.name, theme);
+    theme.subreddits.forEach(subreddit => this.subredditThemes.set(subreddit.toLowerCase(), theme.name));
+    return theme;
+  }
+
+  /**
+   * 主题是否存在（auto始终有效）
+   * @param {string} name - 主题名称
+   * @returns {Promise<boolean>}
+   */
+  async hasTheme(name) {
+    await this.ensureLoaded();
+    return name === AUTO_THEME || this.themes.has(name);
+  }
+
+  /**
+   * 解析本次渲染使用的主题
+   * @param {string} [name] - 主题名称，auto或未指定时按subreddit映射
+   * @param {string} [subreddit] - 帖子所属subreddit
+   * @returns {Promise<Object>} 主题名称及合并继承链后的CSS变量
+   */
+  async resolve(name, subreddit) {
+    await this.ensureLoaded();
+
+    let themeName = name;
+    if (!themeName || themeName === AUTO_THEME) {
+      themeName = (subreddit && this.subredditThemes.get(subreddit.toLowerCase())) || DEFAULT_THEME;
+    }
+
+    const theme = this.themes.get(themeName);
+    if (!theme) {
+      throw new ValidationError(`Unknown theme: ${themeName}`);
+    }
+
+    return {
+      name: theme.name,
+      variables: this.collectVariables(theme)
+    };
+  }
+
+  /**
+   * 沿继承链合并主题变量，子主题覆盖父主题
+   * @param {Object} theme - 主题
+   * @param {Set<string>} [visited] - 已访问的主题，防止循环继承
+   * @returns {Object} CSS变量
+   */
+  collectVariables(theme, visited = new Set()) {
+    visited.add(theme.name);
+    const parent = theme.extends && !visited.has(theme.extends) && this.themes.get(theme.extends);
+    return {
+      ...(parent ? this.collectVariables(parent, visited) : {}),
+      ...theme.variables
+    };
+  }
+
+  /**
+   * 列出所有主题
+   * @returns {Promise<Array<Object>>} 主题列表
+   */
+  async listThemes() {
+    await this.ensureLoaded();
+    return Array.from(this.themes.values()).map(theme => ({
+      name: theme.name,
+      label: theme.label || theme.name,
+      builtIn: theme.builtIn,
+      extends: theme.extends || null,
+      subreddits: theme.subreddits
+    }));
+  }
+}
+
+// 单例模式
+const themeService = new ThemeService();
+
+module.exports = {
+  ThemeService,
+  themeService,
+  DEFAULT_THEME,
+  AUTO_THEME
+};
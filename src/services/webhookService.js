@@ -0,0 +1,256 @@
+/**
+ * Webhook回调服务
+ * 负责在生成任务结束后向调用方推送结果，支持HMAC签名、失败重试和投递日志
+ * 只有网络错误、超时、5xx和429会重试，地址被拒绝或其他4xx响应在首次失败后即放弃
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { v4: uuidv4 } = require('uuid');
+
+const { AppError, MediaFetchError, ErrorLogger, retryOperation } = require('../utils/errorHandler');
+const { isPrivateAddress, guardedLookup } = require('../utils/safeFetch');
+
+const SIGNATURE_HEADER = 'X-Signature-256';
+
+/**
+ * 创建不可重试的投递错误（地址被拒绝、回调方返回4xx等），重试也不会成功
+ * @param {string} message - 错误信息
+ * @param {number} statusCode - 状态码
+ * @returns {AppError} 错误
+ */
+function permanentError(message, statusCode) {
+  const error = new AppError(message, statusCode);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * 判断投递失败是否值得重试：网络错误、超时、5xx和429会重试，其余视为永久失败
+ * @param {Error} error - 投递错误
+ * @returns {boolean} 是否重试
+ */
+function isRetryable(error) {
+  return error.retryable !== false;
+}
+
+class WebhookService {
+  constructor() {
+    this.deliveryLog = [];
+    this.config = {
+      // 最大投递次数（含首次）
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      // 重试基础间隔（毫秒），每次重试按次数线性递增
+      retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 2000,
+      // 单次请求超时（毫秒）
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+      // 投递日志最多保留条数
+      maxLogEntries: 200,
+      // 允许回调内网地址（仅用于本地开发调试）
+      allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+    };
+  }
+
+  /**
+   * 计算请求体签名
+   * @param {string} body - 请求体
+   * @param {string} secret - 签名密钥
+   * @returns {string} 签名，格式为 sha256=<hex>
+   */
+  sign(body, secret) {
+    const digest = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * 发送单次POST请求
+   * 回调地址由调用方提供，每次请求都在建立连接时重新解析并拒绝内网及保留地址，
+   * 防止借助回调访问内部网络（SSRF），也避免重试之间被DNS重绑定绕过
+   * @param {string} url - 回调地址
+   * @param {string} body - JSON请求体
+   * @param {Object} headers - 请求头
+   * @returns {Promise<number>} HTTP状态码
+   */
+  post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      if (!['http:', 'https:'].includes(target.protocol)) {
+        reject(permanentError(`Unsupported callback protocol "${target.protocol}"`, 400));
+        return;
+      }
+
+      const { allowPrivateNetworks } = this.config;
+      // IP字面量不经过DNS解析，需单独校验
+      const host = target.hostname.replace(/^\[|\]$/g, '');
+      if (!allowPrivateNetworks && isPrivateAddress(host)) {
+        reject(permanentError(`Refusing to deliver callback to private address ${host}`, 400));
+        return;
+      }
+
+      const client = target.protocol === 'https:' ? https : http;
+
+      const request = client.request(target, {
+        method: 'POST',
+        lookup: allowPrivateNetworks ? undefined : guardedLookup,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'reddit-card-generator-webhook/1.0',
+          ...headers
+        },
+        timeout: this.config.timeout
+      }, (response) => {
+        // 丢弃响应体，只关心状态码
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve(response.statusCode);
+          } else {
+            const error = new AppError(`Callback responded with status ${response.statusCode}`, 502);
+            error.responseStatus = response.statusCode;
+            error.retryable = response.statusCode >= 500 || response.statusCode === 429;
+            reject(error);
+          }
+        });
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`Callback timed out after ${this.config.timeout}ms`));
+      });
+      request.on('error', (error) => {
+        // 域名解析到内网地址时由guardedLookup拒绝连接，与IP字面量一样不再重试
+        if (error instanceof MediaFetchError) {
+          error.retryable = false;
+        }
+        reject(error);
+      });
+
+      request.write(body);
+      request.end();
+    });
+  }
+
+  /**
+   * 投递任务结果
+   * @param {Object} job - 任务对象（需包含callback配置，同步请求的id为null）
+   * @param {Object} payload - 推送内容
+   * @returns {Promise<Object>} 投递结果
+   */
+  async deliver(job, payload) {
+    const { url, secret } = job.callback;
+    const body = JSON.stringify(payload);
+    const deliveryId = uuidv4();
+    const headers = {
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Delivery': deliveryId,
+      ...(job.id && { 'X-Job-Id': job.id })
+    };
+
+    if (secret) {
+      headers[SIGNATURE_HEADER] = this.sign(body, secret);
+    }
+
+    job.callback.status = 'delivering';
+    let attempt = 0;
+
+    try {
+      await retryOperation(async () => {
+        attempt++;
+        const startTime = Date.now();
+
+        try {
+          const statusCode = await this.post(url, body, headers);
+          this.recordAttempt(job, {
+            deliveryId,
+            attempt,
+            success: true,
+            statusCode,
+            duration: Date.now() - startTime
+          });
+        } catch (error) {
+          this.recordAttempt(job, {
+            deliveryId,
+            attempt,
+            success: false,
+            statusCode: error.responseStatus || null,
+            duration: Date.now() - startTime,
+            error: error.message
+          });
+          throw error;
+        }
+      }, this.config.maxAttempts, this.config.retryDelay, isRetryable);
+
+      job.callback.status = 'delivered';
+      ErrorLogger.info('Webhook delivered', { jobId: job.id, url, attempts: attempt });
+    } catch (error) {
+      job.callback.status = 'failed';
+      ErrorLogger.log(error, { jobId: job.id, url, context: 'webhookDeliver' });
+    }
+
+    return {
+      deliveryId,
+      status: job.callback.status,
+      attempts: attempt
+    };
+  }
+
+  /**
+   * 投递同步请求的结果
+   * 同步请求没有对应的任务，投递状态只记录在投递日志中
+   * @param {Object} callback - 回调配置 { url, secret }
+   * @param {Object} payload - 推送内容
+   * @returns {Promise<Object>} 投递结果
+   */
+  deliverResult(callback, payload) {
+    return this.deliver({
+      id: null,
+      callback: {
+        url: callback.url,
+        secret: callback.secret || null,
+        status: 'pending',
+        deliveries: []
+      }
+    }, payload);
+  }
+
+  /**
+   * 记录一次投递尝试
+   * @param {Object} job - 任务对象
+   * @param {Object} entry - 投递记录
+   */
+  recordAttempt(job, entry) {
+    const record = {
+      jobId: job.id,
+      url: job.callback.url,
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+
+    job.callback.deliveries.push(record);
+    this.deliveryLog.push(record);
+
+    if (this.deliveryLog.length > this.config.maxLogEntries) {
+      this.deliveryLog.splice(0, this.deliveryLog.length - this.config.maxLogEntries);
+    }
+  }
+
+  /**
+   * 获取最近的投递日志
+   * @param {number} limit - 返回条数
+   * @returns {Array<Object>} 投递日志（最新的在前）
+   */
+  getDeliveryLog(limit = 50) {
+    return this.deliveryLog.slice(-limit).reverse();
+  }
+}
+
+// 单例模式
+const webhookService = new WebhookService();
+
+module.exports = {
+  WebhookService,
+  webhookService,
+  SIGNATURE_HEADER
+};
@@ -0,0 +1,45 @@
+/**
+ * 管理接口鉴权
+ * 上传模板集、注册主题等接口会影响之后所有请求的渲染结果，需携带与ADMIN_TOKEN一致的令牌：
+ * Authorization: Bearer <token> 或 X-Admin-Token: <token>
+ * 未配置ADMIN_TOKEN时管理接口一律拒绝访问
+ */
+
+const crypto = require('crypto');
+const { AppError } = require('./errorHandler');
+
+/**
+ * 读取请求携带的管理令牌
+ * @param {Object} req - Express请求
+ * @returns {string} 令牌，未携带时为空字符串
+ */
+function readAdminToken(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : (req.get('X-Admin-Token') || '');
+}
+
+// 比较摘要而非原文，比较耗时与令牌内容和长度无关
+function tokensMatch(provided, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * 管理接口中间件：令牌缺失或错误时返回401，未配置ADMIN_TOKEN时返回403
+ */
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return next(new AppError('Admin endpoints are disabled, set ADMIN_TOKEN to enable them', 403));
+  }
+
+  if (!tokensMatch(readAdminToken(req), expected)) {
+    return next(new AppError('Invalid or missing admin token', 401));
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminToken
+};
@@ -0,0 +1,110 @@
+/**
+ * 头像生成工具
+ * 评论没有头像或头像下载失败时，按作者名生成确定性的SVG头像：同一作者每次生成的头像相同
+ */
+
+const crypto = require('crypto');
+
+const AVATAR_STYLES = ['gradient', 'identicon'];
+const DEFAULT_AVATAR_STYLE = 'gradient';
+
+// 头像画布尺寸（SVG为矢量图，实际显示尺寸由CSS决定）
+const AVATAR_SIZE = 96;
+
+// identicon的格子数（左右对称，只需生成一半）
+const IDENTICON_GRID = 5;
+
+/**
+ * 将作者名哈希为字节数组，作为生成头像的种子
+ * @param {string} seed - 作者名
+ * @returns {Buffer} 哈希字节
+ */
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update((seed || '').toLowerCase()).digest();
+}
+
+/**
+ * 转义XML特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 渐变头像：两种颜色的对角渐变，叠加作者名首字母
+ * @param {Buffer} bytes - 种子哈希
+ * @param {string} author - 作者名
+ * @returns {string} SVG
+ */
+function renderGradient(bytes, author) {
+  const hue = Math.round((bytes.readUInt16BE(0) / 0xffff) * 360);
+  // 第二种颜色与第一种相隔30-90度，避免两端颜色过于接近或刺眼
+  const secondHue = (hue + 30 + (bytes[2] % 60)) % 360;
+  const initial = escapeXml((Array.from((author || '').trim())[0] || '?').toUpperCase());
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" viewBox="0 0 ${AVATAR_SIZE} ${AVATAR_SIZE}">` +
+    '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">' +
+    `<stop offset="0" stop-color="hsl(${hue}, 70%, 58%)"/>` +
+    `<stop offset="1" stop-color="hsl(${secondHue}, 72%, 42%)"/>` +
+    '</linearGradient></defs>' +
+    `<rect width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" fill="url(#g)"/>` +
+    `<text x="50%" y="50%" dy="0.35em" text-anchor="middle" fill="#ffffff" font-size="${AVATAR_SIZE * 0.42}" ` +
+    `font-weight="600" font-family="-apple-system, 'Segoe UI', 'PingFang SC', sans-serif">${initial}</text>` +
+    '</svg>';
+}
+
+/**
+ * identicon头像：左右对称的5×5色块图案
+ * @param {Buffer} bytes - 种子哈希
+ * @returns {string} SVG
+ */
+function renderIdenticon(bytes) {
+  const hue = Math.round((bytes.readUInt16BE(0) / 0xffff) * 360);
+  const cell = AVATAR_SIZE / (IDENTICON_GRID + 1);
+  const offset = cell / 2;
+  const half = Math.ceil(IDENTICON_GRID / 2);
+  const cells = [];
+
+  for (let row = 0; row < IDENTICON_GRID; row++) {
+    for (let col = 0; col < half; col++) {
+      // 每个格子使用哈希中的一个字节决定是否着色
+      if (bytes[2 + row * half + col] % 2 === 0) {
+        continue;
+      }
+      [col, IDENTICON_GRID - 1 - col]
+        .filter((x, index, list) => list.indexOf(x) === index)
+        .forEach((x) => {
+          cells.push(`<rect x="${offset + x * cell}" y="${offset + row * cell}" width="${cell}" height="${cell}"/>`);
+        });
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" viewBox="0 0 ${AVATAR_SIZE} ${AVATAR_SIZE}">` +
+    `<rect width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" fill="hsl(${hue}, 40%, 94%)"/>` +
+    `<g fill="hsl(${hue}, 62%, 48%)">${cells.join('')}</g>` +
+    '</svg>';
+}
+
+/**
+ * 按作者名生成头像
+ * @param {string} author - 作者名
+ * @param {string} [style='gradient'] - 头像样式：gradient（渐变+首字母）或 identicon（对称色块）
+ * @returns {string} SVG格式的data URI
+ */
+function generateAvatar(author, style = DEFAULT_AVATAR_STYLE) {
+  const bytes = hashSeed(author);
+  const svg = style === 'identicon' ? renderIdenticon(bytes) : renderGradient(bytes, author);
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+module.exports = {
+  AVATAR_STYLES,
+  DEFAULT_AVATAR_STYLE,
+  generateAvatar
+};
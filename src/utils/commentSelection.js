@@ -0,0 +1,259 @@
+/**
+ * 评论筛选工具
+ * 在构建回复树和分页之前按配置筛选评论：排除已删除/机器人评论、点赞数阈值、
+ * 近似重复评论去重、保留前N条以及单条评论最大字符数
+ * 默认不做任何筛选；父评论被筛掉的回复一并排除，不会脱离上下文显示为顶层评论
+ */
+
+// Reddit中被删除或移除的评论内容
+const REMOVED_MARKERS = ['[deleted]', '[removed]'];
+
+// 常见的机器人账号（不区分大小写）
+const DEFAULT_BOT_AUTHORS = [
+  'AutoModerator',
+  'RemindMeBot',
+  'sneakpeekbot',
+  'WikiSummarizerBot',
+  'RepostSleuthBot',
+  'SaveVideo',
+  'VredditDownloader',
+  'haikusbot',
+  'B0tRank',
+  'Paywall-Bot'
+];
+
+// 以 -bot/_bot 结尾或以大写Bot结尾的账号名视为机器人，避免误伤 Talbot 之类的普通用户名
+const BOT_NAME_PATTERN = /(?:[-_]bot|Bot)$/;
+
+// 截断评论时追加的省略号
+const TRUNCATION_MARKER = '…';
+
+// 词数过少的评论只按完全相同判断重复，避免短评论被误判
+const MIN_TOKENS_FOR_SIMILARITY = 4;
+
+const DEFAULT_SELECTION_OPTIONS = {
+  limit: null,
+  minUps: null,
+  excludeRemoved: false,
+  excludeBots: false,
+  botAuthors: [],
+  dedupe: false,
+  dedupeThreshold: 0.85,
+  maxChars: null
+};
+
+/**
+ * 标准化Reddit fullname（如 t1_abc），缺少前缀时视为评论ID
+ * @param {string} id - 评论ID或fullname
+ * @returns {string} fullname
+ */
+function normalizeFullname(id) {
+  if (!id) return '';
+  return /^t\d_/.test(id) ? id : `t1_${id}`;
+}
+
+/**
+ * 评论是否已被删除或移除
+ * @param {Object} comment - 评论
+ * @returns {boolean}
+ */
+function isRemovedComment(comment) {
+  // 作者注销（author为[deleted]）但内容保留的评论仍然有效
+  return REMOVED_MARKERS.includes((comment.body || '').trim());
+}
+
+/**
+ * 评论作者是否为机器人
+ * @param {string} author - 作者名
+ * @param {Array<string>} [extraBots] - 额外的机器人账号
+ * @returns {boolean}
+ */
+function isBotAuthor(author, extraBots = []) {
+  const name = (author || '').toLowerCase();
+  return [...DEFAULT_BOT_AUTHORS, ...extraBots].some(bot => bot.toLowerCase() === name) ||
+    BOT_NAME_PATTERN.test(author || '');
+}
+
+/**
+ * 将评论内容标准化为词集合，用于近似重复判断
+ * @param {string} text - 评论内容
+ * @returns {Array<string>} 词列表
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * 两条评论是否近似重复（词集合的Jaccard相似度）
+ * @param {Array<string>} a - 评论A的词列表
+ * @param {Array<string>} b - 评论B的词列表
+ * @param {number} threshold - 相似度阈值
+ * @returns {boolean}
+ */
+function isNearDuplicate(a, b, threshold) {
+  if (a.length < MIN_TOKENS_FOR_SIMILARITY || b.length < MIN_TOKENS_FOR_SIMILARITY) {
+    return a.join(' ') === b.join(' ');
+  }
+
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let intersection = 0;
+  setA.forEach((token) => {
+    if (setB.has(token)) intersection++;
+  });
+  return intersection / (setA.size + setB.size - intersection) >= threshold;
+}
+
+/**
+ * 按最大字符数截断文本，尽量在空白处断开
+ * @param {string} text - 文本
+ * @param {number} maxChars - 最大字符数
+ * @returns {string} 截断后的文本
+ */
+function truncateText(text, maxChars) {
+  if (!text || text.length <= maxChars) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxChars);
+  const lastSpace = cut.search(/\s\S*$/);
+  // 断点过于靠前（如中文无空格）时直接按字符截断
+  const end = lastSpace > maxChars * 0.8 ? lastSpace : maxChars;
+  return cut.slice(0, end).trimEnd() + TRUNCATION_MARKER;
+}
+
+/**
+ * 评论的上级评论中是否有未保留的（回复链成环时按已检查到的部分判断）
+ * @param {Object} comment - 评论
+ * @param {Map<string, Object>} byName - fullname到评论的映射（筛选前的全部评论）
+ * @param {Set<Object>} keptSet - 保留的评论
+ * @returns {boolean}
+ */
+function hasDroppedAncestor(comment, byName, keptSet) {
+  const seen = new Set([comment]);
+  let parent = byName.get(normalizeFullname(comment.parent_id));
+
+  while (parent && !seen.has(parent)) {
+    if (!keptSet.has(parent)) {
+      return true;
+    }
+    seen.add(parent);
+    parent = byName.get(normalizeFullname(parent.parent_id));
+  }
+  return false;
+}
+
+/**
+ * 按配置筛选评论
+ * @param {Array<Object>} comments - 评论数组
+ * @param {Object} [options] - 筛选选项
+ * @param {number} [options.limit] - 最多保留的评论数（按点赞数取前N条）
+ * @param {number} [options.minUps] - 最低点赞数
+ * @param {boolean} [options.excludeRemoved=false] - 排除[deleted]/[removed]评论
+ * @param {boolean} [options.excludeBots=false] - 排除机器人账号（AutoModerator等）
+ * @param {Array<string>} [options.botAuthors] - 额外排除的账号
+ * @param {boolean} [options.dedupe=false] - 去除近似重复的评论（保留点赞数高的）
+ * @param {number} [options.dedupeThreshold=0.85] - 近似重复的相似度阈值（0-1）
+ * @param {number} [options.maxChars] - 单条评论原文/译文的最大字符数，超出截断
+ * @returns {Object} 筛选后的评论（保持原顺序）及各环节的统计，orphaned为因父评论被筛掉而排除的回复数
+ */
+function selectComments(comments, options = {}) {
+  const config = { ...DEFAULT_SELECTION_OPTIONS, ...options };
+  const stats = {
+    total: comments.length,
+    selected: 0,
+    removed: 0,
+    bots: 0,
+    belowMinUps: 0,
+    duplicates: 0,
+    overLimit: 0,
+    orphaned: 0,
+    truncated: 0
+  };
+
+  let candidates = comments;
+
+  if (config.excludeRemoved) {
+    candidates = candidates.filter(comment => !isRemovedComment(comment));
+    stats.removed = comments.length - candidates.length;
+  }
+
+  if (config.excludeBots) {
+    const before = candidates.length;
+    candidates = candidates.filter(comment => !isBotAuthor(comment.author, config.botAuthors));
+    stats.bots = before - candidates.length;
+  }
+
+  if (config.minUps !== null && config.minUps !== undefined) {
+    const before = candidates.length;
+    candidates = candidates.filter(comment => comment.ups >= config.minUps);
+    stats.belowMinUps = before - candidates.length;
+  }
+
+  // 去重和取前N条都按点赞数从高到低进行，重复评论中保留点赞数最高的一条
+  const ranked = [...candidates].sort((a, b) => b.ups - a.ups);
+  const kept = [];
+  const keptTokens = [];
+
+  ranked.forEach((comment) => {
+    if (config.dedupe) {
+      const tokens = tokenize(comment.body);
+      if (keptTokens.some(other => isNearDuplicate(tokens, other, config.dedupeThreshold))) {
+        stats.duplicates++;
+        return;
+      }
+      keptTokens.push(tokens);
+    }
+
+    if (config.limit && kept.length >= config.limit) {
+      stats.overLimit++;
+      return;
+    }
+    kept.push(comment);
+  });
+
+  // 父评论被筛掉的回复（及其下的回复）一并排除
+  const byName = new Map();
+  comments.forEach((comment) => {
+    const name = normalizeFullname(comment.name || comment.id);
+    if (name) {
+      byName.set(name, comment);
+    }
+  });
+  const keptSet = new Set(kept);
+  const orphans = kept.filter(comment => hasDroppedAncestor(comment, byName, keptSet));
+  orphans.forEach(comment => keptSet.delete(comment));
+  stats.orphaned = orphans.length;
+
+  const selected = comments
+    .filter(comment => keptSet.has(comment))
+    .map((comment) => {
+      if (!config.maxChars) {
+        return comment;
+      }
+      const body = truncateText(comment.body, config.maxChars);
+      const bodyZh = truncateText(comment.body_zh, config.maxChars);
+      if (body === comment.body && bodyZh === comment.body_zh) {
+        return comment;
+      }
+      stats.truncated++;
+      return { ...comment, body, body_zh: bodyZh };
+    });
+
+  stats.selected = selected.length;
+  return { comments: selected, stats };
+}
+
+module.exports = {
+  DEFAULT_BOT_AUTHORS,
+  DEFAULT_SELECTION_OPTIONS,
+  normalizeFullname,
+  isRemovedComment,
+  isBotAuthor,
+  selectComments
+};
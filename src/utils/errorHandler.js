@@ -51,6 +51,61 @@ class FileSystemError extends AppError {
   }
 }
 
+/**
+ * 渲染队列已满错误类
+ */
+class RenderQueueFullError extends AppError {
+  constructor(message, queueLength = 0) {
+    super(message, 503);
+    this.queueLength = queueLength;
+    this.type = 'RenderQueueFullError';
+  }
+}
+
+/**
+ * 渲染超时错误类
+ */
+class RenderTimeoutError extends AppError {
+  constructor(message, timeout = 0) {
+    super(message, 504);
+    this.timeout = timeout;
+    this.type = 'RenderTimeoutError';
+  }
+}
+
+/**
+ * 外部图片获取错误类
+ */
+class MediaFetchError extends AppError {
+  constructor(message, url = null) {
+    super(message, 502);
+    this.url = url;
+    this.type = 'MediaFetchError';
+  }
+}
+
+/**
+ * 存储后端错误类
+ */
+class StorageError extends AppError {
+  constructor(message, key = null, statusCode = 502) {
+    super(message, statusCode);
+    this.key = key;
+    this.type = 'StorageError';
+  }
+}
+
+/**
+ * 幂等键冲突错误类（同一幂等键对应了不同的请求内容）
+ */
+class IdempotencyConflictError extends AppError {
+  constructor(message, idempotencyKey = null) {
+    super(message, 422);
+    this.idempotencyKey = idempotencyKey;
+    this.type = 'IdempotencyConflictError';
+  }
+}
+
 /**
  * 错误日志记录器
  */
@@ -179,12 +234,14 @@ function asyncErrorHandler(fn) {
 
 /**
  * 重试机制
- * 对可能暂时失败的操作进行重试
+ * 对可能暂时失败的操作进行重试，shouldRetry返回false的错误视为永久失败，不再重试
  */
-async function retryOperation(operation, maxRetries = 3, delay = 1000) {
+async function retryOperation(operation, maxRetries = 3, delay = 1000, shouldRetry = () => true) {
   let lastError;
+  let attempts = 0;
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    attempts = attempt;
     try {
       const result = await operation();
       
@@ -201,7 +258,7 @@ async function retryOperation(operation, maxRetries = 3, delay = 1000) {
         attempt
       });
       
-      if (attempt === maxRetries) {
+      if (attempt === maxRetries || !shouldRetry(error)) {
         break;
       }
       
@@ -211,7 +268,7 @@ async function retryOperation(operation, maxRetries = 3, delay = 1000) {
   }
   
   throw new AppError(
-    `Operation failed after ${maxRetries} attempts: ${lastError.message}`,
+    `Operation failed after ${attempts} attempts: ${lastError.message}`,
     500
   );
 }
@@ -241,6 +298,22 @@ function setupGracefulShutdown(server) {
       ErrorLogger.warn('Error stopping cleanup service', { error: error.message });
     }
     
+    try {
+      // 停止任务服务
+      const { jobService } = require('../services/jobService');
+      jobService.stop();
+    } catch (error) {
+      ErrorLogger.warn('Error stopping job service', { error: error.message });
+    }
+    
+    try {
+      // 停止模板热重载
+      const { templateWatcher } = require('../services/templateWatcher');
+      templateWatcher.stop();
+    } catch (error) {
+      ErrorLogger.warn('Error stopping template watcher', { error: error.message });
+    }
+    
     server.close((err) => {
       if (err) {
         ErrorLogger.log(err);
@@ -280,6 +353,11 @@ module.exports = {
   ValidationError,
   ImageGenerationError,
   FileSystemError,
+  RenderQueueFullError,
+  RenderTimeoutError,
+  MediaFetchError,
+  StorageError,
+  IdempotencyConflictError,
   ErrorLogger,
   errorHandler,
   notFoundHandler,
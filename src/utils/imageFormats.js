@@ -0,0 +1,80 @@
+/**
+ * 输出图片格式工具
+ * 统一维护各格式的截图方式、文件扩展名和Content-Type
+ */
+
+const sharp = require('sharp');
+const { AppError } = require('./errorHandler');
+
+// 支持的输出格式；encoder为截图后的二次编码器（Puppeteer不支持直接输出AVIF）
+const IMAGE_FORMATS = {
+  png: { extension: 'png', contentType: 'image/png', screenshotType: 'png', lossy: false },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', screenshotType: 'jpeg', lossy: true },
+  webp: { extension: 'webp', contentType: 'image/webp', screenshotType: 'webp', lossy: true },
+  avif: { extension: 'avif', contentType: 'image/avif', screenshotType: 'png', lossy: true, encoder: 'sharp' }
+};
+
+const DEFAULT_FORMAT = 'png';
+
+/**
+ * 获取格式配置
+ * @param {string} format - 格式名称
+ * @returns {Object} 格式配置
+ */
+function getImageFormat(format = DEFAULT_FORMAT) {
+  const config = IMAGE_FORMATS[format];
+  if (!config) {
+    throw new AppError(`Unsupported image format: ${format}`, 400);
+  }
+  return config;
+}
+
+/**
+ * 根据文件扩展名获取Content-Type
+ * @param {string} filename - 文件名
+ * @returns {string|null} Content-Type，未知扩展名返回null
+ */
+function getContentTypeByFilename(filename) {
+  const extension = filename.split('.').pop().toLowerCase();
+  const config = Object.values(IMAGE_FORMATS).find(item => item.extension === extension);
+  return config ? config.contentType : null;
+}
+
+/**
+ * 生成匹配所有输出格式的文件名正则
+ * @param {string} prefix - 文件名前缀
+ * @param {Array<string>} [extraExtensions] - 额外匹配的扩展名（如pdf）
+ * @returns {RegExp} 文件名匹配模式
+ */
+function buildFilePattern(prefix, extraExtensions = []) {
+  const extensions = Object.values(IMAGE_FORMATS)
+    .map(item => item.extension)
+    .concat(extraExtensions)
+    .join('|');
+  return new RegExp(`^${prefix}.*\\.(${extensions})$`);
+}
+
+/**
+ * 对截图进行二次编码（用于Puppeteer不支持的格式）
+ * @param {Buffer} buffer - 原始截图
+ * @param {string} format - 目标格式
+ * @param {number} quality - 压缩质量（1-100）
+ * @returns {Promise<Buffer>} 编码后的图片
+ */
+async function encodeImage(buffer, format, quality) {
+  const config = getImageFormat(format);
+  if (!config.encoder) {
+    return buffer;
+  }
+
+  return sharp(buffer)[format]({ quality }).toBuffer();
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  DEFAULT_FORMAT,
+  getImageFormat,
+  getContentTypeByFilename,
+  buildFilePattern,
+  encodeImage
+};
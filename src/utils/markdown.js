@@ -0,0 +1,414 @@
+/**
+ * Reddit Markdown渲染工具
+ * 将帖子正文和评论中的Reddit Markdown转换为HTML：粗体/斜体/删除线/上标、链接、行内代码、
+ * 引用、列表、代码块、表格、标题、分隔线和 >!剧透!<
+ *
+ * 安全性：先对全部文本做HTML转义再生成标签，链接只允许http/https，因此输出中不会出现用户提供的标签或属性
+ * 输入来自请求，解析前限制总长度和引用/列表的嵌套层数，行内格式限制单个片段的长度，避免深度递归和回溯耗时过长
+ *
+ * 分块规则与分页保持一致：普通文本每一行是一个段落块（与原先按换行分段相同），
+ * 列表、引用、代码块和表格等多行结构作为一个整体块，分页时不会从中间拆开
+ */
+
+// Reddit API返回的文本中常见的HTML实体，解析前先还原（输出时会重新转义）
+const ENTITY_MAP = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&#x27;': "'",
+  '&nbsp;': ' ',
+  '&#x200B;': '',
+  '&#8203;': ''
+};
+
+const ESCAPE_MAP = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const INDENTED_CODE_PATTERN = /^(?: {4}|\t)/;
+const HEADING_PATTERN = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+// 以 >! 开头的行是剧透而不是引用
+const QUOTE_PATTERN = /^\s*>(?!!)/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// 行内代码、转义字符等在行内解析期间用占位符保护
+const PLACEHOLDER = '\u0000';
+
+// 解析的最大字符数（Reddit帖子正文上限为40000字符），超出部分截断
+const MAX_INPUT_LENGTH = 40000;
+
+// 引用、列表的最大嵌套层数，更深的内容按普通段落输出
+const MAX_NESTING_DEPTH = 8;
+
+// 粗体、剧透、上标等行内格式单个片段的最大字符数，未闭合的标记不会逐个扫描到行尾
+const MAX_INLINE_SPAN = 500;
+const SPAN = `[\\s\\S]{0,${MAX_INLINE_SPAN}}?`;
+const CODE_SPAN_PATTERN = new RegExp(`(\`+)(${SPAN}[^\`])\\1(?!\`)`, 'g');
+const SPOILER_PATTERN = new RegExp(`&gt;!(${SPAN}[\\s\\S])!&lt;`, 'g');
+const STRONG_EM_PATTERN = new RegExp(`(\\*\\*\\*|___)(?=\\S)(${SPAN}\\S)\\1`, 'g');
+const STRONG_PATTERN = new RegExp(`(\\*\\*|__)(?=\\S)(${SPAN}\\S)\\1`, 'g');
+const EM_STAR_PATTERN = new RegExp(`\\*(?=\\S)(${SPAN}\\S)\\*`, 'g');
+const EM_UNDERSCORE_PATTERN = new RegExp(`(^|[^\\p{L}\\p{N}_])_(?=\\S)(${SPAN}\\S)_(?![\\p{L}\\p{N}_])`, 'gu');
+const STRIKE_PATTERN = new RegExp(`~~(?=\\S)(${SPAN}\\S)~~`, 'g');
+
+/**
+ * 还原Reddit文本中的HTML实体
+ * @param {string} text - 原始文本
+ * @returns {string} 还原后的文本
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:amp|lt|gt|quot|nbsp|#39|#x27|#x200B|#8203);/gi, entity => ENTITY_MAP[entity] ?? ENTITY_MAP[entity.toLowerCase()] ?? entity);
+}
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ESCAPE_MAP[char]);
+}
+
+/**
+ * 链接地址是否允许输出
+ * @param {string} url - 链接地址
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+  return /^https?:\/\//i.test(url);
+}
+
+/**
+ * 渲染行内格式
+ * @param {string} text - 一行或一段未转义的文本
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  const protectedParts = [];
+  const protect = (html) => {
+    protectedParts.push(html);
+    return `${PLACEHOLDER}${protectedParts.length - 1}${PLACEHOLDER}`;
+  };
+
+  let source = text
+    // 行内代码内容不再解析
+    .replace(CODE_SPAN_PATTERN, (_, __, code) => protect(`<code>${escapeHtml(code.trim())}</code>`))
+    // 反斜杠转义的标点按字面输出
+    .replace(/\\([\\`*_{}[\]()#+\-.!>~^|])/g, (_, char) => protect(escapeHtml(char)));
+
+  // 链接：[文字](地址)，地址中允许一层括号（如维基百科链接），地址不安全时只保留文字
+  source = source.replace(/\[([^[\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (_, label, url) => {
+    const inner = renderInline(label);
+    return isSafeUrl(url) ? protect(`<a href="${escapeHtml(url)}">${inner}</a>`) : protect(inner);
+  });
+
+  let html = escapeHtml(source)
+    .replace(SPOILER_PATTERN, '<span class="md-spoiler">$1</span>')
+    .replace(STRONG_EM_PATTERN, '<strong><em>$2</em></strong>')
+    .replace(STRONG_PATTERN, '<strong>$2</strong>')
+    .replace(EM_STAR_PATTERN, '<em>$1</em>')
+    .replace(EM_UNDERSCORE_PATTERN, '$1<em>$2</em>')
+    .replace(STRIKE_PATTERN, '<del>$1</del>')
+    .replace(/\^\(([^()]+)\)/g, '<sup>$1</sup>')
+    .replace(/\^([^\s^]+)/g, '<sup>$1</sup>');
+
+  // 占位符可能嵌套（链接文字中的代码），循环还原
+  const placeholderPattern = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g');
+  while (placeholderPattern.test(html)) {
+    html = html.replace(placeholderPattern, (_, index) => protectedParts[Number(index)]);
+  }
+  return html;
+}
+
+/**
+ * 拆分表格行的单元格
+ * @param {string} line - 表格行
+ * @returns {Array<string>} 单元格
+ */
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim());
+}
+
+/**
+ * 是否为表格的起始行（下一行为分隔行）
+ * @param {Array<string>} lines - 所有行
+ * @param {number} index - 当前行下标
+ * @returns {boolean}
+ */
+function isTableStart(lines, index) {
+  const next = lines[index + 1];
+  return lines[index].includes('|') && next !== undefined && next.includes('|') && TABLE_SEPARATOR_PATTERN.test(next);
+}
+
+// 列表标记是否为有序列表（1. 或 1)）
+const isOrderedMarker = marker => /\d/.test(marker);
+
+/**
+ * 将Markdown文本拆分为块
+ * @param {string} text - Markdown文本
+ * @returns {Array<string>} 块的源文本
+ */
+function splitBlocks(text) {
+  const lines = decodeEntities((text || '').slice(0, MAX_INPUT_LENGTH)).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  // 收集从当前行开始连续满足条件的行
+  const collect = (predicate) => {
+    const start = i;
+    while (i < lines.length && predicate(lines[i], i)) {
+      i++;
+    }
+    return lines.slice(start, i);
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    // 围栏代码块：直到对应的结束围栏
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const start = i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        i++;
+      }
+      i = Math.min(i + 1, lines.length);
+      blocks.push(lines.slice(start, i).join('\n'));
+      continue;
+    }
+
+    if (INDENTED_CODE_PATTERN.test(line) && !LIST_ITEM_PATTERN.test(line)) {
+      blocks.push(collect(l => INDENTED_CODE_PATTERN.test(l)).join('\n'));
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const headerIndex = i;
+      blocks.push(collect((l, index) => index <= headerIndex + 1 || (l.trim() !== '' && l.includes('|'))).join('\n'));
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      blocks.push(collect(l => QUOTE_PATTERN.test(l)).join('\n'));
+      continue;
+    }
+
+    // 列表：列表项及其缩进的续行/子列表，同一层级的有序/无序切换时开始新列表
+    const listItem = line.match(LIST_ITEM_PATTERN);
+    if (listItem && !RULE_PATTERN.test(line)) {
+      const baseIndent = listItem[1].length;
+      const ordered = isOrderedMarker(listItem[2]);
+      blocks.push(collect((l) => {
+        if (l.trim() === '' || RULE_PATTERN.test(l)) return false;
+        const item = l.match(LIST_ITEM_PATTERN);
+        if (item && item[1].length <= baseIndent) {
+          return isOrderedMarker(item[2]) === ordered;
+        }
+        return Boolean(item) || /^\s{2,}\S/.test(l);
+      }).join('\n'));
+      continue;
+    }
+
+    blocks.push(line.trim());
+    i++;
+  }
+
+  return blocks;
+}
+
+/**
+ * 将块拼接回Markdown文本（块之间以空行分隔，重新拆分时得到相同的块）
+ * @param {Array<string>} blocks - 块的源文本
+ * @returns {string} Markdown文本
+ */
+function joinBlocks(blocks) {
+  return blocks.join('\n\n');
+}
+
+/**
+ * 渲染列表块，缩进更深的行归属上一个列表项并递归渲染（支持嵌套列表）
+ * @param {Array<string>} lines - 列表块的行
+ * @param {number} depth - 当前嵌套层数
+ * @returns {string} HTML
+ */
+function renderList(lines, depth) {
+  const first = lines[0].match(LIST_ITEM_PATTERN);
+  const baseIndent = first[1].length;
+  const ordered = isOrderedMarker(first[2]);
+  const items = [];
+
+  lines.forEach((line) => {
+    const match = line.match(LIST_ITEM_PATTERN);
+    if (match && match[1].length <= baseIndent) {
+      items.push({ text: match[3], children: [] });
+    } else if (items.length > 0) {
+      items[items.length - 1].children.push(line.slice(Math.min(baseIndent + 2, line.search(/\S/))));
+    }
+  });
+
+  const tag = ordered ? 'ol' : 'ul';
+  const start = ordered && parseInt(first[2], 10) !== 1 ? ` start="${parseInt(first[2], 10)}"` : '';
+  const body = items.map((item) => {
+    const nested = item.children.length > 0 ? renderNested(item.children.join('\n'), depth + 1) : '';
+    return `<li>${renderInline(item.text)}${nested}</li>`;
+  }).join('');
+  return `<${tag}${start}>${body}</${tag}>`;
+}
+
+/**
+ * 渲染表格块
+ * @param {Array<string>} lines - 表格块的行
+ * @returns {string} HTML
+ */
+function renderTable(lines) {
+  const header = splitTableRow(lines[0]);
+  const alignments = splitTableRow(lines[1]).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    return null;
+  });
+  const cellTag = (tag, content, index) => {
+    const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+    return `<${tag}${align}>${renderInline(content || '')}</${tag}>`;
+  };
+
+  const head = `<thead><tr>${header.map((cell, index) => cellTag('th', cell, index)).join('')}</tr></thead>`;
+  const rows = lines.slice(2).map((line) => {
+    const cells = splitTableRow(line);
+    return `<tr>${header.map((_, index) => cellTag('td', cells[index], index)).join('')}</tr>`;
+  }).join('');
+  return `<table>${head}<tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * 按嵌套层数渲染单个块，超过MAX_NESTING_DEPTH的引用和列表按普通段落输出
+ * @param {string} block - 块的源文本
+ * @param {number} depth - 当前嵌套层数
+ * @returns {string} HTML
+ */
+function renderBlockAt(block, depth) {
+  const lines = block.split('\n');
+  const first = lines[0];
+  const nestable = depth < MAX_NESTING_DEPTH;
+
+  if (FENCE_PATTERN.test(first)) {
+    const fence = first.match(FENCE_PATTERN)[1];
+    const closed = lines.length > 1 && lines[lines.length - 1].trim().startsWith(fence);
+    const code = lines.slice(1, closed ? -1 : undefined).join('\n');
+    return `<pre><code>${escapeHtml(code)}</code></pre>`;
+  }
+
+  if (INDENTED_CODE_PATTERN.test(first) && !LIST_ITEM_PATTERN.test(first)) {
+    return `<pre><code>${escapeHtml(lines.map(l => l.replace(INDENTED_CODE_PATTERN, '')).join('\n'))}</code></pre>`;
+  }
+
+  if (lines.length > 1 && isTableStart(lines, 0)) {
+    return renderTable(lines);
+  }
+
+  if (nestable && QUOTE_PATTERN.test(first)) {
+    const inner = lines.map(l => l.replace(/^\s*> ?/, '')).join('\n');
+    return `<blockquote>${renderNested(inner, depth + 1)}</blockquote>`;
+  }
+
+  if (nestable && LIST_ITEM_PATTERN.test(first) && !RULE_PATTERN.test(first)) {
+    return renderList(lines, depth);
+  }
+
+  if (RULE_PATTERN.test(first)) {
+    return '<hr>';
+  }
+
+  const heading = first.match(HEADING_PATTERN);
+  if (heading) {
+    // 卡片内标题统一降级，避免与卡片标题争夺层级
+    const level = Math.min(heading[1].length + 2, 6);
+    return `<h${level}>${renderInline(heading[2])}</h${level}>`;
+  }
+
+  return `<p>${renderInline(lines.join(' '))}</p>`;
+}
+
+/**
+ * 渲染引用或列表项中的嵌套内容
+ * @param {string} text - Markdown文本
+ * @param {number} depth - 嵌套层数
+ * @returns {string} HTML
+ */
+function renderNested(text, depth) {
+  return splitBlocks(text).map(block => renderBlockAt(block, depth)).join('');
+}
+
+/**
+ * 渲染单个块
+ * @param {string} block - 块的源文本（splitBlocks的结果）
+ * @returns {string} HTML
+ */
+function renderBlock(block) {
+  return renderBlockAt(block, 0);
+}
+
+/**
+ * 将Markdown文本渲染为HTML
+ * @param {string} text - Markdown文本
+ * @returns {string} HTML
+ */
+function renderMarkdown(text) {
+  return renderNested(text, 0);
+}
+
+/**
+ * 块是否为普通段落（可按句子继续拆分）
+ * @param {string} block - 块的源文本
+ * @returns {boolean}
+ */
+function isParagraphBlock(block) {
+  return !block.includes('\n') && renderBlock(block).startsWith('<p>');
+}
+
+/**
+ * 去除Markdown语法，得到纯文本（用于摘录和只输出纯文本的自定义模板）
+ * @param {string} text - Markdown文本
+ * @returns {string} 纯文本
+ */
+function stripMarkdown(text) {
+  return decodeEntities(renderMarkdown(text)
+    .replace(/<\/(p|li|tr|h\d|pre|blockquote)>|<(ul|ol|blockquote)[^>]*>|<hr>/g, '\n')
+    .replace(/<\/t[hd]>/g, ' ')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+module.exports = {
+  MAX_INPUT_LENGTH,
+  MAX_NESTING_DEPTH,
+  splitBlocks,
+  joinBlocks,
+  renderBlock,
+  renderInline,
+  renderMarkdown,
+  stripMarkdown,
+  isParagraphBlock,
+  escapeHtml
+};
@@ -0,0 +1,26 @@
+/**
+ * PDF工具
+ */
+
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * 按顺序合并多个PDF为一个文档
+ * @param {Array<Buffer>} buffers - PDF Buffer数组
+ * @returns {Promise<Buffer>} 合并后的PDF
+ */
+async function mergePdfs(buffers) {
+  const merged = await PDFDocument.create();
+
+  for (const buffer of buffers) {
+    const source = await PDFDocument.load(buffer);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  return Buffer.from(await merged.save());
+}
+
+module.exports = {
+  mergePdfs
+};
@@ -257,6 +257,31 @@ class SimpleCache {
   }
 }
 
+/**
+ * 以有限并发处理数组中的每一项
+ * 结果顺序与输入顺序一致
+ * @param {Array} items - 待处理项
+ * @param {number} limit - 最大并发数
+ * @param {Function} worker - 处理函数 (item, index) => Promise
+ * @returns {Promise<Array>} 处理结果数组
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+
+  return results;
+}
+
 /**
  * 性能中间件
  */
@@ -301,6 +326,7 @@ module.exports = {
   PerformanceMonitor,
   MemoryMonitor,
   SimpleCache,
+  mapWithConcurrency,
   monitor,
   performanceMiddleware,
   getPerformanceReport,
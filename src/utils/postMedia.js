@@ -0,0 +1,138 @@
+/**
+ * 帖子图片工具
+ * 从帖子数据中提取要展示的图片，并根据图片宽高比确定卡片中的排版方式
+ */
+
+// 卡片中最多展示的图片数，其余以"+N"标出
+const MAX_MEDIA_ITEMS = 4;
+
+// 未知尺寸时使用的宽高比
+const DEFAULT_RATIO = 4 / 3;
+
+// 单张图片的宽高比范围，超出范围的长图/宽图在框内完整显示（留白）
+const SINGLE_RATIO_RANGE = [0.5, 2.5];
+
+// 多张图片统一使用的单元格宽高比范围，图片按单元格裁剪
+const CELL_RATIO_RANGE = [0.75, 4 / 3];
+
+// 帖子链接指向图片的判断规则
+const IMAGE_URL_PATTERN = /\.(?:jpe?g|png|gif|webp|avif)(?:[?#].*)?$/i;
+const IMAGE_HOSTS = ['i.redd.it', 'i.imgur.com', 'preview.redd.it'];
+
+/**
+ * Reddit接口返回的URL中&会被转义为&amp;
+ * @param {string} url - 原始URL
+ * @returns {string} 还原后的URL
+ */
+function decodeRedditUrl(url) {
+  return url.replace(/&amp;/g, '&');
+}
+
+/**
+ * 是否为http(s)地址（缩略图字段可能为self/default/nsfw等占位值）
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+function isHttpUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+/**
+ * 帖子链接是否直接指向图片
+ * @param {string} url - 帖子链接
+ * @returns {boolean}
+ */
+function isImageUrl(url) {
+  if (!isHttpUrl(url)) {
+    return false;
+  }
+  try {
+    const { hostname, pathname } = new URL(url);
+    return IMAGE_HOSTS.includes(hostname) || IMAGE_URL_PATTERN.test(pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 提取帖子要展示的图片：优先使用images与gallery，其次是指向图片的帖子链接，最后是缩略图
+ * @param {Object} post - 帖子数据
+ * @returns {Array<Object>} 图片列表，每项包含url及可选的width/height/caption
+ */
+function collectMediaSources(post) {
+  const items = [...(post.images || []), ...(post.gallery || [])];
+  if (items.length > 0) {
+    return items.map(item => ({ ...item, url: decodeRedditUrl(item.url) }));
+  }
+
+  if (isImageUrl(post.url)) {
+    return [{ url: decodeRedditUrl(post.url) }];
+  }
+
+  if (isHttpUrl(post.thumbnail)) {
+    return [{ url: decodeRedditUrl(post.thumbnail) }];
+  }
+
+  return [];
+}
+
+const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * 根据图片宽高比确定排版：1张单图，2-3张一行，4张以上2×2网格
+ * 返回的ratio供模板设置aspect-ratio，使卡片高度在图片加载前即可确定，分页测量结果稳定
+ * @param {Array<Object>} items - 已加载的图片，每项包含src、width、height、caption
+ * @param {Object} [options] - 排版选项
+ * @param {number} [options.total] - 帖子中的图片总数，用于计算未展示的数量
+ * @param {boolean} [options.full=false] - 是否为纯图片帖（无正文），图片可占满正文区
+ * @returns {Object|null} 排版信息，没有图片时返回null
+ */
+function buildMediaLayout(items, options = {}) {
+  const shown = items.slice(0, MAX_MEDIA_ITEMS);
+  if (shown.length === 0) {
+    return null;
+  }
+
+  const { total = items.length, full = false } = options;
+  const ratios = shown.map(item => (item.width && item.height ? item.width / item.height : DEFAULT_RATIO));
+
+  let layout;
+  let cellRatio;
+  let ratio;
+
+  if (shown.length === 1) {
+    layout = 'single';
+    cellRatio = clamp(ratios[0], SINGLE_RATIO_RANGE);
+    ratio = cellRatio;
+  } else {
+    // 多张图片使用宽高比中位数作为统一单元格比例
+    const sorted = [...ratios].sort((a, b) => a - b);
+    cellRatio = clamp(sorted[Math.floor(sorted.length / 2)], CELL_RATIO_RANGE);
+    layout = shown.length === MAX_MEDIA_ITEMS ? 'grid' : 'row';
+    ratio = layout === 'grid' ? cellRatio : cellRatio * shown.length;
+  }
+
+  return {
+    layout,
+    ratio: round(ratio),
+    full,
+    showCaptions: layout === 'single',
+    // 只统计超出展示上限的图片，加载失败的不计入
+    extraCount: Math.max(total - MAX_MEDIA_ITEMS, 0),
+    items: shown.map(item => ({
+      src: item.src,
+      ratio: round(cellRatio),
+      caption: item.caption || ''
+    }))
+  };
+}
+
+module.exports = {
+  MAX_MEDIA_ITEMS,
+  decodeRedditUrl,
+  isHttpUrl,
+  isImageUrl,
+  collectMediaSources,
+  buildMediaLayout
+};
@@ -0,0 +1,92 @@
+/**
+ * HTML预览页面
+ * 将帖子各页面的渲染结果汇总到一个可在浏览器中查看的页面，每张卡片放在独立的iframe中，
+ * 样式互不干扰，可直接用开发者工具检查
+ *
+ * 卡片HTML来自可上传的模板，不可信：预览页面不执行任何脚本，卡片iframe使用sandbox（不含allow-same-origin），
+ * 即使模板中混入脚本也无法在服务的源下执行
+ */
+
+// 卡片渲染所需的资源：内联样式、Google Fonts、data URI图片
+const CARD_SOURCES = [
+  "style-src 'unsafe-inline' https:",
+  'font-src https: data:',
+  'img-src data: blob: https:'
+];
+
+// 汇总页面：禁止脚本，srcdoc iframe继承此策略
+const PREVIEW_CSP = [
+  "default-src 'none'",
+  "script-src 'none'",
+  ...CARD_SOURCES,
+  "base-uri 'none'",
+  "form-action 'none'"
+].join('; ');
+
+// 单张卡片HTML（?page=N、模板预览）：在汇总页面策略基础上以sandbox运行于独立的源
+const CARD_PREVIEW_CSP = `${PREVIEW_CSP}; sandbox`;
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 生成预览页面
+ * @param {Object} preview - imageGenerator.renderPostPreview的返回值
+ * @returns {string} 完整HTML
+ */
+function buildPreviewPage(preview) {
+  const frames = preview.pages.map(page => `
+    <section class="preview-page" id="page-${page.pageIndex}">
+      <h2>第 ${page.pageIndex} / ${preview.pages.length} 页 · ${escapeHtml(page.pageType)} · ${escapeHtml(page.templateName)}</h2>
+      <iframe title="page ${page.pageIndex}" sandbox width="${preview.width}" height="${preview.height}"
+        srcdoc="${escapeHtml(page.html)}"></iframe>
+    </section>`).join('\n');
+
+  const navigation = preview.pages
+    .map(page => `<a href="#page-${page.pageIndex}">${page.pageIndex}. ${escapeHtml(page.pageType)}</a>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>Preview - ${escapeHtml(preview.postId)}</title>
+  <style>
+    body { margin: 0; font-family: -apple-system, 'Segoe UI', sans-serif; background: #e5e7eb; color: #111827; }
+    header { position: sticky; top: 0; z-index: 1; padding: 12px 24px; background: #111827; color: #f9fafb; }
+    header p { margin: 4px 0 0; font-size: 13px; color: #9ca3af; }
+    nav a { margin-right: 12px; color: #93c5fd; font-size: 13px; }
+    main { padding: 24px; }
+    .preview-page { margin-bottom: 32px; }
+    .preview-page h2 { font-size: 14px; font-weight: 600; margin: 0 0 8px; }
+    iframe { display: block; border: 0; background: #fff; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.15); }
+  </style>
+</head>
+<body>
+  <header>
+    <strong>${escapeHtml(preview.postId)}</strong> · ${preview.pages.length} 页
+    <p>主题 ${escapeHtml(preview.theme)} · 模板集 ${escapeHtml(preview.templateSet)} · ${preview.width}×${preview.height}</p>
+    <nav>${navigation}</nav>
+  </header>
+  <main>
+${frames}
+  </main>
+</body>
+</html>`;
+}
+
+module.exports = {
+  PREVIEW_CSP,
+  CARD_PREVIEW_CSP,
+  buildPreviewPage
+};
@@ -0,0 +1,289 @@
+/**
+ * S3兼容对象存储客户端
+ * 使用AWS Signature V4签名，只实现图片存储需要的几个接口（上传、刷新、删除、列举），
+ * 适用于AWS S3、MinIO、Cloudflare R2等兼容S3 API的服务
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { StorageError } = require('./errorHandler');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * 按S3签名规则编码URI组件（保留 A-Z a-z 0-9 - _ . ~）
+ * @param {string} value - 原始字符串
+ * @param {boolean} [keepSlash=false] - 是否保留"/"（用于对象路径）
+ * @returns {string} 编码后的字符串
+ */
+function encodeRfc3986(value, keepSlash = false) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * 计算Signature V4签名，返回需要附加的请求头
+ * @param {Object} request - 请求信息
+ * @param {string} request.method - 请求方法
+ * @param {string} request.host - 主机名（含非默认端口）
+ * @param {string} request.path - 已编码的路径
+ * @param {Object} [request.query] - 查询参数
+ * @param {Object} [request.headers] - 需要签名的请求头
+ * @param {string} [request.payloadHash] - 请求体的sha256
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {Object} scope - { region, service, date }
+ * @returns {Object} 带签名的完整请求头
+ */
+function signRequest(request, credentials, scope) {
+  const { method, host, path, query = {}, payloadHash = EMPTY_PAYLOAD_HASH } = request;
+  const { region, service = 's3', date = new Date() } = scope;
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const headers = {
+    ...request.headers,
+    host,
+    'x-amz-date': amzDate,
+    ...(service === 's3' && { 'x-amz-content-sha256': payloadHash }),
+    ...(credentials.sessionToken && { 'x-amz-security-token': credentials.sessionToken })
+  };
+
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const normalized = Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name.toLowerCase(),
+    String(value).trim().replace(/\s+/g, ' ')
+  ]));
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+    .join('&');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${normalized[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
+
+  const dateKey = hmac(`AWS4${credentials.secretAccessKey}`, dateStamp);
+  const signingKey = hmac(hmac(hmac(dateKey, region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * 还原XML中的转义字符
+ * @param {string} text - XML文本
+ * @returns {string} 原始文本
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 读取XML中第一个同名标签的内容
+ * @param {string} xml - XML文本
+ * @param {string} tag - 标签名
+ * @returns {string|null} 标签内容
+ */
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+class S3Client {
+  /**
+   * @param {Object} options - 连接配置
+   * @param {string} options.endpoint - 服务地址，如 https://s3.us-east-1.amazonaws.com 或 http://localhost:9000
+   * @param {string} options.region - 区域
+   * @param {string} options.bucket - 存储桶
+   * @param {string} options.accessKeyId - 访问密钥ID
+   * @param {string} options.secretAccessKey - 访问密钥
+   * @param {string} [options.sessionToken] - 临时凭证的会话令牌
+   * @param {boolean} [options.forcePathStyle=false] - 使用路径风格（MinIO等通常需要）而非虚拟主机风格
+   * @param {number} [options.timeout=30000] - 单次请求超时（毫秒）
+   */
+  constructor(options) {
+    this.options = { forcePathStyle: false, timeout: 30000, ...options };
+    this.endpoint = new URL(this.options.endpoint);
+  }
+
+  /**
+   * 对象的访问地址（不含签名）
+   * @param {string} key - 对象键
+   * @returns {string} URL
+   */
+  getObjectUrl(key) {
+    const { protocol, host } = this.endpoint;
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    const objectPath = key ? `/${encodeRfc3986(key, true)}` : '';
+    return this.options.forcePathStyle
+      ? `${protocol}//${host}${basePath}/${this.options.bucket}${objectPath}`
+      : `${protocol}//${this.options.bucket}.${host}${basePath}${objectPath}`;
+  }
+
+  /**
+   * 发送签名请求
+   * @param {string} method - 请求方法
+   * @param {string} key - 对象键，为空时请求存储桶本身
+   * @param {Object} [options] - { query, headers, body }
+   * @returns {Promise<Object>} { statusCode, headers, body }
+   */
+  async request(method, key, { query = {}, headers = {}, body = null } = {}) {
+    const url = new URL(this.getObjectUrl(key));
+    const payload = body || Buffer.alloc(0);
+    const signedHeaders = signRequest({
+      method,
+      host: url.host,
+      path: url.pathname,
+      query,
+      headers: { ...headers, ...(method === 'PUT' && { 'content-length': payload.length }) },
+      payloadHash: sha256(payload)
+    }, this.options, { region: this.options.region });
+
+    // 查询字符串与签名使用相同的编码
+    const search = Object.keys(query)
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+      .join('&');
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        protocol: url.protocol,
+        hostname: url.hostname,
+        port: url.port,
+        path: `${url.pathname}${search ? `?${search}` : ''}`,
+        method,
+        headers: signedHeaders,
+        timeout: this.options.timeout
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf-8')
+        }));
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => req.destroy(new StorageError(`S3 request timed out after ${this.options.timeout}ms`, key)));
+      req.on('error', error => reject(error instanceof StorageError ? error : new StorageError(`S3 request failed: ${error.message}`, key)));
+      req.end(payload.length > 0 ? payload : undefined);
+    });
+  }
+
+  /**
+   * 校验响应状态，失败时抛出带S3错误码的异常
+   * @param {Object} response - 响应
+   * @param {string} action - 操作名称
+   * @param {string} key - 对象键
+   * @returns {Object} 响应
+   */
+  assertOk(response, action, key) {
+    // CopyObject在复制失败时也可能返回200，错误信息在响应体中
+    if (response.statusCode >= 200 && response.statusCode < 300 && !response.body.includes('<Error>')) {
+      return response;
+    }
+    const code = readTag(response.body, 'Code') || `HTTP ${response.statusCode}`;
+    const message = readTag(response.body, 'Message') || '';
+    throw new StorageError(`S3 ${action} failed for "${key}": ${code}${message ? ` - ${message}` : ''}`, key);
+  }
+
+  /**
+   * 上传对象
+   * @param {string} key - 对象键
+   * @param {Buffer} body - 内容
+   * @param {Object} [headers] - 额外请求头（content-type、cache-control、x-amz-acl等）
+   */
+  async putObject(key, body, headers = {}) {
+    this.assertOk(await this.request('PUT', key, { headers, body }), 'PutObject', key);
+  }
+
+  /**
+   * 将对象复制到自身以刷新最后修改时间
+   * @param {string} key - 对象键
+   * @param {Object} [headers] - 替换后的元数据请求头
+   * @returns {Promise<boolean>} 对象是否存在
+   */
+  async touchObject(key, headers = {}) {
+    const response = await this.request('PUT', key, {
+      headers: {
+        ...headers,
+        'x-amz-copy-source': `/${this.options.bucket}/${encodeRfc3986(key, true)}`,
+        'x-amz-metadata-directive': 'REPLACE'
+      }
+    });
+    if (response.statusCode === 404) {
+      return false;
+    }
+    this.assertOk(response, 'CopyObject', key);
+    return true;
+  }
+
+  /**
+   * 删除对象（对象不存在时同样视为成功）
+   * @param {string} key - 对象键
+   */
+  async deleteObject(key) {
+    this.assertOk(await this.request('DELETE', key), 'DeleteObject', key);
+  }
+
+  /**
+   * 列出指定前缀下的所有对象（自动翻页）
+   * @param {string} [prefix=''] - 对象键前缀
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }]
+   */
+  async listObjects(prefix = '') {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = {
+        'list-type': '2',
+        prefix,
+        ...(continuationToken && { 'continuation-token': continuationToken })
+      };
+      const response = this.assertOk(await this.request('GET', '', { query }), 'ListObjectsV2', prefix);
+
+      (response.body.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach((item) => {
+        objects.push({
+          key: readTag(item, 'Key'),
+          size: parseInt(readTag(item, 'Size')) || 0,
+          lastModified: new Date(readTag(item, 'LastModified'))
+        });
+      });
+
+      continuationToken = readTag(response.body, 'IsTruncated') === 'true'
+        ? readTag(response.body, 'NextContinuationToken')
+        : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+}
+
+module.exports = {
+  S3Client,
+  signRequest,
+  encodeRfc3986
+};
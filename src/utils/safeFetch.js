@@ -0,0 +1,199 @@
+/**
+ * 受限的外部资源下载
+ * 下载调用方提供的URL（帖子图片、头像）时拒绝连接内网及保留地址，逐跳校验重定向，
+ * 并限制内容类型、响应大小和总耗时，防止借助渲染服务访问内部网络（SSRF）
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { MediaFetchError } = require('./errorHandler');
+
+// 禁止访问的地址段：本机、私有网络、链路本地、运营商NAT、文档/测试保留段、组播及保留地址
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  // NAT64地址可能指向内网IPv4，整体禁止（IPv4映射地址由BlockList按对应的IPv4规则判断）
+  ['64:ff9b::', 96, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) => blockList.addSubnet(network, prefix, type));
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+const USER_AGENT = 'reddit-card-generator/1.0';
+
+/**
+ * 是否为内网或保留地址
+ * @param {string} address - IP地址
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * 替代默认DNS解析的lookup函数：任一解析结果为内网地址时拒绝连接
+ * 在建立连接时校验实际使用的地址，避免先校验后解析被DNS重绑定绕过
+ * @param {string} hostname - 主机名
+ * @param {Object} options - dns.lookup选项
+ * @param {Function} callback - 回调
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      callback(new MediaFetchError(`Refusing to connect to private address ${blocked.address} (${hostname})`));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * 发起单次GET请求（不跟随重定向）
+ * @param {string} url - 请求地址
+ * @param {Object} options - 请求选项
+ * @returns {Promise<http.IncomingMessage>} 响应
+ */
+function requestOnce(url, options) {
+  const target = new URL(url);
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    return Promise.reject(new MediaFetchError(`Unsupported protocol "${target.protocol}"`, url));
+  }
+
+  // IP字面量不经过DNS解析，需单独校验
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (!options.allowPrivate && isPrivateAddress(host)) {
+    return Promise.reject(new MediaFetchError(`Refusing to connect to private address ${host}`, url));
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(target, {
+      signal: options.signal,
+      lookup: options.allowPrivate ? undefined : guardedLookup,
+      headers: { 'user-agent': USER_AGENT, accept: options.accept }
+    }, resolve);
+    request.on('error', reject);
+  });
+}
+
+/**
+ * 下载外部资源
+ * @param {string} url - 资源地址（仅支持http/https）
+ * @param {Object} [options] - 下载选项
+ * @param {number} [options.timeout=10000] - 总超时（毫秒），包括重定向和读取响应体
+ * @param {number} [options.maxBytes] - 响应体大小上限（字节）
+ * @param {number} [options.maxRedirects=3] - 最多跟随的重定向次数
+ * @param {string} [options.contentTypePrefix='image/'] - 允许的内容类型前缀
+ * @param {boolean} [options.allowPrivate=false] - 是否允许访问内网地址（仅用于本地开发）
+ * @returns {Promise<Object>} { buffer, contentType, url }，url为重定向后的最终地址
+ */
+async function safeFetch(url, options = {}) {
+  const {
+    timeout = 10000,
+    maxBytes = Infinity,
+    maxRedirects = 3,
+    contentTypePrefix = 'image/',
+    allowPrivate = false
+  } = options;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const requestOptions = { signal: controller.signal, allowPrivate, accept: `${contentTypePrefix}*` };
+
+  try {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      const response = await requestOnce(current, requestOptions);
+
+      if (REDIRECT_STATUS_CODES.includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= maxRedirects) {
+          throw new MediaFetchError(`Too many redirects (more than ${maxRedirects})`, url);
+        }
+        // 重定向目标在下一次请求时同样经过协议和地址校验
+        current = new URL(response.headers.location, current).toString();
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new MediaFetchError(`Request failed with status ${response.statusCode}`, url);
+      }
+
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!contentType.startsWith(contentTypePrefix)) {
+        response.resume();
+        throw new MediaFetchError(`Unexpected content type "${contentType || 'unknown'}"`, url);
+      }
+
+      if (parseInt(response.headers['content-length']) > maxBytes) {
+        response.resume();
+        throw new MediaFetchError(`Response exceeds ${maxBytes} bytes`, url);
+      }
+
+      // 未声明长度或长度不实时，边下载边检查大小
+      const chunks = [];
+      let received = 0;
+      for await (const chunk of response) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          response.destroy();
+          throw new MediaFetchError(`Response exceeds ${maxBytes} bytes`, url);
+        }
+        chunks.push(chunk);
+      }
+
+      return { buffer: Buffer.concat(chunks), contentType, url: current };
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new MediaFetchError(`Request timed out after ${timeout}ms`, url);
+    }
+    throw error instanceof MediaFetchError ? error : new MediaFetchError(error.message, url);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  guardedLookup,
+  safeFetch
+};
@@ -0,0 +1,70 @@
+/**
+ * 卡片尺寸预设
+ * 按发布平台定义卡片宽高，同时决定模板布局、分页高度预算和截图尺寸
+ */
+
+const { AppError } = require('./errorHandler');
+
+// 卡片中除正文区/评论区以外的估计占用高度（页头、标题、页脚、内边距）
+// 固定尺寸的预设在分页时按实际渲染的卡片测量，估计值只用于自动高度的预设
+const MAIN_CONTENT_OVERHEAD = 400;
+const COMMENTS_OVERHEAD = 300;
+// 单条评论需为评论区留出的余量
+const SINGLE_COMMENT_MARGIN = 30;
+// 高度预算下限，避免矮卡片出现无法放下任何段落的情况
+const MIN_CONTENT_BUDGET = 200;
+// 帖子图片最多占正文区高度的比例：有正文时占一半，纯图片帖留出图注空间后占满
+const MEDIA_HEIGHT_RATIO = 0.5;
+const MEDIA_FULL_HEIGHT_RATIO = 0.9;
+
+// coverOnly：只生成一张仅含标题的封面卡片
+// fixedHeight：按预设宽高精确截图，输出图片的宽高比与平台要求一致；否则截图高度随内容增长（不低于预设高度）
+const SIZE_PRESETS = {
+  xiaohongshu: { label: '小红书 3:4', width: 900, height: 1200 },
+  instagram_square: { label: 'Instagram 1:1', width: 1080, height: 1080, fixedHeight: true },
+  instagram_portrait: { label: 'Instagram 4:5', width: 1080, height: 1350, fixedHeight: true },
+  wechat_cover: { label: '微信公众号封面 2.35:1', width: 900, height: 383, coverOnly: true, fixedHeight: true },
+  twitter: { label: 'Twitter 16:9', width: 1200, height: 675, fixedHeight: true }
+};
+
+const DEFAULT_SIZE_PRESET = 'xiaohongshu';
+
+/**
+ * 获取尺寸预设及其分页高度预算
+ * @param {string} name - 预设名称
+ * @returns {Object} 预设配置
+ */
+function getSizePreset(name = DEFAULT_SIZE_PRESET) {
+  const preset = SIZE_PRESETS[name];
+  if (!preset) {
+    throw new AppError(`Unknown size preset: ${name}`, 400);
+  }
+
+  const commentsHeight = Math.max(preset.height - COMMENTS_OVERHEAD, MIN_CONTENT_BUDGET);
+  const mainContentHeight = Math.max(preset.height - MAIN_CONTENT_OVERHEAD, MIN_CONTENT_BUDGET);
+
+  return {
+    name,
+    coverOnly: false,
+    fixedHeight: false,
+    ...preset,
+    budgets: {
+      mainContent: mainContentHeight,
+      comments: commentsHeight,
+      singleComment: commentsHeight - SINGLE_COMMENT_MARGIN
+    },
+    // 注入到base.css中的卡片尺寸变量
+    cssVariables: {
+      '--card-width': `${preset.width}px`,
+      '--card-height': `${preset.height}px`,
+      '--media-max-height': `${Math.round(mainContentHeight * MEDIA_HEIGHT_RATIO)}px`,
+      '--media-full-height': `${Math.round(mainContentHeight * MEDIA_FULL_HEIGHT_RATIO)}px`
+    }
+  };
+}
+
+module.exports = {
+  SIZE_PRESETS,
+  DEFAULT_SIZE_PRESET,
+  getSizePreset
+};
@@ -0,0 +1,241 @@
+/**
+ * 中英文段落对齐工具
+ * 译文段落数与原文不一致时，按长度比例和共同锚点（数字、英文专有名词）将段落配对，
+ * 使分页后每张卡片上的译文与原文内容对应
+ */
+
+// 对齐方式及其惩罚（[中文段落数, 英文段落数, 惩罚]）
+const ALIGNMENT_MOVES = [
+  [1, 1, 0],
+  [1, 2, 0.6],
+  [2, 1, 0.6],
+  [1, 3, 1.2],
+  [3, 1, 1.2],
+  [2, 2, 1.0],
+  [1, 0, 2.5],
+  [0, 1, 2.5]
+];
+
+// 共同锚点带来的最大代价减免
+const ANCHOR_WEIGHT = 0.8;
+
+// 句子切分：中英文句末标点之后切开，保留标点
+const SENTENCE_PATTERN = /[^。！？!?.]+[。！？!?.]+["'”’）)]*\s*|[^。！？!?.]+$/g;
+
+/**
+ * 提取段落中的锚点（数字、URL、英文专有名词/缩写），译文中通常原样保留
+ * @param {string} text - 段落文本
+ * @returns {Set<string>} 锚点集合
+ */
+function extractAnchors(text) {
+  const anchors = new Set();
+  const patterns = [
+    /https?:\/\/\S+/g,
+    /\d+(?:[.,]\d+)*%?/g,
+    /\b[A-Z][A-Za-z0-9]*(?:[-'][A-Za-z0-9]+)*\b/g
+  ];
+
+  patterns.forEach((pattern) => {
+    (text.match(pattern) || []).forEach(token => anchors.add(token.toLowerCase()));
+  });
+
+  return anchors;
+}
+
+/**
+ * 计算两组锚点的相似度（Jaccard）
+ * @param {Set<string>} a - 锚点集合
+ * @param {Set<string>} b - 锚点集合
+ * @returns {number} 0~1之间的相似度
+ */
+function anchorSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) shared++;
+  });
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * 合并一组段落的统计信息
+ * @param {Array<Object>} items - 段落统计信息
+ * @returns {Object} 合并后的长度与锚点
+ */
+function mergeStats(items) {
+  const anchors = new Set();
+  let length = 0;
+  items.forEach((item) => {
+    length += item.length;
+    item.anchors.forEach(token => anchors.add(token));
+  });
+  return { length, anchors };
+}
+
+/**
+ * 将段落按句子切分
+ * @param {string} text - 段落文本
+ * @returns {Array<string>} 句子数组
+ */
+function splitSentences(text) {
+  return (text.match(SENTENCE_PATTERN) || [text])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * 按目标长度比例把单个段落的句子切成多段
+ * @param {string} text - 待切分段落
+ * @param {Array<number>} ratios - 每段的目标长度比例
+ * @returns {Array<string>|null} 切分结果，句子数不足时返回null
+ */
+function splitBySentenceRatio(text, ratios) {
+  const sentences = splitSentences(text);
+  if (sentences.length < ratios.length) {
+    return null;
+  }
+
+  const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+  const parts = [];
+  let cursor = 0;
+  let consumedRatio = 0;
+
+  ratios.forEach((ratio, index) => {
+    const remainingParts = ratios.length - index - 1;
+    consumedRatio += ratio;
+    const targetLength = text.length * (consumedRatio / total);
+    let part = '';
+
+    // 至少取一句，并为后面的段落各留至少一句
+    do {
+      part += sentences[cursor];
+      cursor++;
+    } while (
+      cursor < sentences.length - remainingParts &&
+      (index === ratios.length - 1 || sentences.slice(0, cursor).join('').length < targetLength)
+    );
+
+    parts.push(part.trim());
+  });
+
+  return parts;
+}
+
+/**
+ * 将中文段落与英文段落对齐配对
+ * 使用动态规划在允许合并/跳过段落的情况下寻找代价最小的对齐方式：
+ * 代价由长度比例偏差、共同锚点和合并/跳过惩罚组成；
+ * 对于1对多的配对，再尝试按句子比例把单个段落拆开，得到更细的一一对应
+ * @param {Array<string>} paragraphsZh - 中文段落
+ * @param {Array<string>} paragraphsEn - 英文段落
+ * @returns {Array<{zh: Array<string>, en: Array<string>}>} 对齐后的段落对
+ */
+function alignParagraphs(paragraphsZh, paragraphsEn) {
+  const zh = paragraphsZh || [];
+  const en = paragraphsEn || [];
+
+  // 一侧为空时无需对齐，逐段单独成对
+  if (zh.length === 0 || en.length === 0) {
+    return [
+      ...zh.map(text => ({ zh: [text], en: [] })),
+      ...en.map(text => ({ zh: [], en: [text] }))
+    ];
+  }
+
+  const zhStats = zh.map(text => ({ length: text.length, anchors: extractAnchors(text) }));
+  const enStats = en.map(text => ({ length: text.length, anchors: extractAnchors(text) }));
+
+  // 全文长度比作为期望的英文/中文长度比
+  const ratio = enStats.reduce((sum, s) => sum + s.length, 0) /
+    Math.max(1, zhStats.reduce((sum, s) => sum + s.length, 0));
+
+  const groupCost = (zhItems, enItems) => {
+    const zhGroup = mergeStats(zhItems);
+    const enGroup = mergeStats(enItems);
+    const lengthCost = Math.abs(Math.log((enGroup.length + 1) / (zhGroup.length * ratio + 1)));
+    return lengthCost - ANCHOR_WEIGHT * anchorSimilarity(zhGroup.anchors, enGroup.anchors);
+  };
+
+  const n = zh.length;
+  const m = en.length;
+  const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(Infinity));
+  const back = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(null));
+  cost[0][0] = 0;
+
+  for (let i = 0; i <= n; i++) {
+    for (let j = 0; j <= m; j++) {
+      if (cost[i][j] === Infinity) continue;
+
+      ALIGNMENT_MOVES.forEach(([di, dj, penalty]) => {
+        const ni = i + di;
+        const nj = j + dj;
+        if (ni > n || nj > m) return;
+
+        const moveCost = (di === 0 || dj === 0)
+          ? penalty
+          : groupCost(zhStats.slice(i, ni), enStats.slice(j, nj)) + penalty;
+
+        if (cost[i][j] + moveCost < cost[ni][nj]) {
+          cost[ni][nj] = cost[i][j] + moveCost;
+          back[ni][nj] = [di, dj];
+        }
+      });
+    }
+  }
+
+  const pairs = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const [di, dj] = back[i][j];
+    pairs.unshift({ zh: zh.slice(i - di, i), en: en.slice(j - dj, j) });
+    i -= di;
+    j -= dj;
+  }
+
+  return refinePairs(pairs);
+}
+
+/**
+ * 将1对多的段落对按句子比例拆成多个一一对应的段落对
+ * @param {Array<Object>} pairs - 段落对
+ * @returns {Array<Object>} 细化后的段落对
+ */
+function refinePairs(pairs) {
+  const refined = [];
+
+  pairs.forEach((pair) => {
+    const zhCount = pair.zh.length;
+    const enCount = pair.en.length;
+
+    if (zhCount === 1 && enCount > 1) {
+      const parts = splitBySentenceRatio(pair.zh[0], pair.en.map(text => text.length));
+      if (parts) {
+        parts.forEach((part, index) => refined.push({ zh: [part], en: [pair.en[index]] }));
+        return;
+      }
+    }
+
+    if (enCount === 1 && zhCount > 1) {
+      const parts = splitBySentenceRatio(pair.en[0], pair.zh.map(text => text.length));
+      if (parts) {
+        parts.forEach((part, index) => refined.push({ zh: [pair.zh[index]], en: [part] }));
+        return;
+      }
+    }
+
+    refined.push(pair);
+  });
+
+  return refined;
+}
+
+module.exports = {
+  alignParagraphs,
+  splitSentences,
+  splitBySentenceRatio
+};
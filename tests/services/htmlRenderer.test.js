@@ -0,0 +1,159 @@
+const fs = require('fs');
+const http = require('http');
+const puppeteer = require('puppeteer');
+const sharp = require('sharp');
+const { HTMLRenderer, FIXED_SIZE_CSS } = require('../../src/services/htmlRenderer');
+const { SIZE_PRESETS, getSizePreset } = require('../../src/utils/sizePresets');
+
+// 本机装有Puppeteer对应版本的Chrome时才运行真实浏览器测试
+const hasBrowser = (() => {
+  try {
+    return fs.existsSync(puppeteer.executablePath());
+  } catch (error) {
+    return false;
+  }
+})();
+const describeWithBrowser = hasBrowser ? describe : describe.skip;
+
+/**
+ * 模拟Puppeteer页面：截图按clip区域和设备像素比生成空白图片，
+ * 内容高度固定返回一个远大于预设高度的值，用于确认截图尺寸不随内容变化
+ */
+function createFakePage() {
+  let viewport = null;
+  return {
+    styles: [],
+    setViewport: async (options) => { viewport = options; },
+    setContent: async () => {},
+    addStyleTag: async function ({ content }) { this.styles.push(content); },
+    evaluateHandle: async () => {},
+    evaluate: async () => 5000,
+    screenshot: async ({ clip }) => sharp({
+      create: {
+        width: Math.round(clip.width * viewport.deviceScaleFactor),
+        height: Math.round(clip.height * viewport.deviceScaleFactor),
+        channels: 3,
+        background: '#ffffff'
+      }
+    }).png().toBuffer()
+  };
+}
+
+describe('HTMLRenderer.htmlToImage', () => {
+  const renderer = new HTMLRenderer();
+  let page = null;
+  renderer.withPage = (fn) => {
+    page = createFakePage();
+    return fn(page);
+  };
+  renderer.inlineStyles = async html => html;
+
+  const fixedPresets = Object.keys(SIZE_PRESETS).filter(name => getSizePreset(name).fixedHeight);
+
+  test.each(fixedPresets)('%s preset is captured at exactly width × height', async (name) => {
+    const preset = getSizePreset(name);
+    const buffer = await renderer.htmlToImage('<div class="card"></div>', {
+      width: preset.width,
+      height: preset.height,
+      deviceScaleFactor: 2,
+      cssVariables: preset.cssVariables,
+      autoHeight: !preset.fixedHeight
+    });
+
+    const { width, height } = await sharp(buffer).metadata();
+    expect(width).toBe(preset.width * 2);
+    expect(height).toBe(preset.height * 2);
+    // 模板body的外边距被去掉，卡片恰好填满截图区域
+    expect(page.styles).toContain(FIXED_SIZE_CSS);
+  });
+
+  test('the default preset grows with its content', async () => {
+    const preset = getSizePreset();
+    expect(preset.fixedHeight).toBe(false);
+
+    const buffer = await renderer.htmlToImage('<div class="card"></div>', {
+      width: preset.width,
+      height: preset.height,
+      deviceScaleFactor: 1,
+      cssVariables: preset.cssVariables,
+      autoHeight: !preset.fixedHeight
+    });
+
+    // 模拟页面的内容高度为5000px，自动高度的截图以3000px为上限
+    const { height } = await sharp(buffer).metadata();
+    expect(height).toBe(3000);
+    expect(page.styles).toEqual([]);
+  });
+});
+
+describe('HTMLRenderer.invalidateTemplate', () => {
+  test('drops the built-in template and every template set entry that falls back to it', async () => {
+    const renderer = new HTMLRenderer();
+    const templateSet = { id: 'brand@1', dir: '/nonexistent', templates: [] };
+
+    await renderer.compileTemplate('main-card');
+    await renderer.compileTemplate('main-card', templateSet);
+    await renderer.getTemplateFingerprint('main-card', templateSet);
+    await renderer.compileTemplate('comment-card', templateSet);
+
+    renderer.invalidateTemplate('main-card');
+
+    [renderer.templates, renderer.compiledTemplates].forEach((cache) => {
+      expect(Array.from(cache.keys())).toEqual(['brand@1/comment-card']);
+    });
+    expect(renderer.fingerprints.size).toBe(0);
+  });
+});
+
+describe('HTMLRenderer.setupPage', () => {
+  test('disables page scripts before intercepting requests', async () => {
+    const calls = [];
+    const page = {
+      setJavaScriptEnabled: async (enabled) => { calls.push(['setJavaScriptEnabled', enabled]); },
+      setRequestInterception: async (enabled) => { calls.push(['setRequestInterception', enabled]); },
+      on: (event) => { calls.push(['on', event]); }
+    };
+
+    await new HTMLRenderer().setupPage(page);
+    expect(calls).toEqual([['setJavaScriptEnabled', false], ['setRequestInterception', true], ['on', 'request']]);
+  });
+});
+
+describeWithBrowser('HTMLRenderer pages in a real browser', () => {
+  const renderer = new HTMLRenderer();
+  let server;
+  let upgrades = 0;
+
+  beforeAll(async () => {
+    // 只记录WebSocket握手请求，请求拦截不覆盖WebSocket，连接能否建立只取决于页面脚本
+    server = http.createServer((req, res) => res.end());
+    server.on('upgrade', (req, socket) => {
+      upgrades++;
+      socket.destroy();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await renderer.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('templates cannot open WebSocket connections', async () => {
+    const { port } = server.address();
+    const html = `<html><body><div class="card">card</div><script>
+      document.title = 'script ran';
+      new WebSocket('ws://127.0.0.1:${port}/exfiltrate');
+    </script></body></html>`;
+
+    const title = await renderer.withPage(async (page) => {
+      await page.setContent(html, { waitUntil: 'load' });
+      await new Promise(resolve => setTimeout(resolve, 500));
+      // 页面脚本被禁用时page.evaluate仍可用于测量
+      return page.evaluate(() => document.title);
+    });
+
+    expect(title).toBe('');
+    expect(upgrades).toBe(0);
+  }, 30000);
+});
@@ -0,0 +1,245 @@
+const { getRenderer, FIXED_SIZE_CSS } = require('../../src/services/htmlRenderer');
+const { paginate, planPagination } = require('../../src/services/paginationService');
+
+/**
+ * 最小化的DOM元素：高度为自身基础高度、文本长度（每个字符1px）与可见子元素高度之和
+ */
+class FakeElement {
+  constructor(className, baseHeight = 0, children = []) {
+    this.className = className;
+    this.baseHeight = baseHeight;
+    this.children = children;
+    this.style = {};
+    this.text = '';
+  }
+
+  get classList() {
+    return { contains: name => this.className.split(' ').includes(name) };
+  }
+
+  set innerHTML(html) {
+    this.text = html.replace(/<[^>]+>/g, '');
+  }
+
+  set textContent(text) {
+    this.text = text.replace(/\n/g, '');
+  }
+
+  get height() {
+    if (this.style.display === 'none') return 0;
+    return this.baseHeight + this.text.length + this.children.reduce((sum, child) => sum + child.height, 0);
+  }
+
+  get scrollHeight() {
+    return this.height;
+  }
+
+  get offsetHeight() {
+    return this.height;
+  }
+
+  getBoundingClientRect() {
+    return { top: 0, height: this.height };
+  }
+
+  querySelectorAll(selector) {
+    const name = selector.slice(1);
+    return this.children.reduce((list, child) => list.concat(
+      child.classList.contains(name) ? [child] : [],
+      child.querySelectorAll(selector)
+    ), []);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  replaceChildren(...nodes) {
+    this.children = nodes;
+  }
+
+  cloneNode() {
+    const clone = new FakeElement(this.className, this.baseHeight, this.children.map(child => child.cloneNode()));
+    clone.style = { ...this.style };
+    clone.text = this.text;
+    return clone;
+  }
+}
+
+// 卡片中正文区/评论区以外的页头、标题、页脚等占用的高度
+const CARD_OVERHEAD = 300;
+
+// 正文卡片：中英文区块各含一个markdown-body
+function buildMainDocument() {
+  return new FakeElement('root', 0, [
+    new FakeElement('card', CARD_OVERHEAD, [
+      new FakeElement('main-content', 0, [
+        new FakeElement('content-zh', 0, [new FakeElement('markdown-body')]),
+        new FakeElement('content-en', 0, [new FakeElement('markdown-body')])
+      ])
+    ])
+  ]);
+}
+
+// 评论卡片：每条评论一个原型节点（基础高度50px，回复提示20px），末尾为续接块原型
+function buildCommentsDocument(params) {
+  const card = () => new FakeElement('comment-card', 50, [
+    new FakeElement('reply-context', 20),
+    new FakeElement('comment-content-zh markdown-body'),
+    new FakeElement('comment-content markdown-body')
+  ]);
+  const cards = Array.from({ length: params.comments.length + 1 }, card);
+  return new FakeElement('root', 0, [
+    new FakeElement('card', CARD_OVERHEAD, [
+      new FakeElement('comments-section', 0, [new FakeElement('comments-title', 30), ...cards])
+    ])
+  ]);
+}
+
+// 不分页的卡片（如摘要卡片）：整张卡片的高度
+function buildCardDocument(height) {
+  return new FakeElement('root', 0, [new FakeElement('card', height)]);
+}
+
+/**
+ * 模拟池化页面：记录页面加载和注入的样式，evaluate在伪DOM上直接执行布局函数，结果经JSON序列化返回
+ */
+function createFakePage(loads, cardHeight) {
+  const documents = {
+    browserLayoutMainContent: buildMainDocument,
+    browserLayoutComments: buildCommentsDocument,
+    browserMeasureCardBottom: () => buildCardDocument(cardHeight)
+  };
+  return {
+    setViewport: async () => {},
+    setContent: async () => { loads.push('setContent'); },
+    addStyleTag: async ({ content }) => { loads.push(content); },
+    evaluateHandle: async () => {},
+    evaluate: async (fn, params) => {
+      global.document = documents[fn.name](params);
+      global.window = { scrollY: 0, getComputedStyle: () => ({}) };
+      try {
+        return JSON.parse(JSON.stringify(fn(params)));
+      } finally {
+        delete global.document;
+        delete global.window;
+      }
+    }
+  };
+}
+
+/**
+ * 创建预处理后的帖子
+ * @param {Object} [fields] - 覆盖的字段
+ * @returns {Object} 帖子
+ */
+function post(fields = {}) {
+  return { id: 'p1', title: 'Title', title_zh: '标题', subreddit: 'test', ups: 100, selftext: '', selftext_zh: '', commentList: [], ...fields };
+}
+
+// 每段正文由指定长度的文本构成，伪DOM中高度即文本长度
+const paragraphs = (lengths, char) => lengths.map(length => char.repeat(length)).join('\n\n');
+
+describe('paginationService single-pass layout', () => {
+  const renderer = getRenderer();
+  let loads = [];
+  let summaryHeight = 0;
+
+  beforeAll(() => {
+    renderer.inlineStyles = async html => html;
+    renderer.withPage = fn => fn(createFakePage(loads, summaryHeight));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    loads = [];
+    summaryHeight = 0;
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('splits main content at the measured height budget with a single page load', async () => {
+    // 默认预设正文预算800px，每对段落300px，每页放两对
+    const pages = await paginate(post({
+      selftext: paragraphs([150, 150, 150, 150, 150], 'a'),
+      selftext_zh: paragraphs([150, 150, 150, 150, 150], '中')
+    }));
+
+    expect(loads).toHaveLength(1);
+    expect(pages.map(page => page.type)).toEqual(['main', 'main_continued', 'main_continued']);
+    expect(pages[0].content_zh).toBe(paragraphs([150, 150], '中'));
+    expect(pages[2].content).toBe(paragraphs([150], 'a'));
+    expect(pages.every(page => page.title_zh === '标题')).toBe(true);
+  });
+
+  test('plan reports paragraph indexes, heights and forced paragraphs', async () => {
+    const plan = await planPagination(post({
+      selftext: paragraphs([100, 900, 100], 'a')
+    }));
+
+    expect(plan.pages.map(page => [page.paragraphsEn, page.height, page.forced])).toEqual([
+      [[0], 100, false],
+      [[1], 900, true],
+      [[2], 100, false]
+    ]);
+    expect(plan.forced).toEqual([{ kind: 'main_page', pageIndex: 2 }]);
+  });
+
+  test('groups comments into pages and splits oversized comments into chunks', async () => {
+    const comment = (name, length, fields = {}) => ({
+      name, author: `user_${name}`, ups: 10, body: 'b'.repeat(length), body_zh: '评'.repeat(length), ...fields
+    });
+    const plan = await planPagination(post({
+      commentList: [
+        comment('c1', 150),
+        comment('c2', 150),
+        comment('c3', 100, { parentName: 'c1' }),
+        { ...comment('c4', 0), body: paragraphs([250, 250], 'b'), body_zh: paragraphs([250, 250], '评') }
+      ]
+    }));
+
+    // 正文为空时只生成一页主卡片，评论区只加载一次
+    expect(loads).toHaveLength(1);
+    const commentPages = plan.pages.filter(page => page.type === 'comments');
+    expect(commentPages.map(page => page.comments.map(c => [c.commentIndex, c.chunk && c.chunk.index]))).toEqual([
+      [[0, null], [1, null]],
+      [[2, null], [3, 1]],
+      [[3, 2]]
+    ]);
+    // 回复与父评论不在同一页时显示回复提示
+    expect(commentPages[1].comments[0].showReplyContext).toBe(true);
+    expect(plan.comments[3]).toMatchObject({ split: true, chunks: [{ segments: [0] }, { segments: [1] }] });
+    expect(commentPages.every(page => page.height <= plan.budgets.comments)).toBe(true);
+  });
+
+  test('fixed-size presets budget the space the card leaves for content', async () => {
+    // Twitter卡片高675px，实测页头页脚占用300px，正文区预算为375px
+    const plan = await planPagination(post({
+      selftext: paragraphs([180, 180, 180, 500], 'a')
+    }), { size: 'twitter' });
+
+    expect(loads).toEqual(['setContent', FIXED_SIZE_CSS]);
+    expect(plan.budgets.mainContent).toBe(675 - CARD_OVERHEAD);
+    expect(plan.pages.map(page => page.paragraphsEn)).toEqual([[0, 1], [2], [3]]);
+    // 超高段落所在的页面超出卡片高度，按内容高度截图而不是被裁切
+    expect(plan.overflow).toEqual([{ pageIndex: 3, type: 'main_continued', height: CARD_OVERHEAD + 500, limit: 675 }]);
+
+    const pages = await paginate(post({ selftext: paragraphs([180, 180, 180, 500], 'a') }), { size: 'twitter' });
+    expect(pages.map(page => page.overflow || null)).toEqual([null, null, { height: 800, limit: 675 }]);
+  });
+
+  test('the summary card is measured against fixed-size presets only', async () => {
+    const summaryPost = post({ selftext: 'short', summary_zh: '很长的摘要' });
+
+    summaryHeight = 900;
+    const fixed = await planPagination(summaryPost, { size: 'twitter', summaryCard: 'last' });
+    expect(fixed.overflow).toEqual([{ pageIndex: 2, type: 'summary', height: 900, limit: 675 }]);
+
+    loads = [];
+    const auto = await planPagination(summaryPost, { summaryCard: 'last' });
+    expect(auto.overflow).toEqual([]);
+    expect(loads).toEqual(['setContent']);
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateService } = require('../../src/services/templateService');
+
+const BUILT_IN_SUMMARY = fs.readFileSync(path.join(__dirname, '../../src/templates/html/summary-card.hbs'), 'utf-8');
+
+describe('TemplateService.upload', () => {
+  let storeDir;
+  let service;
+
+  beforeEach(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+    service = new TemplateService();
+    service.config.storeDir = storeDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  test('accepts a template without executable content', async () => {
+    const result = await service.upload({ name: 'brand', templates: { 'summary-card': BUILT_IN_SUMMARY } });
+    expect(result.version).toBe(1);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test.each([
+    ['script element', '<script>alert(1)</script>'],
+    ['script element with whitespace', '< script src="x.js"></script>'],
+    ['inline event handler', '<img src="x" onerror="alert(1)">'],
+    ['uppercase event handler', '<div ONCLICK=alert(1)></div>'],
+    ['javascript: URL', '<a href="javascript:alert(1)">x</a>'],
+    ['entity-encoded javascript: URL', '<a href="&#106;avascript&colon;alert(1)">x</a>'],
+    ['triple-stash output', '<div>{{{title}}}</div>'],
+    ['ampersand output', '<div>{{&title}}</div>'],
+    ['dynamic element name', '<{{title}}>x</{{title}}>'],
+    ['iframe srcdoc', '<iframe srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;"></iframe>'],
+    ['meta refresh', '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">'],
+    ['object element', '<object data="x.swf"></object>'],
+    ['embed element', '<embed src="x.swf">'],
+    ['base element', '<base href="https://example.com/">'],
+    ['conditional markup not covered by sample data', '{{#if missing}}<iframe src="https://example.com"></iframe>{{/if}}']
+  ])('rejects %s', async (label, markup) => {
+    const source = BUILT_IN_SUMMARY.replace('<body>', `<body>${markup}`);
+    await expect(service.upload({ name: 'brand', templates: { 'summary-card': source } }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('executable content') });
+    expect(fs.existsSync(path.join(storeDir, 'brand'))).toBe(false);
+  });
+
+  test('concurrent uploads of the same set get distinct versions', async () => {
+    const results = await Promise.all([1, 2, 3].map(index => service.upload({
+      name: 'brand',
+      description: `upload ${index}`,
+      templates: { 'summary-card': BUILT_IN_SUMMARY.replace('TL;DR', `TL;DR ${index}`) }
+    })));
+
+    expect(results.map(result => result.version).sort()).toEqual([1, 2, 3]);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(storeDir, 'brand', 'manifest.json'), 'utf-8'));
+    expect(manifest.latestVersion).toBe(3);
+    expect(manifest.versions.map(item => item.description).sort()).toEqual(['upload 1', 'upload 2', 'upload 3']);
+    [1, 2, 3].forEach((version) => {
+      const source = fs.readFileSync(path.join(storeDir, 'brand', `v${version}`, 'summary-card.hbs'), 'utf-8');
+      const description = manifest.versions.find(item => item.version === version).description;
+      expect(source).toContain(`TL;DR ${description.split(' ')[1]}`);
+    });
+  });
+});
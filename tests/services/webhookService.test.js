@@ -0,0 +1,154 @@
+const http = require('http');
+const { WebhookService } = require('../../src/services/webhookService');
+
+/**
+ * 创建带callback配置的任务对象
+ * @param {string} url - 回调地址
+ * @returns {Object} 任务
+ */
+function createJob(url) {
+  return { id: 'job-1', callback: { url, status: 'pending', deliveries: [] } };
+}
+
+describe('WebhookService private network guard', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new WebhookService();
+    service.config.maxAttempts = 2;
+    service.config.retryDelay = 1;
+  });
+
+  test.each([
+    'http://127.0.0.1:9/hook',
+    'http://10.0.0.5/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]:9/hook',
+    'http://[::ffff:192.168.1.1]/hook'
+  ])('rejects IP literal %s', async (url) => {
+    await expect(service.post(url, '{}', {})).rejects.toThrow('private address');
+  });
+
+  test('rejects host names that resolve to private addresses', async () => {
+    await expect(service.post('http://localhost:9/hook', '{}', {})).rejects.toThrow('private address');
+  });
+
+  test('rejects non-http protocols', async () => {
+    await expect(service.post('ftp://example.com/hook', '{}', {})).rejects.toThrow('Unsupported callback protocol');
+  });
+
+  test.each([
+    'http://localhost:9/hook',
+    'http://127.0.0.1:9/hook',
+    'ftp://example.com/hook'
+  ])('rejected callback %s fails on the first attempt without retrying', async (url) => {
+    const job = createJob(url);
+    const result = await service.deliver(job, { event: 'job.completed' });
+
+    expect(result.status).toBe('failed');
+    expect(result.attempts).toBe(1);
+    expect(job.callback.deliveries).toHaveLength(1);
+    expect(job.callback.deliveries[0].success).toBe(false);
+  });
+
+  test('delivers to private addresses when explicitly allowed', async () => {
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => res.writeHead(204).end());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    service.config.allowPrivateNetworks = true;
+
+    try {
+      const job = createJob(`http://127.0.0.1:${server.address().port}/hook`);
+      const result = await service.deliver(job, { event: 'job.completed' });
+      expect(result.status).toBe('delivered');
+      expect(job.callback.deliveries[0].statusCode).toBe(204);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('WebhookService retries', () => {
+  let service;
+  let server;
+  let statuses;
+
+  beforeEach(async () => {
+    service = new WebhookService();
+    service.config.maxAttempts = 3;
+    service.config.retryDelay = 1;
+    service.config.allowPrivateNetworks = true;
+    // 依次返回statuses中的状态码，用完后返回204
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => res.writeHead(statuses.shift() || 204).end());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const deliver = () => {
+    const job = createJob(`http://127.0.0.1:${server.address().port}/hook`);
+    return service.deliver(job, { event: 'job.completed' }).then(result => ({ job, result }));
+  };
+
+  test.each([400, 404, 410])('does not retry a %i response', async (status) => {
+    statuses = [status];
+    const { job, result } = await deliver();
+
+    expect(result).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(job.callback.deliveries[0].statusCode).toBe(status);
+  });
+
+  test.each([500, 503, 429])('retries a %i response', async (status) => {
+    statuses = [status];
+    const { job, result } = await deliver();
+
+    expect(result).toMatchObject({ status: 'delivered', attempts: 2 });
+    expect(job.callback.deliveries.map(entry => entry.statusCode)).toEqual([status, 204]);
+  });
+
+  test('gives up after maxAttempts retryable failures', async () => {
+    statuses = [502, 502, 502];
+    const { result } = await deliver();
+
+    expect(result).toMatchObject({ status: 'failed', attempts: 3 });
+  });
+
+  test('delivers synchronous results without a job id', async () => {
+    let received;
+    server.removeAllListeners('request');
+    server.on('request', (req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { headers: req.headers, body: JSON.parse(body) };
+        res.writeHead(204).end();
+      });
+    });
+
+    const result = await service.deliverResult(
+      { url: `http://127.0.0.1:${server.address().port}/hook`, secret: 's3cret' },
+      { event: 'job.completed', success: true }
+    );
+
+    expect(result).toMatchObject({ status: 'delivered', attempts: 1 });
+    expect(received.body).toEqual({ event: 'job.completed', success: true });
+    expect(received.headers['x-job-id']).toBeUndefined();
+    expect(received.headers['x-signature-256']).toBe(service.sign(JSON.stringify(received.body), 's3cret'));
+    expect(service.getDeliveryLog(1)[0]).toMatchObject({ jobId: null, success: true, statusCode: 204 });
+  });
+
+  test('retries network errors', async () => {
+    service.config.maxAttempts = 2;
+    const job = createJob('http://127.0.0.1:9/hook');
+    const result = await service.deliver(job, { event: 'job.completed' });
+
+    expect(result).toMatchObject({ status: 'failed', attempts: 2 });
+  });
+});
@@ -0,0 +1,47 @@
+const { requireAdminToken } = require('../../src/utils/adminAuth');
+
+/**
+ * 以给定请求头调用中间件，返回传给next的参数
+ * @param {Object} headers - 请求头（小写名称）
+ * @returns {*} next的参数，放行时为undefined
+ */
+function run(headers = {}) {
+  const req = { get: name => headers[name.toLowerCase()] };
+  let result = null;
+  requireAdminToken(req, {}, (error) => { result = error; });
+  return result;
+}
+
+describe('requireAdminToken', () => {
+  const original = process.env.ADMIN_TOKEN;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.ADMIN_TOKEN;
+    } else {
+      process.env.ADMIN_TOKEN = original;
+    }
+  });
+
+  test('rejects every request when ADMIN_TOKEN is not configured', () => {
+    delete process.env.ADMIN_TOKEN;
+    expect(run({ authorization: 'Bearer anything' })).toMatchObject({ statusCode: 403 });
+  });
+
+  test.each([
+    ['no token', {}],
+    ['a wrong bearer token', { authorization: 'Bearer wrong' }],
+    ['a wrong header token', { 'x-admin-token': 'secret-token-x' }]
+  ])('rejects %s with 401', (label, headers) => {
+    process.env.ADMIN_TOKEN = 'secret-token';
+    expect(run(headers)).toMatchObject({ statusCode: 401 });
+  });
+
+  test.each([
+    ['bearer token', { authorization: 'Bearer secret-token' }],
+    ['X-Admin-Token header', { 'x-admin-token': 'secret-token' }]
+  ])('accepts the %s', (label, headers) => {
+    process.env.ADMIN_TOKEN = 'secret-token';
+    expect(run(headers)).toBeUndefined();
+  });
+});
@@ -0,0 +1,50 @@
+const { AVATAR_STYLES, DEFAULT_AVATAR_STYLE, generateAvatar } = require('../../src/utils/avatarGenerator');
+
+/**
+ * 解码SVG data URI
+ * @param {string} uri - data URI
+ * @returns {string} SVG
+ */
+function decodeSvg(uri) {
+  const prefix = 'data:image/svg+xml;base64,';
+  expect(uri.startsWith(prefix)).toBe(true);
+  return Buffer.from(uri.slice(prefix.length), 'base64').toString('utf-8');
+}
+
+describe('generateAvatar', () => {
+  test('defaults to the gradient style', () => {
+    expect(DEFAULT_AVATAR_STYLE).toBe('gradient');
+    expect(AVATAR_STYLES).toEqual(['gradient', 'identicon']);
+    expect(generateAvatar('alice')).toBe(generateAvatar('alice', 'gradient'));
+  });
+
+  test.each(AVATAR_STYLES)('%s avatars are deterministic and case-insensitive', (style) => {
+    expect(generateAvatar('Alice', style)).toBe(generateAvatar('alice', style));
+    expect(generateAvatar('alice', style)).not.toBe(generateAvatar('bob', style));
+  });
+
+  test('gradient avatar shows the upper-cased initial', () => {
+    const svg = decodeSvg(generateAvatar('  zoe'));
+    expect(svg).toContain('<linearGradient');
+    expect(svg).toMatch(/>Z<\/text>/);
+  });
+
+  test('gradient avatar escapes the initial and handles empty names', () => {
+    expect(decodeSvg(generateAvatar('<script>'))).toMatch(/>&lt;<\/text>/);
+    expect(decodeSvg(generateAvatar(''))).toMatch(/>\?<\/text>/);
+    expect(decodeSvg(generateAvatar(null))).toMatch(/>\?<\/text>/);
+  });
+
+  test('identicon is horizontally symmetric', () => {
+    const svg = decodeSvg(generateAvatar('carol', 'identicon'));
+    const cells = Array.from(svg.matchAll(/<rect x="([\d.]+)" y="([\d.]+)"/g), match => `${match[1]},${match[2]}`);
+    expect(cells.length).toBeGreaterThan(0);
+
+    // 96/6=16的格子，以x=8为起点，第col列与第4-col列关于中线对称
+    const mirror = (cell) => {
+      const [x, y] = cell.split(',').map(Number);
+      return `${8 + (4 - (x - 8) / 16) * 16},${y}`;
+    };
+    cells.forEach(cell => expect(cells).toContain(mirror(cell)));
+  });
+});
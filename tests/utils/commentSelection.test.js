@@ -0,0 +1,123 @@
+const { selectComments } = require('../../src/utils/commentSelection');
+
+/**
+ * 创建评论
+ * @param {string} id - 评论ID
+ * @param {Object} [fields] - 覆盖的字段
+ * @returns {Object} 评论
+ */
+function comment(id, fields = {}) {
+  return { id, author: `user_${id}`, body: `comment ${id}`, ups: 10, parent_id: 't3_post', ...fields };
+}
+
+describe('selectComments defaults', () => {
+  test('keeps every comment when no options are given', () => {
+    const comments = [
+      comment('a', { body: '[deleted]' }),
+      comment('b', { author: 'AutoModerator' }),
+      comment('c', { body: 'same text here for both' }),
+      comment('d', { body: 'same text here for both' })
+    ];
+
+    const { comments: selected, stats } = selectComments(comments);
+    expect(selected).toEqual(comments);
+    expect(stats).toMatchObject({ total: 4, selected: 4, removed: 0, bots: 0, duplicates: 0, orphaned: 0 });
+  });
+});
+
+describe('selectComments reply threads', () => {
+  const thread = [
+    comment('a', { body: '[removed]', ups: 50 }),
+    comment('b', { parent_id: 't1_a', ups: 40 }),
+    comment('c', { parent_id: 't1_b', ups: 30 }),
+    comment('d', { ups: 5 }),
+    comment('e', { parent_id: 't1_d', ups: 1 })
+  ];
+
+  test('drops replies whose parent was filtered out instead of promoting them', () => {
+    const { comments: selected, stats } = selectComments(thread, { excludeRemoved: true });
+    expect(selected.map(item => item.id)).toEqual(['d', 'e']);
+    expect(stats).toMatchObject({ removed: 1, orphaned: 2, selected: 2 });
+  });
+
+  test('drops replies whose parent fell below minUps', () => {
+    const { comments: selected, stats } = selectComments(thread, { minUps: 10 });
+    expect(selected.map(item => item.id)).toEqual(['a', 'b', 'c']);
+    expect(stats).toMatchObject({ belowMinUps: 2, orphaned: 0 });
+  });
+
+  test('drops replies whose parent was cut by the limit', () => {
+    const comments = [comment('p', { ups: 1 }), comment('r', { parent_id: 't1_p', ups: 100 }), comment('q', { ups: 50 })];
+    const { comments: selected, stats } = selectComments(comments, { limit: 2 });
+    expect(selected.map(item => item.id)).toEqual(['q']);
+    expect(stats).toMatchObject({ overLimit: 1, orphaned: 1 });
+  });
+
+  test('keeps replies whose parent is not part of the comment list', () => {
+    const { comments: selected } = selectComments([comment('x', { parent_id: 't1_missing' })], { excludeRemoved: true });
+    expect(selected.map(item => item.id)).toEqual(['x']);
+  });
+
+  test('terminates on reply cycles', () => {
+    const cycle = [comment('a', { parent_id: 't1_b' }), comment('b', { parent_id: 't1_a' })];
+    expect(selectComments(cycle).comments).toHaveLength(2);
+  });
+});
+
+describe('selectComments filters', () => {
+  test('excludes removed comments but keeps deleted authors with content', () => {
+    const comments = [comment('a', { body: '[deleted]' }), comment('b', { body: ' [removed] ' }), comment('c', { author: '[deleted]' })];
+    const { comments: selected, stats } = selectComments(comments, { excludeRemoved: true });
+    expect(selected.map(item => item.id)).toEqual(['c']);
+    expect(stats.removed).toBe(2);
+  });
+
+  test('excludes known bots, bot-like names and extra accounts', () => {
+    const comments = [
+      comment('a', { author: 'automoderator' }),
+      comment('b', { author: 'summary-bot' }),
+      comment('c', { author: 'TLDRBot' }),
+      comment('d', { author: 'Talbot' }),
+      comment('e', { author: 'robot_fan' }),
+      comment('f', { author: 'MyHelper' })
+    ];
+    const { comments: selected, stats } = selectComments(comments, { excludeBots: true, botAuthors: ['myhelper'] });
+    expect(selected.map(item => item.id)).toEqual(['d', 'e']);
+    expect(stats.bots).toBe(4);
+  });
+
+  test('dedupe keeps the highest voted of near-duplicate comments', () => {
+    const comments = [
+      comment('a', { body: 'This is exactly what I was going to say', ups: 3 }),
+      comment('b', { body: 'this is exactly what I was going to say!', ups: 20 }),
+      comment('c', { body: 'Completely different point about the topic', ups: 5 }),
+      comment('d', { body: 'same', ups: 2 }),
+      comment('e', { body: 'Same.', ups: 1 })
+    ];
+    const { comments: selected, stats } = selectComments(comments, { dedupe: true });
+    expect(selected.map(item => item.id)).toEqual(['b', 'c', 'd']);
+    expect(stats.duplicates).toBe(2);
+  });
+
+  test('limit keeps the top voted comments in their original order', () => {
+    const comments = [comment('a', { ups: 1 }), comment('b', { ups: 30 }), comment('c', { ups: 20 }), comment('d', { ups: 10 })];
+    const { comments: selected, stats } = selectComments(comments, { limit: 2 });
+    expect(selected.map(item => item.id)).toEqual(['b', 'c']);
+    expect(stats.overLimit).toBe(2);
+  });
+
+  test('maxChars truncates original and translated text', () => {
+    const comments = [
+      comment('a', { body: 'one two three four five six', body_zh: '一二三四五六七八九十一二三四五六七八九十一' }),
+      comment('b', { body: 'short' })
+    ];
+    const { comments: selected, stats } = selectComments(comments, { maxChars: 20 });
+    // 英文在空白处断开，中文没有空白时按字符截断
+    expect(selected[0].body).toBe('one two three four…');
+    expect(selected[0].body_zh).toBe('一二三四五六七八九十一二三四五六七八九十…');
+    expect(selected[1]).toBe(comments[1]);
+    expect(stats.truncated).toBe(1);
+    // 原评论不被修改
+    expect(comments[0].body).toBe('one two three four five six');
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  MAX_INPUT_LENGTH,
+  MAX_NESTING_DEPTH,
+  splitBlocks,
+  renderInline,
+  renderMarkdown,
+  stripMarkdown
+} = require('../../src/utils/markdown');
+
+describe('markdown escaping', () => {
+  test('escapes raw HTML in text', () => {
+    expect(renderMarkdown('<img src=x onerror="alert(1)"> & \'quotes\''))
+      .toBe('<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &#39;quotes&#39;</p>');
+  });
+
+  test('decodes Reddit entities before escaping them again', () => {
+    expect(renderMarkdown('&lt;script&gt;alert(1)&lt;/script&gt; &amp;amp;'))
+      .toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt; &amp;amp;</p>');
+  });
+
+  test('escapes code spans and code blocks', () => {
+    expect(renderInline('`<b>`')).toBe('<code>&lt;b&gt;</code>');
+    expect(renderMarkdown('```\n<script>\n```')).toBe('<pre><code>&lt;script&gt;</code></pre>');
+  });
+
+  test('renders inline formatting', () => {
+    expect(renderInline('**bold** *em* ~~del~~ ^(sup) >!spoiler!<')).toBe(
+      '<strong>bold</strong> <em>em</em> <del>del</del> <sup>sup</sup> <span class="md-spoiler">spoiler</span>'
+    );
+  });
+
+  test('stripMarkdown returns plain text', () => {
+    expect(stripMarkdown('> **quoted** [link](https://example.com)\n\n- item')).toBe('quoted link\nitem');
+  });
+});
+
+describe('markdown links', () => {
+  test.each([
+    ['https://example.com/a?b=1&c=2', '<a href="https://example.com/a?b=1&amp;c=2">label</a>'],
+    ['http://example.com/wiki/Foo_(bar)', '<a href="http://example.com/wiki/Foo_(bar)">label</a>']
+  ])('keeps %s', (url, html) => {
+    expect(renderInline(`[label](${url})`)).toBe(html);
+  });
+
+  test.each([
+    'javascript:alert(1)',
+    'JAVASCRIPT:alert(1)',
+    'data:text/html;base64,PHNjcmlwdD4=',
+    'vbscript:msgbox(1)',
+    '//evil.example.com',
+    '/relative/path'
+  ])('drops the link for %s and keeps the label', (url) => {
+    const html = renderInline(`[label](${url})`);
+    expect(html).toBe('label');
+    expect(html).not.toContain('<a');
+  });
+
+  test('quotes in the URL cannot break out of the attribute', () => {
+    expect(renderInline('[x](https://a.com/"onmouseover="alert(1))')).not.toMatch(/href="[^"]*"onmouseover/);
+  });
+});
+
+describe('markdown limits', () => {
+  // 阈值足够宽松，只用于发现平方级回溯（修复前为秒级）
+  const FAST_MS = 500;
+
+  const timed = (fn) => {
+    const start = Date.now();
+    const result = fn();
+    return { result, elapsed: Date.now() - start };
+  };
+
+  test('deeply nested quotes do not overflow the stack', () => {
+    const { result, elapsed } = timed(() => renderMarkdown(`${'>'.repeat(20000)} deep`));
+    expect(result.match(/<blockquote>/g)).toHaveLength(MAX_NESTING_DEPTH);
+    expect(result).toContain('deep');
+    expect(elapsed).toBeLessThan(FAST_MS);
+  });
+
+  test('deeply nested lists stop nesting at the limit', () => {
+    const text = Array.from({ length: 50 }, (_, index) => `${'  '.repeat(index)}- level ${index}`).join('\n');
+    const html = renderMarkdown(text);
+    expect(html.match(/<ul>/g)).toHaveLength(MAX_NESTING_DEPTH);
+    expect(html).toContain('level 49');
+  });
+
+  test('input beyond the maximum length is ignored', () => {
+    const text = `${'a'.repeat(MAX_INPUT_LENGTH)}TAIL`;
+    expect(splitBlocks(text).join('')).toHaveLength(MAX_INPUT_LENGTH);
+    expect(renderMarkdown(text)).not.toContain('TAIL');
+  });
+
+  test.each([
+    ['unclosed ^( runs', '^('],
+    ['unclosed [ runs', '['],
+    ['unclosed ( runs', '('],
+    ['unclosed link targets', '[a]('],
+    ['unclosed emphasis', '*a '],
+    ['unclosed strong', '__a '],
+    ['unclosed spoilers', '>!a ']
+  ])('%s render in linear time', (label, unit) => {
+    const text = unit.repeat(Math.ceil(20000 / unit.length));
+    const { elapsed } = timed(() => renderMarkdown(text));
+    expect(elapsed).toBeLessThan(FAST_MS);
+  });
+});
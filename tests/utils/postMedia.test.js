@@ -0,0 +1,78 @@
+const { MAX_MEDIA_ITEMS, collectMediaSources, buildMediaLayout } = require('../../src/utils/postMedia');
+
+/**
+ * 创建已加载的图片
+ * @param {number} width - 宽
+ * @param {number} height - 高
+ * @param {Object} [fields] - 其他字段
+ * @returns {Object} 图片
+ */
+const image = (width, height, fields = {}) => ({ src: `data:image/webp;base64,${width}x${height}`, width, height, ...fields });
+
+describe('buildMediaLayout', () => {
+  test('returns null without images', () => {
+    expect(buildMediaLayout([])).toBeNull();
+  });
+
+  test('single image keeps its ratio and caption', () => {
+    const media = buildMediaLayout([image(1600, 900, { caption: 'sunset' })]);
+    expect(media).toMatchObject({ layout: 'single', ratio: 1.7778, full: false, showCaptions: true, extraCount: 0 });
+    expect(media.items).toEqual([{ src: expect.any(String), ratio: 1.7778, caption: 'sunset' }]);
+  });
+
+  test.each([
+    ['very tall', 100, 1000, 0.5],
+    ['very wide', 1000, 100, 2.5]
+  ])('single %s image is clamped', (label, width, height, ratio) => {
+    expect(buildMediaLayout([image(width, height)]).ratio).toBe(ratio);
+  });
+
+  test('unknown dimensions fall back to 4:3', () => {
+    expect(buildMediaLayout([{ src: 'x' }]).ratio).toBe(1.3333);
+  });
+
+  test('two or three images are laid out in a row with the median cell ratio', () => {
+    const media = buildMediaLayout([image(400, 300), image(300, 300), image(100, 1000)]);
+    expect(media.layout).toBe('row');
+    expect(media.items.map(item => item.ratio)).toEqual([1, 1, 1]);
+    expect(media.ratio).toBe(3);
+    expect(media.showCaptions).toBe(false);
+  });
+
+  test('cell ratio is clamped for multiple images', () => {
+    const media = buildMediaLayout([image(2000, 500), image(2000, 500)]);
+    expect(media.items[0].ratio).toBe(1.3333);
+    expect(media.ratio).toBe(2.6667);
+  });
+
+  test('four or more images use a grid and report the hidden count', () => {
+    const items = Array.from({ length: 6 }, () => image(800, 600));
+    const media = buildMediaLayout(items, { total: 9, full: true });
+    expect(media).toMatchObject({ layout: 'grid', ratio: 1.3333, full: true, extraCount: 9 - MAX_MEDIA_ITEMS });
+    expect(media.items).toHaveLength(MAX_MEDIA_ITEMS);
+  });
+});
+
+describe('collectMediaSources', () => {
+  test('prefers images and gallery entries and decodes &amp;', () => {
+    const sources = collectMediaSources({
+      images: [{ url: 'https://preview.redd.it/a.jpg?width=640&amp;s=1', width: 640, height: 480 }],
+      gallery: [{ url: 'https://i.redd.it/b.png', caption: 'b' }],
+      url: 'https://i.redd.it/ignored.jpg'
+    });
+    expect(sources).toEqual([
+      { url: 'https://preview.redd.it/a.jpg?width=640&s=1', width: 640, height: 480 },
+      { url: 'https://i.redd.it/b.png', caption: 'b' }
+    ]);
+  });
+
+  test('uses the post link when it points to an image', () => {
+    expect(collectMediaSources({ url: 'https://example.com/photo.JPG?x=1' })).toEqual([{ url: 'https://example.com/photo.JPG?x=1' }]);
+  });
+
+  test('falls back to an http thumbnail and ignores placeholders', () => {
+    expect(collectMediaSources({ url: 'https://example.com/article', thumbnail: 'https://b.thumbs.redditmedia.com/t.jpg' }))
+      .toEqual([{ url: 'https://b.thumbs.redditmedia.com/t.jpg' }]);
+    expect(collectMediaSources({ url: 'https://example.com/article', thumbnail: 'self' })).toEqual([]);
+  });
+});
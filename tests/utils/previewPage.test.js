@@ -0,0 +1,48 @@
+const { PREVIEW_CSP, CARD_PREVIEW_CSP, buildPreviewPage } = require('../../src/utils/previewPage');
+
+const preview = {
+  postId: 'abc',
+  theme: 'light',
+  templateSet: 'default',
+  width: 1080,
+  height: 1350,
+  pages: [
+    { pageIndex: 1, pageType: 'main', templateName: 'main-card', html: '<div class="card"><script>alert(1)</script></div>' },
+    { pageIndex: 2, pageType: 'comment', templateName: 'comment-card', html: '<div class="card" onclick="x()"></div>' }
+  ]
+};
+
+describe('buildPreviewPage', () => {
+  const page = buildPreviewPage(preview);
+
+  test('contains no executable script of its own', () => {
+    expect(page).not.toMatch(/<script/i);
+    expect(page).not.toMatch(/\sonload=/i);
+  });
+
+  test('renders every card in a sandboxed iframe sized to the card', () => {
+    const frames = page.match(/<iframe[^>]*>/g);
+    expect(frames).toHaveLength(2);
+    frames.forEach((frame) => {
+      expect(frame).toMatch(/\ssandbox[\s>]/);
+      expect(frame).not.toMatch(/allow-same-origin|allow-scripts/);
+      expect(frame).toContain('width="1080"');
+      expect(frame).toContain('height="1350"');
+    });
+  });
+
+  test('escapes card HTML inside srcdoc', () => {
+    expect(page).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+});
+
+describe('preview CSP', () => {
+  test.each([PREVIEW_CSP, CARD_PREVIEW_CSP])('forbids scripts: %s', (csp) => {
+    expect(csp).toContain("script-src 'none'");
+    expect(csp).not.toMatch(/script-src[^;]*unsafe-inline/);
+  });
+
+  test('single-card responses run in a sandbox', () => {
+    expect(CARD_PREVIEW_CSP.split('; ')).toContain('sandbox');
+  });
+});
@@ -0,0 +1,73 @@
+const { isPrivateAddress, guardedLookup, safeFetch } = require('../../src/utils/safeFetch');
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '224.0.0.1',
+    '255.255.255.255',
+    '::',
+    '::1',
+    'fc00::1',
+    'fd12:3456::1',
+    'fe80::1',
+    'ff02::1',
+    '64:ff9b::a00:1'
+  ])('blocks %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '::ffff:10.0.0.1',
+    '::ffff:127.0.0.1',
+    '::ffff:169.254.169.254',
+    '::ffff:a9fe:a9fe'
+  ])('blocks IPv4-mapped IPv6 address %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '8.8.8.8',
+    '1.1.1.1',
+    '172.32.0.1',
+    '151.101.1.140',
+    '::ffff:8.8.8.8',
+    '2606:4700:4700::1111'
+  ])('allows public address %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  test('host names are not IP addresses', () => {
+    expect(isPrivateAddress('localhost')).toBe(false);
+  });
+});
+
+describe('guardedLookup', () => {
+  test('rejects host names that resolve to loopback', (done) => {
+    guardedLookup('localhost', {}, (error) => {
+      expect(error).toBeTruthy();
+      expect(error.message).toContain('Refusing to connect to private address');
+      done();
+    });
+  });
+});
+
+describe('safeFetch', () => {
+  test.each([
+    'http://127.0.0.1/a.png',
+    'http://[::1]/a.png',
+    'http://[::ffff:10.0.0.1]/a.png'
+  ])('refuses private IP literal %s before connecting', async (url) => {
+    await expect(safeFetch(url)).rejects.toThrow('Refusing to connect to private address');
+  });
+
+  test('refuses non-http protocols', async () => {
+    await expect(safeFetch('file:///etc/passwd')).rejects.toThrow('Unsupported protocol');
+  });
+});
@@ -0,0 +1,50 @@
+const { SIZE_PRESETS, DEFAULT_SIZE_PRESET, getSizePreset } = require('../../src/utils/sizePresets');
+
+describe('getSizePreset', () => {
+  test('returns the default preset when no name is given', () => {
+    expect(getSizePreset()).toMatchObject({ name: DEFAULT_SIZE_PRESET, width: 900, height: 1200 });
+  });
+
+  test('rejects unknown presets with a 400 error', () => {
+    let error = null;
+    try {
+      getSizePreset('a4');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ statusCode: 400, message: 'Unknown size preset: a4' });
+  });
+
+  test.each(Object.keys(SIZE_PRESETS))('%s exposes its size as CSS variables', (name) => {
+    const preset = getSizePreset(name);
+    expect(preset.cssVariables).toMatchObject({
+      '--card-width': `${SIZE_PRESETS[name].width}px`,
+      '--card-height': `${SIZE_PRESETS[name].height}px`
+    });
+  });
+
+  test('budgets follow the card height', () => {
+    expect(getSizePreset('instagram_portrait').budgets).toEqual({ mainContent: 950, comments: 1050, singleComment: 1020 });
+    expect(getSizePreset('instagram_portrait').cssVariables).toMatchObject({
+      '--media-max-height': '475px',
+      '--media-full-height': '855px'
+    });
+  });
+
+  test('budgets never drop below the minimum for short cards', () => {
+    const { budgets } = getSizePreset('wechat_cover');
+    expect(budgets.mainContent).toBe(200);
+    expect(budgets.comments).toBe(200);
+  });
+
+  test('platform presets are captured at fixed size while the default grows with its content', () => {
+    const fixed = Object.keys(SIZE_PRESETS).filter(name => getSizePreset(name).fixedHeight);
+    expect(fixed).toEqual(['instagram_square', 'instagram_portrait', 'wechat_cover', 'twitter']);
+    expect(getSizePreset().fixedHeight).toBe(false);
+  });
+
+  test('only the WeChat cover is cover-only', () => {
+    const coverOnly = Object.keys(SIZE_PRESETS).filter(name => getSizePreset(name).coverOnly);
+    expect(coverOnly).toEqual(['wechat_cover']);
+  });
+});
@@ -0,0 +1,64 @@
+const { alignParagraphs, splitSentences, splitBySentenceRatio } = require('../../src/utils/textAlignment');
+
+describe('splitSentences', () => {
+  test('splits Chinese and English sentences and keeps punctuation', () => {
+    expect(splitSentences('第一句。第二句！Third one? Last')).toEqual(['第一句。', '第二句！', 'Third one?', 'Last']);
+  });
+
+  test('returns the text itself when there is no sentence boundary', () => {
+    expect(splitSentences('no punctuation')).toEqual(['no punctuation']);
+  });
+});
+
+describe('splitBySentenceRatio', () => {
+  test('splits sentences close to the requested ratios', () => {
+    expect(splitBySentenceRatio('一二三。四五六。七八九。', [1, 2])).toEqual(['一二三。', '四五六。七八九。']);
+  });
+
+  test('keeps at least one sentence for every part', () => {
+    expect(splitBySentenceRatio('一。二。三。', [10, 1, 1])).toEqual(['一。', '二。', '三。']);
+  });
+
+  test('returns null when there are fewer sentences than parts', () => {
+    expect(splitBySentenceRatio('只有一句。', [1, 1])).toBeNull();
+  });
+});
+
+describe('alignParagraphs', () => {
+  test('pairs paragraphs one to one when counts match', () => {
+    const pairs = alignParagraphs(['第一段', '第二段'], ['First paragraph', 'Second paragraph']);
+    expect(pairs).toEqual([
+      { zh: ['第一段'], en: ['First paragraph'] },
+      { zh: ['第二段'], en: ['Second paragraph'] }
+    ]);
+  });
+
+  test('keeps each side separately when the other side is empty', () => {
+    expect(alignParagraphs(['一', '二'], [])).toEqual([{ zh: ['一'], en: [] }, { zh: ['二'], en: [] }]);
+    expect(alignParagraphs(null, ['One'])).toEqual([{ zh: [], en: ['One'] }]);
+  });
+
+  test('splits a merged translation paragraph by sentences to match the original', () => {
+    const zh = ['苹果在2023年卖出了2亿部iPhone。谷歌发布了Pixel 8手机。', '这是最后一段，没有特别的内容。'];
+    const en = [
+      'Apple sold 200 million iPhone units in 2023.',
+      'Google launched the Pixel 8 phone.',
+      'This is the last paragraph without anything special.'
+    ];
+
+    const pairs = alignParagraphs(zh, en);
+    expect(pairs).toHaveLength(3);
+    expect(pairs[0]).toEqual({ zh: ['苹果在2023年卖出了2亿部iPhone。'], en: [en[0]] });
+    expect(pairs[1]).toEqual({ zh: ['谷歌发布了Pixel 8手机。'], en: [en[1]] });
+    expect(pairs[2]).toEqual({ zh: [zh[1]], en: [en[2]] });
+  });
+
+  test('uses every paragraph exactly once and keeps the order', () => {
+    const zh = ['一段很长的中文内容，讲述了很多事情。', '短段', '第三段提到了NASA和1969年。', '结尾'];
+    const en = ['A long English paragraph that talks about many things.', 'NASA landed on the moon in 1969.', 'The end.'];
+
+    const pairs = alignParagraphs(zh, en);
+    expect(pairs.flatMap(pair => pair.en)).toEqual(en);
+    expect(pairs.flatMap(pair => pair.zh).join('')).toBe(zh.join(''));
+  });
+});